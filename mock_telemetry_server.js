@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════
+// Mock SCADA telemetry server for Tanzania Water Grid Mini Demo
+// Streams the tags defined in public/data/network.json ("telemetry.tags")
+// as Server-Sent Events on /events and as WebSocket text frames on /ws.
+// Usage: node mock_telemetry_server.js [port] [interval-seconds]
+// Then open the demo with ?telemetry=http://localhost:8090/events
+//                      or ?telemetry=ws://localhost:8090/ws
+// ═══════════════════════════════════════════════════════════
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { createMockGenerator } from './src/telemetry.js';
+
+const PORT = Number(process.argv[2]) || 8090;
+const INTERVAL = (Number(process.argv[3]) || 1) * 1000;
+
+const network = JSON.parse(fs.readFileSync(new URL('./public/data/network.json', import.meta.url), 'utf8'));
+const tags = network.telemetry?.tags || {};
+const next = createMockGenerator(tags);
+
+const sseClients = new Set();
+const wsClients = new Set();
+
+const server = http.createServer((req, res) => {
+  if (req.url !== '/events') {
+    res.writeHead(404).end();
+    return;
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.write('retry: 2000\n\n');
+  sseClients.add(res);
+  req.on('close', () => sseClients.delete(res));
+});
+
+// Minimal RFC 6455 handshake; the server only ever sends text frames
+server.on('upgrade', (req, socket) => {
+  if (req.url !== '/ws' || !req.headers['sec-websocket-key']) {
+    socket.destroy();
+    return;
+  }
+  const accept = crypto.createHash('sha1')
+    .update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+    .digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+  wsClients.add(socket);
+  socket.on('data', buf => { if ((buf[0] & 0x0F) === 0x8) socket.end(); }); // close frame
+  socket.on('close', () => wsClients.delete(socket));
+  socket.on('error', () => wsClients.delete(socket));
+});
+
+function wsFrame(text) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  const header = len < 126
+    ? Buffer.from([0x81, len])
+    : len < 65536
+      ? Buffer.from([0x81, 126, len >> 8, len & 0xFF])
+      : Buffer.concat([Buffer.from([0x81, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(len)); return b; })()]);
+  return Buffer.concat([header, payload]);
+}
+
+setInterval(() => {
+  const message = JSON.stringify(next());
+  sseClients.forEach(res => res.write(`data: ${message}\n\n`));
+  const frame = wsFrame(message);
+  wsClients.forEach(socket => socket.write(frame));
+}, INTERVAL);
+
+server.listen(PORT, () => {
+  console.log(`Mock telemetry: ${Object.keys(tags).length} tags every ${INTERVAL / 1000}s`);
+  console.log(`  SSE:       http://localhost:${PORT}/events`);
+  console.log(`  WebSocket: ws://localhost:${PORT}/ws`);
+});
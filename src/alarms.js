@@ -0,0 +1,175 @@
+// ═══════════════════════════════════════════════════════════
+//  ALARMS
+//  Threshold and rate-of-change rules over tag values (telemetry tags,
+//  or "model:<id>.<field>" for hydraulic results). Each rule owns one
+//  alarm with the usual life cycle:
+//    raised → acknowledged → cleared   (or cleared before acknowledged,
+//    in which case it stays listed until someone acknowledges it)
+//  Shelving hides an alarm for a while without losing its state.
+// ═══════════════════════════════════════════════════════════
+
+export const PRIORITIES = ['high', 'medium', 'low'];   // Most urgent first
+
+const MAX_EVENTS = 500;
+
+// Create a manager from a network "alarms" entry:
+//   { shelveMinutes, rules: [{ id, tag, component, type: 'high' | 'low' | 'rate',
+//     limit, deadband, window, priority, message, unit }] }
+// Rate limits are in units per minute, measured over `window` seconds.
+// Listeners: onChange() after any state change, onEvent(event) per log entry.
+export function createAlarmManager(config = {}, { onChange, onEvent } = {}) {
+  let rules = config.rules || [];
+  const alarms = {};
+  const history = {};   // rule id → recent samples for rate rules
+  const events = [];    // Newest first
+
+  rules.forEach(checkRule);
+  rules.forEach(addAlarm);
+
+  function checkRule(rule) {
+    if (!PRIORITIES.includes(rule.priority)) {
+      throw new Error(`Alarm rule "${rule.id}" has unknown priority "${rule.priority}"`);
+    }
+    if (!['high', 'low', 'rate'].includes(rule.type)) {
+      throw new Error(`Alarm rule "${rule.id}" has unknown type "${rule.type}"`);
+    }
+  }
+
+  function addAlarm(rule) {
+    alarms[rule.id] = {
+      id: rule.id,
+      rule,
+      active: false,
+      acknowledged: true,
+      shelvedUntil: 0,
+      value: null,
+      raisedAt: null,
+      clearedAt: null,
+    };
+    history[rule.id] = [];
+  }
+
+  function log(kind, alarm, timestamp) {
+    const event = { kind, alarmId: alarm.id, priority: alarm.rule.priority, message: alarm.rule.message, value: alarm.value, timestamp };
+    events.unshift(event);
+    if (events.length > MAX_EVENTS) events.length = MAX_EVENTS;
+    if (onEvent) onEvent(event);
+  }
+
+  function changed() {
+    if (onChange) onChange();
+  }
+
+  // Value the rule compares against its limit (the rate for rate rules).
+  // Rates need at least half a window of samples; until then it is NaN.
+  function measure(rule, value, timestamp) {
+    if (rule.type !== 'rate') return value;
+    const samples = history[rule.id];
+    samples.push({ t: timestamp, v: value });
+    const windowMs = (rule.window ?? 60) * 1000;
+    while (samples.length > 2 && timestamp - samples[1].t >= windowMs) samples.shift();
+    const first = samples[0];
+    if (timestamp - first.t < windowMs / 2) return NaN;
+    return (value - first.v) / ((timestamp - first.t) / 60000);
+  }
+
+  function breached(rule, measured, active) {
+    const deadband = active ? rule.deadband ?? 0 : 0;
+    if (rule.type === 'high') return measured > rule.limit - deadband;
+    if (rule.type === 'low') return measured < rule.limit + deadband;
+    return Math.abs(measured) > rule.limit - deadband;
+  }
+
+  return {
+    alarms,
+    events,
+
+    // Feed one tag reading through every rule that watches the tag
+    evaluate(tag, value, timestamp = Date.now()) {
+      let any = false;
+      rules.forEach(rule => {
+        if (rule.tag !== tag || !Number.isFinite(value)) return;
+        const alarm = alarms[rule.id];
+        const measured = measure(rule, value, timestamp);
+        if (Number.isNaN(measured)) return;
+        alarm.value = measured;
+        const inAlarm = breached(rule, measured, alarm.active);
+        if (inAlarm && !alarm.active) {
+          alarm.active = true;
+          alarm.acknowledged = false;
+          alarm.raisedAt = timestamp;
+          alarm.clearedAt = null;
+          log('raised', alarm, timestamp);
+          any = true;
+        } else if (!inAlarm && alarm.active) {
+          alarm.active = false;
+          alarm.clearedAt = timestamp;
+          log('cleared', alarm, timestamp);
+          any = true;
+        }
+      });
+      if (any) changed();
+    },
+
+    acknowledge(id, timestamp = Date.now()) {
+      const alarm = alarms[id];
+      if (!alarm || alarm.acknowledged) return;
+      alarm.acknowledged = true;
+      log('acknowledged', alarm, timestamp);
+      changed();
+    },
+
+    shelve(id, minutes = config.shelveMinutes ?? 15, timestamp = Date.now()) {
+      const alarm = alarms[id];
+      if (!alarm) return;
+      alarm.shelvedUntil = timestamp + minutes * 60000;
+      log('shelved', alarm, timestamp);
+      changed();
+    },
+
+    unshelve(id, timestamp = Date.now()) {
+      const alarm = alarms[id];
+      if (!alarm || !alarm.shelvedUntil) return;
+      alarm.shelvedUntil = 0;
+      log('unshelved', alarm, timestamp);
+      changed();
+    },
+
+    // Swap in a new rule list (e.g. after the network is edited). Alarms of
+    // rules that stay keep their state; those of dropped rules go quietly.
+    setRules(next) {
+      next.forEach(checkRule);
+      const ids = new Set(next.map(r => r.id));
+      Object.keys(alarms).filter(id => !ids.has(id)).forEach(id => {
+        delete alarms[id];
+        delete history[id];
+      });
+      next.forEach(rule => {
+        if (alarms[rule.id]) alarms[rule.id].rule = rule;
+        else addAlarm(rule);
+      });
+      rules = next;
+      changed();
+    },
+
+    // Return shelved alarms whose time is up
+    tick(timestamp = Date.now()) {
+      Object.values(alarms).forEach(alarm => {
+        if (alarm.shelvedUntil && timestamp >= alarm.shelvedUntil) this.unshelve(alarm.id, timestamp);
+      });
+    },
+
+    // Alarms an operator should see: active or unacknowledged, not shelved,
+    // most urgent and then most recent first
+    visible(timestamp = Date.now()) {
+      return Object.values(alarms)
+        .filter(a => (a.active || !a.acknowledged) && !(a.shelvedUntil > timestamp))
+        .sort((a, b) => PRIORITIES.indexOf(a.rule.priority) - PRIORITIES.indexOf(b.rule.priority)
+          || b.raisedAt - a.raisedAt);
+    },
+
+    shelved(timestamp = Date.now()) {
+      return Object.values(alarms).filter(a => a.shelvedUntil > timestamp);
+    },
+  };
+}
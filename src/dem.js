@@ -0,0 +1,239 @@
+// ═══════════════════════════════════════════════════════════
+//  DIGITAL ELEVATION MODEL
+//  Readers for ESRI ASCII grids, 16-bit greyscale PNG heightmaps and
+//  uncompressed single-band GeoTIFFs, plus bilinear sampling.
+//  A DEM is { cols, rows, cellSize, xll, yll, data } with data in metres,
+//  row 0 at the north edge.
+// ═══════════════════════════════════════════════════════════
+
+// Fetch a DEM file and pick the reader from its first bytes.
+// options.valueScale / valueOffset convert raw PNG/TIFF values to metres.
+export async function loadDem(url, options = {}) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load DEM "${url}" (HTTP ${res.status})`);
+  const buffer = await res.arrayBuffer();
+  const head = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+
+  let dem;
+  if (head[0] === 0x89 && head[1] === 0x50 && head[2] === 0x4E && head[3] === 0x47) {
+    dem = await parsePng16(buffer);
+  } else if ((head[0] === 0x49 && head[1] === 0x49) || (head[0] === 0x4D && head[1] === 0x4D)) {
+    dem = parseGeoTiff(buffer);
+  } else {
+    return parseAsciiGrid(new TextDecoder().decode(buffer));
+  }
+
+  const scale = options.valueScale ?? 1;
+  const offset = options.valueOffset ?? 0;
+  for (let i = 0; i < dem.data.length; i++) {
+    if (!Number.isNaN(dem.data[i])) dem.data[i] = dem.data[i] * scale + offset;
+  }
+  return dem;
+}
+
+// ESRI ASCII grid: six header lines then rows of values, north first
+export function parseAsciiGrid(text) {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  let i = 0;
+  while (i < tokens.length && /^[a-z_]+$/i.test(tokens[i])) {
+    header[tokens[i].toLowerCase()] = parseFloat(tokens[i + 1]);
+    i += 2;
+  }
+  const cols = header.ncols;
+  const rows = header.nrows;
+  if (!cols || !rows) throw new Error('ASCII grid is missing ncols/nrows');
+
+  const cellSize = header.cellsize;
+  const nodata = header.nodata_value;
+  const data = new Float32Array(cols * rows);
+  for (let k = 0; k < data.length; k++) {
+    const v = parseFloat(tokens[i + k]);
+    data[k] = v === nodata || Number.isNaN(v) ? NaN : v;
+  }
+
+  // Corner or centre registration — store the lower-left corner
+  const xll = header.xllcorner ?? header.xllcenter - cellSize / 2;
+  const yll = header.yllcorner ?? header.yllcenter - cellSize / 2;
+  return { cols, rows, cellSize, xll, yll, data };
+}
+
+// 16-bit greyscale PNG (colour type 0, bit depth 16, non-interlaced)
+export async function parsePng16(buffer) {
+  const view = new DataView(buffer);
+  let pos = 8;
+  let width = 0;
+  let height = 0;
+  const idat = [];
+
+  while (pos < buffer.byteLength) {
+    const length = view.getUint32(pos);
+    const type = String.fromCharCode(...new Uint8Array(buffer, pos + 4, 4));
+    const body = new Uint8Array(buffer, pos + 8, length);
+    if (type === 'IHDR') {
+      width = view.getUint32(pos + 8);
+      height = view.getUint32(pos + 12);
+      const bitDepth = body[8];
+      const colourType = body[9];
+      const interlace = body[12];
+      if (bitDepth !== 16 || colourType !== 0 || interlace !== 0) {
+        throw new Error('Heightmap PNG must be 16-bit greyscale, non-interlaced');
+      }
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    pos += 12 + length;
+  }
+
+  const raw = new Uint8Array(await new Response(
+    new Blob(idat).stream().pipeThrough(new DecompressionStream('deflate'))
+  ).arrayBuffer());
+
+  // Undo the per-scanline filters (2 bytes per pixel)
+  const bpp = 2;
+  const stride = width * bpp;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? pixels[dst + x - bpp] : 0;
+      const b = y > 0 ? pixels[dst + x - stride] : 0;
+      const c = x >= bpp && y > 0 ? pixels[dst + x - stride - bpp] : 0;
+      let v = raw[src + x];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        v += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      pixels[dst + x] = v & 0xFF;
+    }
+  }
+
+  const data = new Float32Array(width * height);
+  for (let k = 0; k < data.length; k++) data[k] = (pixels[k * 2] << 8) | pixels[k * 2 + 1];
+  return { cols: width, rows: height, cellSize: 1, xll: 0, yll: 0, data };
+}
+
+// DataView getter per TIFF SampleFormat (1 uint, 2 int, 3 float) and BitsPerSample
+const TIFF_SAMPLE_READERS = {
+  '1:8': 'getUint8',
+  '2:8': 'getInt8',
+  '1:16': 'getUint16',
+  '2:16': 'getInt16',
+  '1:32': 'getUint32',
+  '2:32': 'getInt32',
+  '3:32': 'getFloat32',
+  '3:64': 'getFloat64',
+};
+
+// Uncompressed, single-band, strip-organised GeoTIFF (8/16/32-bit int or
+// uint, 32/64-bit float)
+export function parseGeoTiff(buffer) {
+  const view = new DataView(buffer);
+  const little = view.getUint8(0) === 0x49;
+  const u16 = o => view.getUint16(o, little);
+  const u32 = o => view.getUint32(o, little);
+  const typeSize = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 11: 4, 12: 8 };
+
+  const ifd = u32(4);
+  const tags = {};
+  for (let i = 0, n = u16(ifd); i < n; i++) {
+    const e = ifd + 2 + i * 12;
+    const tag = u16(e);
+    const type = u16(e + 2);
+    const count = u32(e + 4);
+    const size = typeSize[type] * count;
+    const at = size > 4 ? u32(e + 8) : e + 8;
+    const values = [];
+    for (let k = 0; k < count; k++) {
+      const o = at + k * typeSize[type];
+      if (type === 3) values.push(u16(o));
+      else if (type === 4) values.push(u32(o));
+      else if (type === 12) values.push(view.getFloat64(o, little));
+      else if (type === 11) values.push(view.getFloat32(o, little));
+      else values.push(view.getUint8(o));
+    }
+    tags[tag] = values;
+  }
+
+  const cols = tags[256][0];
+  const rows = tags[257][0];
+  const bits = tags[258]?.[0] ?? 8;
+  const compression = tags[259]?.[0] ?? 1;
+  const format = tags[339]?.[0] ?? 1;   // 1 uint, 2 int, 3 float
+  const bands = tags[277]?.[0] ?? 1;
+  if (compression !== 1) throw new Error('Only uncompressed GeoTIFFs are supported');
+  if (!tags[273]) throw new Error('Only strip-organised GeoTIFFs are supported');
+  if (bands !== 1) throw new Error(`Only single-band GeoTIFFs are supported (this one has ${bands} bands)`);
+  const read = TIFF_SAMPLE_READERS[`${format}:${bits}`];
+  if (!read) throw new Error(`Unsupported GeoTIFF samples: ${bits}-bit ${{ 1: 'uint', 2: 'int', 3: 'float' }[format] || `format ${format}`}`);
+
+  const offsets = tags[273];
+  const rowsPerStrip = tags[278]?.[0] ?? rows;
+  const bytes = bits / 8;
+  const data = new Float32Array(cols * rows);
+  for (let k = 0; k < data.length; k++) {
+    const strip = Math.floor(Math.floor(k / cols) / rowsPerStrip);
+    const o = offsets[strip] + (k - strip * rowsPerStrip * cols) * bytes;
+    data[k] = view[read](o, little);
+  }
+
+  // GDAL nodata is stored as an ASCII tag
+  const nodataTag = tags[42113];
+  if (nodataTag) {
+    const nodata = parseFloat(String.fromCharCode(...nodataTag));
+    for (let k = 0; k < data.length; k++) if (data[k] === nodata) data[k] = NaN;
+  }
+
+  // ModelPixelScale + ModelTiepoint give cell size and the upper-left corner
+  const scale = tags[33550];
+  const tie = tags[33922];
+  const cellSize = scale ? scale[0] : 1;
+  const xll = tie ? tie[3] - tie[0] * cellSize : 0;
+  const yll = tie ? tie[4] + tie[1] * cellSize - rows * cellSize : 0;
+  return { cols, rows, cellSize, xll, yll, data };
+}
+
+// Lowest / highest valid value
+export function demRange(dem) {
+  let min = Infinity;
+  let max = -Infinity;
+  dem.data.forEach(v => {
+    if (Number.isNaN(v)) return;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  });
+  return { min, max };
+}
+
+// Bilinear sample at fractional grid position (u across columns 0..1
+// west → east, v across rows 0..1 north → south). No-data cells fall back
+// to the DEM minimum.
+export function sampleDem(dem, u, v) {
+  const fx = Math.max(0, Math.min(1, u)) * (dem.cols - 1);
+  const fy = Math.max(0, Math.min(1, v)) * (dem.rows - 1);
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(x0 + 1, dem.cols - 1);
+  const y1 = Math.min(y0 + 1, dem.rows - 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+
+  if (dem.fill === undefined) dem.fill = demRange(dem).min;
+  const at = (x, y) => {
+    const h = dem.data[y * dem.cols + x];
+    return Number.isNaN(h) ? dem.fill : h;
+  };
+  const top = at(x0, y0) * (1 - tx) + at(x1, y0) * tx;
+  const bottom = at(x0, y1) * (1 - tx) + at(x1, y1) * tx;
+  return top * (1 - ty) + bottom * ty;
+}
@@ -0,0 +1,322 @@
+// ═══════════════════════════════════════════════════════════
+//  NETWORK EDITOR
+//  Layout edits on a loaded network (see network.js): place, move and
+//  delete components and draw pipes between them. Positions are scene
+//  x/z; with a projection the node coords and pipe paths are kept in
+//  step, so the network still reads the way its file would. Moving a
+//  node shifts its hydraulic elevation with the ground and stretches
+//  its pipes with the distance. Undo and redo restore whole snapshots.
+// ═══════════════════════════════════════════════════════════
+
+const HISTORY_LIMIT = 100;
+
+// Components the editor can place, by network type. aboveGround is the
+// hydraulic elevation over the ground where it is placed (m).
+export const NODE_TEMPLATES = {
+  junction: {
+    summary: 'Pipe junction',
+    labelYOff: 7,
+    pipe: { yOff: 4 },
+    aboveGround: 0,
+    hydraulics: { kind: 'junction' },
+  },
+  village: {
+    summary: 'Delivery zone',
+    labelYOff: 10,
+    pipe: { yOff: 3 },
+    aboveGround: 12,
+    hydraulics: { kind: 'tank', level: 2, minLevel: 0.3, maxLevel: 4, diameter: 12, demand: 0.03, population: 1500, pattern: 'domestic' },
+  },
+};
+
+// Hydraulics of a pipe drawn in the editor: a distribution branch
+const PIPE_DEFAULTS = { diameter: 0.3, roughness: 130, designFlow: 0.1 };
+
+// Undo/redo over snapshots of the editable parts of a network (nodes,
+// links, valves and alarm rules). apply(edit) runs edit(network) and
+// keeps what it changed undoable; an edit that throws leaves the history
+// as it was, so edits check everything before they change anything.
+export function createEditHistory(network, limit = HISTORY_LIMIT) {
+  const undoStack = [];
+  const redoStack = [];
+  return {
+    apply(edit) {
+      const before = snapshot(network);
+      const result = edit(network);
+      undoStack.push(before);
+      if (undoStack.length > limit) undoStack.shift();
+      redoStack.length = 0;
+      return result;
+    },
+
+    undo() {
+      if (!undoStack.length) return false;
+      redoStack.push(snapshot(network));
+      restore(network, undoStack.pop());
+      return true;
+    },
+
+    redo() {
+      if (!redoStack.length) return false;
+      undoStack.push(snapshot(network));
+      restore(network, redoStack.pop());
+      return true;
+    },
+
+    get canUndo() { return undoStack.length > 0; },
+    get canRedo() { return redoStack.length > 0; },
+  };
+}
+
+// The editable parts of a network as plain data, as projects save them
+export function captureLayout(network) {
+  return snapshot(network);
+}
+
+// Replace the editable parts of a network with a captured layout, after
+// checking it fits the network's types (run it through the history to
+// keep it undoable)
+export function loadLayout(network, layout) {
+  const { nodes, links = [], valves = [], rules = [] } = layout || {};
+  if (!Array.isArray(nodes) || !nodes.length) throw new Error('Layout has no nodes');
+  const ids = new Set();
+  nodes.forEach(node => {
+    if (!node.id || ids.has(node.id)) throw new Error(`Layout node "${node.id}" is missing or repeated`);
+    if (!network.types[node.type]) throw new Error(`Layout node "${node.id}" has unknown type "${node.type}"`);
+    if (!Number.isFinite(node.position?.x) || !Number.isFinite(node.position?.z)) {
+      throw new Error(`Layout node "${node.id}" needs a numeric position {x, z}`);
+    }
+    checkText(node, `Layout node "${node.id}"`);
+    ids.add(node.id);
+  });
+  links.forEach(link => {
+    if (!ids.has(link.from) || !ids.has(link.to)) throw new Error(`Layout link "${link.id}" connects unknown nodes ${link.from} → ${link.to}`);
+    if (link.component && !ids.has(link.component)) throw new Error(`Layout link "${link.id}" refers to unknown component "${link.component}"`);
+    checkText(link, `Layout link "${link.id}"`);
+  });
+  valves.forEach(valve => {
+    if (!links.some(l => l.id === valve.link)) throw new Error(`Valve "${valve.id}" is on unknown link "${valve.link}"`);
+  });
+  rules.forEach(rule => {
+    if (!ids.has(rule.component)) throw new Error(`Alarm rule "${rule.id}" refers to unknown component "${rule.component}"`);
+  });
+  // What the editor cannot delete has to be there
+  network.nodes.filter(n => nodeLockReason(network, n.id, 'delete') && !ids.has(n.id)).forEach(n => {
+    throw new Error(`Layout is missing ${n.name}`);
+  });
+  network.links.filter(l => linkLockReason(network, l.id) && !links.some(k => k.id === l.id)).forEach(l => {
+    throw new Error(`Layout is missing ${l.name || l.id}`);
+  });
+  restore(network, structuredClone({ nodes, links, valves, rules }));
+}
+
+// Names, descriptions and stats end up in labels and cards: plain text only
+function checkText(item, where) {
+  ['id', 'name', 'desc'].forEach(key => {
+    if (item[key] != null && typeof item[key] !== 'string') throw new Error(`${where} has a non-text ${key}`);
+  });
+  if (item.stats != null && (typeof item.stats !== 'object' || Array.isArray(item.stats)
+      || !Object.values(item.stats).every(v => typeof v === 'string' || Number.isFinite(v)))) {
+    throw new Error(`${where} stats must be text or numbers`);
+  }
+}
+
+function snapshot(network) {
+  return structuredClone({
+    nodes: network.nodes,
+    links: network.links,
+    valves: network.valves || [],
+    rules: network.alarms?.rules || [],
+  });
+}
+
+function restore(network, snap) {
+  network.nodes = snap.nodes;
+  network.links = snap.links;
+  network.valves = snap.valves;
+  if (network.alarms) network.alarms.rules = snap.rules;
+  reindex(network);
+}
+
+function reindex(network) {
+  network.nodeById = Object.fromEntries(network.nodes.map(n => [n.id, n]));
+  network.linkById = Object.fromEntries(network.links.map(l => [l.id, l]));
+}
+
+// Why a node cannot be moved or deleted ('move' | 'delete'), or null.
+// Things the scenery is shaped around or the model depends on stay put.
+export function nodeLockReason(network, id, action) {
+  const node = network.nodeById[id];
+  if (!node) return `Unknown component "${id}"`;
+  const ends = l => l.from === id || l.to === id;
+  if (node.hydraulics?.storage) return `${node.name}: the terrain and shoreline are shaped around it`;
+  if ((network.gates || []).some(g => g.component === id)) return `${node.name}: its gates are part of the structure`;
+  if (network.links.some(l => l.component === id)) return `${node.name} is drawn along its links — edit those instead`;
+  if (network.links.some(l => l.hydraulics?.kind === 'canal' && ends(l))) return `${node.name} sits at the end of the surveyed canal`;
+  if (action !== 'delete') return null;
+  if (network.links.some(l => l.hydraulics?.pump && ends(l))) return `${node.name} is on the pumping main`;
+  if (network.links.some(l => l.hydraulics?.pump?.control?.tank === id)) return `${node.name} controls the pumps`;
+  return null;
+}
+
+// Why a link cannot be deleted, or null
+export function linkLockReason(network, id) {
+  const link = network.linkById[id];
+  if (!link) return `Unknown link "${id}"`;
+  if (!link.hydraulics) return `${link.name || id} is not part of the hydraulic network`;
+  if (link.hydraulics.kind === 'canal') return `${link.name || id} follows its surveyed route`;
+  if (link.hydraulics.pump) return `${link.name || id} carries the pumps`;
+  if ((network.gates || []).some(g => g.link === id)) return `${link.name || id} has a gate on it`;
+  return null;
+}
+
+// Place a component from NODE_TEMPLATES at a scene position on ground
+// at `ground` metres. It goes in before the last node, so the flow order
+// still ends where it did. Returns the new node.
+export function placeNode(network, type, position, ground) {
+  const template = NODE_TEMPLATES[type];
+  if (!template || !network.types[type]) throw new Error(`Cannot place a "${type}" in this network`);
+  const { aboveGround, ...fields } = structuredClone(template);
+  const number = nextNumber(network.nodes, type);
+  const name = `New ${type[0].toUpperCase()}${type.slice(1)} ${number}`;
+  const node = { id: `${type}-${number}`, type, name, shortName: name, label: name.toUpperCase(), ...fields };
+  node.hydraulics.elevation = Math.round(ground + aboveGround);
+  if (node.hydraulics.pattern && !network.demandPatterns?.[node.hydraulics.pattern]) delete node.hydraulics.pattern;
+  setPosition(network, node, position);
+  network.nodes.splice(Math.max(0, network.nodes.length - 1), 0, node);
+  reindex(network);
+  return node;
+}
+
+// Move a node to a scene position. groundShift is how much higher the
+// ground is there (m); the node's elevation follows it and its pipes
+// stretch or shrink with their drawn length.
+export function moveNode(network, id, position, groundShift = 0) {
+  const reason = nodeLockReason(network, id, 'move');
+  if (reason) throw new Error(reason);
+  const node = network.nodeById[id];
+  const pipes = network.links.filter(l => l.hydraulics && l.hydraulics.kind !== 'canal' && (l.from === id || l.to === id));
+  const before = pipes.map(l => drawnLength(network, l));
+  setPosition(network, node, position);
+  pipes.forEach((link, i) => {
+    if (before[i] > 0) link.hydraulics.length = Math.round(link.hydraulics.length * drawnLength(network, link) / before[i]);
+  });
+  if (node.hydraulics?.elevation !== undefined) {
+    node.hydraulics.elevation = Math.round((node.hydraulics.elevation + groundShift) * 10) / 10;
+  }
+}
+
+// Delete a node with its links, the valves on them and the alarm rules
+// on any of them. Returns the ids of the links that went with it.
+export function deleteNode(network, id) {
+  const reason = nodeLockReason(network, id, 'delete');
+  if (reason) throw new Error(reason);
+  const links = network.links.filter(l => l.from === id || l.to === id).map(l => l.id);
+  removeLinks(network, links);
+  network.nodes = network.nodes.filter(n => n.id !== id);
+  removeRules(network, rule => rule.component === id || watches(rule, id));
+  reindex(network);
+  return links;
+}
+
+export function deleteLink(network, id) {
+  const reason = linkLockReason(network, id);
+  if (reason) throw new Error(reason);
+  removeLinks(network, [id]);
+  reindex(network);
+}
+
+// Draw a pipe between two hydraulic nodes through scene points [{ x, z }]
+// on the way; the points take the ground height wherever they are drawn.
+// It is pumped if the water reaching its start was pumped. Returns the link.
+export function addPipe(network, fromId, toId, via = []) {
+  const from = network.nodeById[fromId];
+  const to = network.nodeById[toId];
+  if (!from || !to || fromId === toId) throw new Error('A pipe needs two different components');
+  [from, to].forEach(node => {
+    if (!node.hydraulics) throw new Error(`${node.name} is not part of the hydraulic network`);
+  });
+  if (network.links.some(l => (l.from === fromId && l.to === toId) || (l.from === toId && l.to === fromId))) {
+    throw new Error(`${from.name} and ${to.name} are already connected`);
+  }
+
+  const number = nextNumber(network.links, 'pipe');
+  const pumped = network.links.some(l => l.to === fromId && (l.kind === 'pumped' || l.hydraulics?.pump));
+  const link = {
+    id: `pipe-${number}`,
+    name: `Pipe ${number}`,
+    from: fromId,
+    to: toId,
+    kind: pumped ? 'pumped' : 'gravity',
+    hydraulics: { length: 0, ...PIPE_DEFAULTS },
+  };
+  // Same component as the other pipes, so it picks and glows with them
+  const component = network.links.find(l => l.hydraulics && l.hydraulics.kind !== 'canal' && l.component)?.component;
+  if (component) link.component = component;
+  if (via.length) {
+    link.route = via.map(p => [p.x, null, p.z]);
+    if (network.projection) {
+      link.path = via.map(p => {
+        const { lat, lon } = network.projection.toLatLon(p.x, p.z);
+        return [round(lon, 6), round(lat, 6)];
+      });
+    }
+  }
+  // Ends without a pipe connection get one
+  [from, to].forEach(node => { if (!node.pipe) node.pipe = { yOff: 3 }; });
+  link.hydraulics.length = Math.round(drawnLength(network, link) * (network.projection?.metresPerUnit ?? 1));
+  network.links.push(link);
+  reindex(network);
+  return link;
+}
+
+// Plan length of a link in scene units: node to node through its route
+function drawnLength(network, link) {
+  const points = [
+    network.nodeById[link.from].position,
+    ...(link.route || []).map(([x, , z]) => ({ x, z })),
+    network.nodeById[link.to].position,
+  ];
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+  }
+  return length;
+}
+
+function setPosition(network, node, { x, z }) {
+  node.position = { x, z };
+  if (network.projection) {
+    const { lat, lon } = network.projection.toLatLon(x, z);
+    node.coords = { lat: round(lat, 6), lon: round(lon, 6) };
+  }
+}
+
+function removeLinks(network, ids) {
+  if (!ids.length) return;
+  network.links = network.links.filter(l => !ids.includes(l.id));
+  network.valves = (network.valves || []).filter(v => !ids.includes(v.link));
+  removeRules(network, rule => ids.some(id => watches(rule, id)));
+}
+
+function removeRules(network, match) {
+  if (network.alarms?.rules) network.alarms.rules = network.alarms.rules.filter(rule => !match(rule));
+}
+
+// A rule on a "model:<id>.<field>" tag of the node or link
+function watches(rule, id) {
+  return rule.tag?.startsWith(`model:${id}.`);
+}
+
+// Lowest number not yet used in "<prefix>-<n>" ids
+function nextNumber(items, prefix) {
+  const used = new Set(items.map(item => item.id));
+  let n = 1;
+  while (used.has(`${prefix}-${n}`)) n++;
+  return n;
+}
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
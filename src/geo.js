@@ -0,0 +1,143 @@
+// ═══════════════════════════════════════════════════════════
+//  COORDINATE REFERENCE SYSTEM
+//  Maps WGS84 lat/long to projected metres (UTM or a local
+//  equirectangular plane) and metres to scene units. Scene +x is
+//  east, -z is north, and the projection origin sits at x = z = 0.
+// ═══════════════════════════════════════════════════════════
+
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const UTM_K0 = 0.9996;
+const DEG = Math.PI / 180;
+
+// UTM zone number for a longitude
+export function utmZone(lon) {
+  return Math.floor((lon + 180) / 6) + 1;
+}
+
+// Lat/long → UTM easting/northing in the given zone (Snyder's series)
+export function toUtm(lat, lon, zone = utmZone(lon)) {
+  const lon0 = (zone - 1) * 6 - 180 + 3;
+  const phi = lat * DEG;
+  const ep2 = WGS84_E2 / (1 - WGS84_E2);
+  const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * Math.sin(phi) ** 2);
+  const t = Math.tan(phi) ** 2;
+  const c = ep2 * Math.cos(phi) ** 2;
+  const a = Math.cos(phi) * (lon - lon0) * DEG;
+  const m = meridionalArc(phi);
+
+  const easting = UTM_K0 * n * (a + (1 - t + c) * a ** 3 / 6
+    + (5 - 18 * t + t * t + 72 * c - 58 * ep2) * a ** 5 / 120) + 500000;
+  let northing = UTM_K0 * (m + n * Math.tan(phi) * (a * a / 2
+    + (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24
+    + (61 - 58 * t + t * t + 600 * c - 330 * ep2) * a ** 6 / 720));
+  if (lat < 0) northing += 10000000;
+  return { easting, northing, zone, south: lat < 0 };
+}
+
+// UTM easting/northing → lat/long
+export function fromUtm(easting, northing, zone, south) {
+  const lon0 = (zone - 1) * 6 - 180 + 3;
+  const ep2 = WGS84_E2 / (1 - WGS84_E2);
+  const x = easting - 500000;
+  const y = south ? northing - 10000000 : northing;
+
+  const m = y / UTM_K0;
+  const mu = m / (WGS84_A * (1 - WGS84_E2 / 4 - 3 * WGS84_E2 ** 2 / 64 - 5 * WGS84_E2 ** 3 / 256));
+  const e1 = (1 - Math.sqrt(1 - WGS84_E2)) / (1 + Math.sqrt(1 - WGS84_E2));
+  const phi1 = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+    + (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+    + (151 * e1 ** 3 / 96) * Math.sin(6 * mu);
+
+  const n1 = WGS84_A / Math.sqrt(1 - WGS84_E2 * Math.sin(phi1) ** 2);
+  const t1 = Math.tan(phi1) ** 2;
+  const c1 = ep2 * Math.cos(phi1) ** 2;
+  const r1 = WGS84_A * (1 - WGS84_E2) / (1 - WGS84_E2 * Math.sin(phi1) ** 2) ** 1.5;
+  const d = x / (n1 * UTM_K0);
+
+  const lat = phi1 - (n1 * Math.tan(phi1) / r1) * (d * d / 2
+    - (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * d ** 4 / 24
+    + (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * d ** 6 / 720);
+  const lon = (d - (1 + 2 * t1 + c1) * d ** 3 / 6
+    + (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * d ** 5 / 120) / Math.cos(phi1);
+  return { lat: lat / DEG, lon: lon0 + lon / DEG };
+}
+
+function meridionalArc(phi) {
+  const e2 = WGS84_E2;
+  return WGS84_A * ((1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 ** 3 / 256) * phi
+    - (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi)
+    + (15 * e2 * e2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi)
+    - (35 * e2 ** 3 / 3072) * Math.sin(6 * phi));
+}
+
+// Build a projection from a network "projection" entry:
+//   { type: 'utm' | 'equirectangular', origin: { lat, lon }, metresPerUnit, zone? }
+// Projected metres are absolute UTM coordinates for 'utm' and metres
+// east/north of the origin for 'equirectangular'.
+export function createProjection(def) {
+  const { origin } = def;
+  const metresPerUnit = def.metresPerUnit || 1;
+
+  let project;
+  let unproject;
+  let name;
+  if (def.type === 'utm') {
+    const zone = def.zone || utmZone(origin.lon);
+    const south = origin.lat < 0;
+    project = (lat, lon) => {
+      const u = toUtm(lat, lon, zone);
+      return { easting: u.easting, northing: u.northing };
+    };
+    unproject = (easting, northing) => fromUtm(easting, northing, zone, south);
+    name = `UTM ${zone}${south ? 'S' : 'N'}`;
+  } else if (def.type === 'equirectangular') {
+    const R = WGS84_A;
+    const cosLat = Math.cos(origin.lat * DEG);
+    project = (lat, lon) => ({
+      easting: R * (lon - origin.lon) * DEG * cosLat,
+      northing: R * (lat - origin.lat) * DEG,
+    });
+    unproject = (easting, northing) => ({
+      lat: origin.lat + northing / R / DEG,
+      lon: origin.lon + easting / (R * cosLat) / DEG,
+    });
+    name = 'Equirectangular';
+  } else {
+    throw new Error(`Unknown projection type "${def.type}"`);
+  }
+
+  const o = project(origin.lat, origin.lon);
+  return {
+    name,
+    metresPerUnit,
+    project,
+    unproject,
+    // Projected metres ↔ scene
+    metresToScene: (easting, northing) => ({
+      x: (easting - o.easting) / metresPerUnit,
+      z: -(northing - o.northing) / metresPerUnit,
+    }),
+    sceneToMetres: (x, z) => ({
+      easting: o.easting + x * metresPerUnit,
+      northing: o.northing - z * metresPerUnit,
+    }),
+    // Lat/long ↔ scene
+    toScene(lat, lon) {
+      const p = project(lat, lon);
+      return this.metresToScene(p.easting, p.northing);
+    },
+    toLatLon(x, z) {
+      const m = this.sceneToMetres(x, z);
+      return unproject(m.easting, m.northing);
+    },
+  };
+}
+
+// "6.81234° S, 35.71234° E"
+export function formatLatLon(lat, lon, digits = 5) {
+  const ns = lat < 0 ? 'S' : 'N';
+  const ew = lon < 0 ? 'W' : 'E';
+  return `${Math.abs(lat).toFixed(digits)}° ${ns}, ${Math.abs(lon).toFixed(digits)}° ${ew}`;
+}
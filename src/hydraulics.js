@@ -0,0 +1,928 @@
+// ═══════════════════════════════════════════════════════════
+//  HYDRAULIC ENGINE
+//  Steady-state network solver using the global gradient method
+//  (Todini & Pilati, as in EPANET). Reservoirs and tanks are fixed
+//  heads; junction heads and link flows are solved together.
+//  Leaks are emitters (q = C·√p) splitting their link; isolation
+//  valves split links the same way and close the section beside them.
+//  A reservoir with "storage" changes level from inflow minus release
+//  between solves (through its level–area curve, if it has one); its
+//  spillway releases outside the network.
+//  Demands follow daily patterns on the model clock; a tank supplies its
+//  demand from above its outlet (minLevel) and runs dry below it.
+//  Junctions with no way through to a reservoir or tank (and their links)
+//  are left out until something connects them.
+//  Units: metres, seconds, m³/s.
+// ═══════════════════════════════════════════════════════════
+
+export const GRAVITY = 9.81;
+export const WATER_DENSITY = 1000;
+export const M_TO_BAR = (WATER_DENSITY * GRAVITY) / 1e5;
+
+const MAX_ITERATIONS = 60;
+const ACCURACY = 1e-5;          // Sum |ΔQ| / Sum |Q| to stop at
+const FLOW_TOLERANCE = 1e-6;    // ...or Sum |ΔQ| below this, for networks standing still
+const CLOSED_RESISTANCE = 1e8;  // h = R·Q for a closed link
+const SMALL_FLOW = 1e-4;        // Below this, friction is linearised
+
+// Build a solver model from the hydraulic attributes in the network file.
+// Nodes/links without a "hydraulics" entry are visual only and skipped.
+export function createHydraulicModel(network) {
+  const nodes = [];
+  const nodeIndex = {};
+  const cutOff = unconnectedJunctions(network);
+  network.nodes.forEach(node => {
+    const h = node.hydraulics;
+    if (!h || cutOff.has(node.id)) return;
+    const entry = {
+      id: node.id,
+      kind: h.kind || 'junction',
+      elevation: h.elevation ?? h.head ?? 0,
+      demand: h.demand || 0,
+      baseDemand: h.demand || 0,
+      pattern: demandPattern(network, node.id, h.pattern),
+      designPopulation: h.population,
+      population: h.population,
+    };
+    if (entry.kind === 'reservoir') entry.head = h.head;
+    if (entry.kind === 'reservoir' && h.storage) {
+      entry.storage = { area: h.storage.area, curve: h.storage.curve, inflow: h.storage.inflow ?? 0 };
+      entry.spillway = h.spillway && { crest: h.spillway.crest, length: h.spillway.length, coefficient: h.spillway.coefficient ?? 1.7 };
+    }
+    if (entry.kind === 'tank') {
+      entry.level = h.level;
+      entry.minLevel = h.minLevel ?? 0;
+      entry.maxLevel = h.maxLevel ?? Infinity;
+      entry.area = Math.PI * (h.diameter / 2) ** 2;
+      entry.supplied = entry.demand;
+      entry.dry = false;
+    }
+    nodeIndex[node.id] = nodes.length;
+    nodes.push(entry);
+  });
+
+  const links = [];
+  const leftOut = new Set();
+  network.links.forEach(link => {
+    const h = link.hydraulics;
+    if (!h) return;
+    if (cutOff.has(link.from) || cutOff.has(link.to)) {
+      leftOut.add(link.id);
+      return;
+    }
+    if (nodeIndex[link.from] === undefined || nodeIndex[link.to] === undefined) {
+      throw new Error(`Hydraulic link "${link.id}" needs hydraulic nodes at both ends`);
+    }
+    const entry = {
+      id: link.id,
+      from: link.from,
+      to: link.to,
+      kind: h.kind || 'pipe',
+      length: h.length,
+      diameter: h.diameter,
+      roughness: h.roughness,
+      minorLoss: h.minorLoss || 0,
+      width: h.width,
+      depth: h.depth,
+      status: 'open',
+    };
+    if (h.pump) entry.pump = createPumpStation(h.pump);
+    links.push(entry);
+  });
+
+  const valves = (network.valves || []).filter(v => !leftOut.has(v.link)).map(v => {
+    if (!links.some(l => l.id === v.link)) throw new Error(`Valve "${v.id}" is on unknown hydraulic link "${v.link}"`);
+    return { id: v.id, linkId: v.link, position: v.position, closed: !!v.closed };
+  });
+
+  // Gates are sluices: on a link (throttling it) or on a storage
+  // reservoir's spillway (releasing from it)
+  const gates = (network.gates || []).map(g => {
+    if (g.link && !links.some(l => l.id === g.link)) throw new Error(`Gate "${g.id}" is on unknown hydraulic link "${g.link}"`);
+    if (g.node && !nodes[nodeIndex[g.node]]?.storage) throw new Error(`Gate "${g.id}" needs a storage reservoir, not "${g.node}"`);
+    if (!g.link === !g.node) throw new Error(`Gate "${g.id}" needs either a "link" or a "node"`);
+    return {
+      id: g.id,
+      linkId: g.link,
+      nodeId: g.node,
+      opening: g.opening ?? 1,
+      discharge: g.discharge ?? 0.6,
+      area: g.area,
+      sill: g.sill,
+      width: g.width,
+      height: g.height,
+    };
+  });
+
+  const model = {
+    headloss: network.hydraulics?.headloss || 'H-W',
+    designFlow: network.hydraulics?.designFlow || 1,
+    time: parseClockTime(network.hydraulics?.startTime ?? '00:00'),
+    nodes,
+    links,
+    nodeIndex,
+    valves,
+    gates,
+    leaks: [],
+  };
+  updateDemands(model);
+  return model;
+}
+
+// Hydraulic junctions that no chain of hydraulic links joins to a
+// reservoir or tank: with nothing to fix their head they cannot be solved
+function unconnectedJunctions(network) {
+  const hydraulic = network.nodes.filter(n => n.hydraulics);
+  const links = network.links.filter(l => l.hydraulics);
+  const reached = new Set(hydraulic.filter(n => (n.hydraulics.kind || 'junction') !== 'junction').map(n => n.id));
+  let grew = true;
+  while (grew) {
+    grew = false;
+    links.forEach(link => {
+      if (reached.has(link.from) === reached.has(link.to)) return;
+      reached.add(link.from);
+      reached.add(link.to);
+      grew = true;
+    });
+  }
+  return new Set(hydraulic.filter(n => !reached.has(n.id)).map(n => n.id));
+}
+
+// Hourly multipliers (24, averaging 1) named by a node from the network's
+// "demandPatterns"; none means a flat demand
+function demandPattern(network, nodeId, name) {
+  if (!name) return null;
+  const pattern = network.demandPatterns?.[name];
+  if (!Array.isArray(pattern) || pattern.length !== 24) {
+    throw new Error(`Node "${nodeId}" needs demand pattern "${name}" with 24 hourly values`);
+  }
+  return pattern;
+}
+
+// "HH:MM" → seconds since midnight
+export function parseClockTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) throw new Error(`Bad clock time "${text}"`);
+  return Number(match[1]) * 3600 + Number(match[2]) * 60;
+}
+
+// Pattern multiplier at a time of day (s), linear between the hours
+export function patternFactor(pattern, time) {
+  if (!pattern) return 1;
+  const hour = (((time / 3600) % 24) + 24) % 24;
+  const i = Math.floor(hour);
+  return pattern[i] + (pattern[(i + 1) % 24] - pattern[i]) * (hour - i);
+}
+
+// Node demands at the model clock, scaled by population where one is given
+export function updateDemands(model) {
+  model.nodes.forEach(node => {
+    const scale = node.designPopulation ? node.population / node.designPopulation : 1;
+    node.demand = node.baseDemand * scale * patternFactor(node.pattern, model.time);
+  });
+}
+
+export function setPopulation(model, nodeId, population) {
+  const node = model.nodes[model.nodeIndex[nodeId]];
+  if (!node?.designPopulation) throw new Error(`Node "${nodeId}" has no population to scale`);
+  node.population = Math.max(0, population);
+  updateDemands(model);
+}
+
+export function setModelTime(model, time) {
+  model.time = ((time % 86400) + 86400) % 86400;
+  updateDemands(model);
+}
+
+// Add a leak at a fraction of a link's length. coefficient is the emitter
+// C in m³/s per √m of pressure; elevation defaults to the interpolated one.
+export function addLeak(model, { id, linkId, position, coefficient, elevation }) {
+  const link = model.links.find(l => l.id === linkId);
+  if (!link) throw new Error(`Cannot place a leak on unknown link "${linkId}"`);
+  if (link.kind === 'canal') throw new Error('Leaks can only be placed on pressurised pipes');
+  const leak = { id, linkId, position: Math.min(0.999, Math.max(0.001, position)), coefficient, elevation };
+  model.leaks.push(leak);
+  return leak;
+}
+
+export function removeLeak(model, id) {
+  model.leaks = model.leaks.filter(l => l.id !== id);
+}
+
+export function setValve(model, id, closed) {
+  const valve = model.valves.find(v => v.id === id);
+  if (valve) valve.closed = closed;
+}
+
+// Gate opening as a fraction of fully open
+export function setGate(model, id, opening) {
+  const gate = model.gates.find(g => g.id === id);
+  if (!gate) throw new Error(`Unknown gate "${id}"`);
+  gate.opening = Math.max(0, Math.min(1, opening));
+}
+
+// What a storage reservoir releases outside the network at its current
+// level: free overflow across the spillway crest (weir, Q = C·L·H^1.5)
+// and each spillway gate's underflow (orifice, Q = Cd·a·√(2g·h))
+export function spillFlows(model, node) {
+  const s = node.spillway;
+  const overflow = s && node.head > s.crest ? s.coefficient * s.length * (node.head - s.crest) ** 1.5 : 0;
+  const gates = {};
+  model.gates.filter(g => g.nodeId === node.id).forEach(g => {
+    const depth = node.head - g.sill;
+    gates[g.id] = depth > 0 ? g.discharge * g.width * g.height * g.opening * Math.sqrt(2 * GRAVITY * depth) : 0;
+  });
+  return { overflow, gates };
+}
+
+// Surface area (m²) of a storage reservoir at a level. The level–area
+// curve [[level, area], ...] is linear between points and flat beyond
+// them; without a curve the area is constant.
+export function storageArea(storage, level) {
+  const curve = storage.curve;
+  if (!curve) return storage.area;
+  if (level <= curve[0][0]) return curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [h0, a0] = curve[i - 1];
+    const [h1, a1] = curve[i];
+    if (level <= h1) return a0 + (a1 - a0) * (level - h0) / (h1 - h0);
+  }
+  return curve[curve.length - 1][1];
+}
+
+// Stored volume (m³) at a level: the area integrated up from the bottom
+// of the curve (from level 0 without a curve)
+export function storageVolume(storage, level) {
+  const curve = storage.curve;
+  if (!curve) return storage.area * level;
+  let volume = 0;
+  let h = curve[0][0];
+  for (let i = 1; i < curve.length && h < level; i++) {
+    const top = Math.min(level, curve[i][0]);
+    volume += (storageArea(storage, h) + storageArea(storage, top)) / 2 * (top - h);
+    h = top;
+  }
+  if (level > h) volume += storageArea(storage, h) * (level - h);
+  return volume;
+}
+
+// Level at a stored volume (inverse of storageVolume)
+export function storageLevel(storage, volume) {
+  const curve = storage.curve;
+  if (!curve) return volume / storage.area;
+  let below = 0;
+  for (let i = 1; i < curve.length; i++) {
+    const [h0, a0] = curve[i - 1];
+    const [h1, a1] = curve[i];
+    const segment = (a0 + a1) / 2 * (h1 - h0);
+    if (volume <= below + segment) {
+      // Area is linear in the segment, so volume is quadratic in depth
+      const v = Math.max(0, volume - below);
+      const k = (a1 - a0) / (h1 - h0);
+      const d = Math.abs(k) < 1e-9 ? v / a0 : (Math.sqrt(a0 * a0 + 2 * k * v) - a0) / k;
+      return h0 + d;
+    }
+    below += segment;
+  }
+  const [top, area] = curve[curve.length - 1];
+  return top + (volume - below) / area;
+}
+
+// Nearest valves either side of a leak on its link (either may be undefined)
+export function isolationValves(model, leakId) {
+  const leak = model.leaks.find(l => l.id === leakId);
+  if (!leak) return {};
+  const onLink = model.valves.filter(v => v.linkId === leak.linkId).sort((a, b) => a.position - b.position);
+  return {
+    upstream: onLink.filter(v => v.position < leak.position).pop(),
+    downstream: onLink.find(v => v.position > leak.position),
+  };
+}
+
+// Ids of a station's units as the model names them: P1…Pn
+export function pumpUnitIds(def) {
+  return Array.from({ length: def.count }, (_, i) => `P${i + 1}`);
+}
+
+// Pump station state: identical units in parallel, each with its own
+// start/stop command, VFD speed and trip. "held" is set while the tank
+// level control has the whole station stopped.
+function createPumpStation(def) {
+  const { running = def.count, speed = 1, ...rest } = def;
+  return {
+    ...rest,
+    auto: !!def.control,
+    held: false,
+    units: pumpUnitIds(def).map((id, i) => ({ id, on: i < running, speed, tripped: null })),
+  };
+}
+
+// Units actually turning: commanded on, not tripped, not held off
+export function runningUnits(pump) {
+  return pump.held ? [] : pump.units.filter(u => u.on && !u.tripped);
+}
+
+// Operator commands for one unit: { on, speed } (either may be omitted)
+export function setPumpUnit(model, linkId, unitId, { on, speed } = {}) {
+  const unit = findPumpUnit(model, linkId, unitId);
+  if (on !== undefined) unit.on = on;
+  if (speed !== undefined) unit.speed = Math.max(0, Math.min(1, speed));
+}
+
+export function tripPump(model, linkId, unitId, reason = 'Fault') {
+  const unit = findPumpUnit(model, linkId, unitId);
+  if (unit.on && !unit.tripped) unit.tripped = reason;
+}
+
+// Clear a trip; the unit stays stopped until started again
+export function resetPump(model, linkId, unitId) {
+  const unit = findPumpUnit(model, linkId, unitId);
+  if (!unit.tripped) return;
+  unit.tripped = null;
+  unit.on = false;
+}
+
+// Switch a station's tank level control on or off
+export function setPumpAuto(model, linkId, auto) {
+  const pump = model.links.find(l => l.id === linkId)?.pump;
+  if (!pump) throw new Error(`Link "${linkId}" has no pumps`);
+  pump.auto = auto && !!pump.control;
+  if (!pump.auto) pump.held = false;
+}
+
+function findPumpUnit(model, linkId, unitId) {
+  const pump = model.links.find(l => l.id === linkId)?.pump;
+  const unit = pump?.units.find(u => u.id === unitId);
+  if (!unit) throw new Error(`Unknown pump "${unitId}" on link "${linkId}"`);
+  return unit;
+}
+
+// Running state of a model as plain data: clock, lake and tank levels,
+// populations, valve, gate and pump settings, and leaks. Projects save it;
+// restoreState puts it back.
+export function captureState(model) {
+  const nodes = {};
+  model.nodes.forEach(node => {
+    const state = {};
+    if (node.storage) state.head = node.head;
+    if (node.kind === 'tank') Object.assign(state, { level: node.level, supplied: node.supplied, dry: node.dry });
+    if (node.designPopulation) state.population = node.population;
+    if (Object.keys(state).length) nodes[node.id] = state;
+  });
+  return structuredClone({
+    time: model.time,
+    nodes,
+    valves: Object.fromEntries(model.valves.map(v => [v.id, v.closed])),
+    gates: Object.fromEntries(model.gates.map(g => [g.id, g.opening])),
+    pumps: Object.fromEntries(model.links.filter(l => l.pump)
+      .map(l => [l.id, { auto: l.pump.auto, held: l.pump.held, units: l.pump.units }])),
+    leaks: model.leaks,
+  });
+}
+
+// Apply a captured state to a model, which may have been built from an
+// edited network: whatever is no longer there is left out, and leaks only
+// stay on pipes that still exist
+export function restoreState(model, state) {
+  model.time = state.time ?? model.time;
+  model.nodes.forEach(node => {
+    const old = state.nodes?.[node.id];
+    if (!old) return;
+    if (node.storage && old.head !== undefined) node.head = old.head;
+    if (node.kind === 'tank' && old.level !== undefined) {
+      node.level = Math.min(node.maxLevel, old.level);
+      node.supplied = old.supplied;
+      node.dry = old.dry;
+    }
+    if (node.designPopulation && old.population !== undefined) node.population = old.population;
+  });
+  model.valves.forEach(valve => {
+    if (state.valves?.[valve.id] !== undefined) valve.closed = state.valves[valve.id];
+  });
+  model.gates.forEach(gate => {
+    if (state.gates?.[gate.id] !== undefined) gate.opening = state.gates[gate.id];
+  });
+  model.links.forEach(link => {
+    const old = state.pumps?.[link.id];
+    if (!link.pump || !old) return;
+    link.pump.auto = old.auto;
+    link.pump.held = old.held;
+    link.pump.units.forEach(unit => Object.assign(unit, old.units.find(u => u.id === unit.id)));
+  });
+  model.leaks = (state.leaks || []).filter(leak => model.links.some(l => l.id === leak.linkId && l.kind !== 'canal'))
+    .map(leak => ({ ...leak }));
+  updateDemands(model);
+}
+
+// Carry the running state of a model over to one rebuilt from an edited network
+export function transferState(from, to) {
+  restoreState(to, captureState(from));
+}
+
+// Run a copy of the model forward for duration seconds in steps of dt,
+// leaving the model itself alone. Returns the results at each step, now first.
+export function simulateAhead(model, duration, dt) {
+  const copy = structuredClone(model);
+  const steps = [];
+  for (let t = 0; t <= duration; t += dt) {
+    const results = solveHydraulics(copy);
+    steps.push(results);
+    if (t + dt <= duration) stepTanks(copy, results, dt);
+  }
+  return steps;
+}
+
+// Cross-section flow area of a link (m²)
+export function linkArea(link) {
+  if (link.kind === 'canal') return link.width * link.depth;
+  return Math.PI * (link.diameter / 2) ** 2;
+}
+
+// One unit's curve h = s²·h0 − r·q², so speed s follows the affinity laws
+export function unitHead(pump, speed, q) {
+  return speed ** 2 * pump.shutoffHead - curveResistance(pump) * Math.max(0, q) ** 2;
+}
+
+// One unit's efficiency: a parabola peaking at the (speed-scaled) rated flow
+export function unitEfficiency(pump, speed, q) {
+  if (q <= 0 || speed <= 0) return 0;
+  const x = q / (pump.ratedFlow * speed);
+  return Math.max(0.05, pump.efficiency * (2 * x - x * x));
+}
+
+function curveResistance(pump) {
+  return (pump.shutoffHead - pump.ratedHead) / pump.ratedFlow ** 2;
+}
+
+// Flow each unit gives against a shared head H; a unit whose shutoff
+// head is below H gives nothing (its non-return valve stays shut)
+function unitFlows(pump, units, head) {
+  const r = curveResistance(pump);
+  return units.map(u => Math.sqrt(Math.max(0, u.speed ** 2 * pump.shutoffHead - head) / r));
+}
+
+// Head a link's running units add together at total flow q (m). Units in
+// parallel share one head, so with mixed speeds the head is found by
+// bisection on the combined curve.
+export function pumpHead(pump, q) {
+  const units = runningUnits(pump);
+  if (!units.length) return 0;
+  const top = Math.max(...units.map(u => u.speed ** 2 * pump.shutoffHead));
+  if (q <= 0) return top;
+  if (units.every(u => u.speed === units[0].speed)) return unitHead(pump, units[0].speed, q / units.length);
+  let lo = top - curveResistance(pump) * q ** 2;   // The fastest unit alone gives q here
+  let hi = top;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (unitFlows(pump, units, mid).reduce((s, f) => s + f, 0) > q) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Each running unit's share of flow q: { id, speed, flow, efficiency, power }
+export function pumpDuty(pump, q) {
+  const units = runningUnits(pump);
+  const head = pumpHead(pump, q);
+  const flows = q > 0 ? unitFlows(pump, units, head) : units.map(() => 0);
+  return units.map((u, i) => {
+    const efficiency = unitEfficiency(pump, u.speed, flows[i]);
+    return {
+      id: u.id,
+      speed: u.speed,
+      flow: flows[i],
+      efficiency,
+      power: efficiency ? (WATER_DENSITY * GRAVITY * flows[i] * head) / efficiency : 0,
+    };
+  });
+}
+
+// Station efficiency at flow q: hydraulic power over the units' shaft power
+export function pumpEfficiency(pump, q) {
+  const duty = pumpDuty(pump, q);
+  const shaft = duty.reduce((s, d) => s + (d.efficiency ? d.flow / d.efficiency : 0), 0);
+  return shaft > 0 ? duty.reduce((s, d) => s + d.flow, 0) / shaft : 0;
+}
+
+// Friction + minor loss h(q) and its derivative for one link
+function linkLoss(link, q, headloss) {
+  const aq = Math.max(Math.abs(q), SMALL_FLOW);
+  let h = 0;
+  let dh = 0;
+
+  if (link.kind === 'emitter') {
+    // q = C·√p  →  p = q² / C²
+    const r = 1 / link.coefficient ** 2;
+    return { h: r * aq * q, dh: 2 * r * aq };
+  }
+  if (link.kind === 'canal') {
+    // Manning's equation for a rectangular channel running at its design depth
+    const area = link.width * link.depth;
+    const radius = area / (link.width + 2 * link.depth);
+    const r = (link.length * link.roughness ** 2) / (area ** 2 * radius ** (4 / 3));
+    h = r * aq * q;
+    dh = 2 * r * aq;
+  } else if (headloss === 'D-W') {
+    // Darcy-Weisbach with the Swamee-Jain friction factor (roughness in mm)
+    const d = link.diameter;
+    const area = Math.PI * d * d / 4;
+    const re = Math.max((aq / area) * d / 1.004e-6, 1);
+    const f = re < 2000
+      ? 64 / re
+      : 0.25 / Math.log10(link.roughness / 1000 / (3.7 * d) + 5.74 / re ** 0.9) ** 2;
+    const r = (8 * f * link.length) / (GRAVITY * Math.PI ** 2 * d ** 5);
+    h = r * aq * q;
+    dh = 2 * r * aq;
+  } else {
+    // Hazen-Williams (roughness is the C factor)
+    const r = (10.667 * link.length) / (link.roughness ** 1.852 * link.diameter ** 4.871);
+    h = r * aq ** 0.852 * q;
+    dh = 1.852 * r * aq ** 0.852;
+  }
+
+  if (link.minorLoss) {
+    const m = (8 * link.minorLoss) / (GRAVITY * Math.PI ** 2 * link.diameter ** 4);
+    h += m * aq * q;
+    dh += 2 * m * aq;
+  }
+  if (link.gate) {
+    // Flow through the gate's open area: h = q² / (2g·(Cd·a)²)
+    const g = (1 / (2 * GRAVITY * (link.gate.discharge * link.gate.area * link.gate.opening) ** 2));
+    h += g * aq * q;
+    dh += 2 * g * aq;
+  }
+  // Near zero flow the loss is treated as linear so Newton steps stay stable
+  if (Math.abs(q) < SMALL_FLOW) dh = h / (q || SMALL_FLOW) || dh;
+  return { h, dh };
+}
+
+// Head drop from → to across a link at flow q (loss minus pump gain)
+function linkHeadDrop(link, q, headloss) {
+  if (link.status === 'closed') return { h: CLOSED_RESISTANCE * q, dh: CLOSED_RESISTANCE };
+  const loss = linkLoss(link, q, headloss);
+  if (!link.pump) return loss;
+
+  // Slope of the combined curve: 1 / Σ dq_i/dH over the units delivering
+  const { pump } = link;
+  const r = curveResistance(pump);
+  const units = runningUnits(pump);
+  const head = pumpHead(pump, q);
+  const flows = unitFlows(pump, units, head).filter(f => f > 0);
+  const slope = flows.length
+    ? 1 / flows.reduce((s, f) => s + 1 / (2 * r * Math.max(f, SMALL_FLOW / units.length)), 0)
+    : 2 * r * SMALL_FLOW;
+  return {
+    h: loss.h - head,
+    dh: loss.dh + slope,
+  };
+}
+
+// Gaussian elimination with partial pivoting (matrices here are tiny)
+function solveLinear(a, b) {
+  const n = b.length;
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(a[r][c]) > Math.abs(a[pivot][c])) pivot = r;
+    [a[c], a[pivot]] = [a[pivot], a[c]];
+    [b[c], b[pivot]] = [b[pivot], b[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = a[r][c] / a[c][c];
+      for (let k = c; k < n; k++) a[r][k] -= f * a[c][k];
+      b[r] -= f * b[c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = b[r];
+    for (let k = r + 1; k < n; k++) s -= a[r][k] * x[k];
+    x[r] = s / a[r][r];
+  }
+  return x;
+}
+
+// Fixed head of a reservoir or tank node, or undefined for junctions
+function fixedHead(node) {
+  if (node.kind === 'reservoir') return node.head;
+  if (node.kind === 'tank') return node.elevation + node.level;
+  return undefined;
+}
+
+// Split links at their leaks and valves into sections joined by extra
+// junctions. Each leak drains to a reservoir at its own elevation through
+// an emitter link; a closed valve closes the section on its downstream
+// side (the last section for a valve at the very end).
+function expandModel(model) {
+  const nodes = [...model.nodes];
+  const nodeIndex = { ...model.nodeIndex };
+  const links = [];
+  const sections = {};
+  const leakIndex = {};
+
+  const addNode = node => {
+    nodeIndex[node.id] = nodes.length;
+    nodes.push(node);
+  };
+
+  model.links.forEach(link => {
+    const leaks = model.leaks.filter(l => l.linkId === link.id);
+    const valves = model.valves.filter(v => v.linkId === link.id);
+    const cuts = [...new Set([...leaks, ...valves].map(c => c.position).filter(p => p > 0 && p < 1))]
+      .sort((a, b) => a - b);
+    const points = [0, ...cuts, 1];
+    const fromElevation = model.nodes[model.nodeIndex[link.from]].elevation;
+    const toElevation = model.nodes[model.nodeIndex[link.to]].elevation;
+
+    const cutId = p => `${link.id}@${p}`;
+    cuts.forEach(p => {
+      const leak = leaks.find(l => l.position === p);
+      addNode({
+        id: cutId(p),
+        kind: 'junction',
+        elevation: leak?.elevation ?? fromElevation + (toElevation - fromElevation) * p,
+        demand: 0,
+      });
+    });
+
+    sections[link.id] = [];
+    for (let k = 0; k < points.length - 1; k++) {
+      const a = points[k];
+      const b = points[k + 1];
+      const last = k === points.length - 2;
+      const closedByValve = valves.some(v => v.closed && (v.position === a || (last && v.position >= 1)));
+      sections[link.id].push({ index: links.length, from: a, to: b });
+      links.push({
+        ...link,
+        id: points.length === 2 ? link.id : `${link.id}#${k}`,
+        from: k === 0 ? link.from : cutId(a),
+        to: last ? link.to : cutId(b),
+        length: link.length * (b - a),
+        minorLoss: k === 0 ? link.minorLoss : 0,
+        pump: k === 0 ? link.pump : undefined,
+        gate: k === 0 ? model.gates.find(g => g.linkId === link.id) : undefined,
+        closedByValve,
+      });
+    }
+
+    leaks.forEach(leak => {
+      const ground = { id: `${leak.id}:ground`, kind: 'reservoir', elevation: nodes[nodeIndex[cutId(leak.position)]].elevation };
+      ground.head = ground.elevation;
+      addNode(ground);
+      leakIndex[leak.id] = links.length;
+      links.push({ id: `${leak.id}:emitter`, kind: 'emitter', from: cutId(leak.position), to: ground.id, coefficient: leak.coefficient });
+    });
+  });
+
+  return { ...model, nodes, nodeIndex, links, sections, leakIndex };
+}
+
+// Solve the network for its current tank levels, pump states, leaks and valves
+export function solveHydraulics(model) {
+  const net = expandModel(model);
+  const { nodes, links, nodeIndex, headloss } = net;
+
+  // Unknown heads are junctions only
+  const unknown = [];
+  const row = nodes.map(n => (fixedHead(n) === undefined ? unknown.push(n) - 1 : -1));
+  const heads = nodes.map(n => fixedHead(n) ?? n.elevation);
+
+  // Pumps that are switched off, shut gates and sections behind closed valves are closed links
+  links.forEach(l => {
+    l.status = (l.pump && !runningUnits(l.pump).length) || (l.gate && l.gate.opening <= 0) || l.closedByValve ? 'closed' : 'open';
+  });
+
+  let flows = links.map(l => (l.status === 'closed' ? 0 : model.designFlow));
+  let iterations = 0;
+  let converged = false;
+
+  for (let pass = 0; pass < 3 && !converged; pass++) {
+    for (iterations = 1; iterations <= MAX_ITERATIONS; iterations++) {
+      const n = unknown.length;
+      const a = Array.from({ length: n }, () => new Array(n).fill(0));
+      const f = unknown.map(u => -u.demand);
+      const p = [];
+      const y = [];
+
+      links.forEach((link, k) => {
+        const { h, dh } = linkHeadDrop(link, flows[k], headloss);
+        p[k] = 1 / dh;
+        y[k] = p[k] * h;
+        const i = nodeIndex[link.from];
+        const j = nodeIndex[link.to];
+        const ri = row[i];
+        const rj = row[j];
+        if (ri >= 0) {
+          a[ri][ri] += p[k];
+          f[ri] -= flows[k] - y[k];
+          if (rj >= 0) a[ri][rj] -= p[k];
+          else f[ri] += p[k] * heads[j];
+        }
+        if (rj >= 0) {
+          a[rj][rj] += p[k];
+          f[rj] += flows[k] - y[k];
+          if (ri >= 0) a[rj][ri] -= p[k];
+          else f[rj] += p[k] * heads[i];
+        }
+      });
+
+      if (n > 0) {
+        const x = solveLinear(a, f);
+        unknown.forEach((u, r) => { heads[nodeIndex[u.id]] = x[r]; });
+      }
+
+      let sumDq = 0;
+      let sumQ = 0;
+      flows = flows.map((q, k) => {
+        const link = links[k];
+        const next = q - y[k] + p[k] * (heads[nodeIndex[link.from]] - heads[nodeIndex[link.to]]);
+        sumDq += Math.abs(next - q);
+        sumQ += Math.abs(next);
+        return next;
+      });
+      if (sumDq <= Math.max(ACCURACY * sumQ, FLOW_TOLERANCE)) { converged = true; break; }
+    }
+
+    // Check valves: a pump cannot run backwards and the ground cannot flow
+    // back into a leak, so close those links and re-solve
+    let changed = false;
+    links.forEach((link, k) => {
+      if ((link.pump || link.kind === 'emitter') && link.status === 'open' && flows[k] < 0) {
+        link.status = 'closed';
+        flows[k] = 0;
+        changed = true;
+      }
+    });
+    if (changed) converged = false;
+  }
+
+  return collectResults(model, net, heads, flows, converged, iterations);
+}
+
+// Results per original node, link and leak. A split link reports the flow
+// entering it as "flow", the flow leaving it as "outflow", and each section.
+function collectResults(model, net, heads, flows, converged, iterations) {
+  const results = { converged, iterations, time: model.time, nodes: {}, links: {}, leaks: {}, gates: {} };
+  const flowOf = k => (net.links[k].status === 'closed' ? 0 : flows[k]);
+
+  model.nodes.forEach((node, i) => {
+    const head = heads[i];
+    const pressure = node.kind === 'junction' ? head - node.elevation : node.kind === 'tank' ? node.level : 0;
+    results.nodes[node.id] = {
+      head,
+      pressure,
+      pressureBar: pressure * M_TO_BAR,
+      demand: node.demand,
+      level: node.level,
+    };
+    if (node.kind === 'tank') {
+      const supplied = node.dry ? Math.min(node.supplied, node.demand) : node.demand;
+      Object.assign(results.nodes[node.id], { supplied, shortfall: node.demand - supplied, dry: node.dry });
+    }
+    if (node.storage) {
+      const spill = spillFlows(model, node);
+      const gateRelease = Object.values(spill.gates).reduce((s, q) => s + q, 0);
+      Object.assign(results.nodes[node.id], {
+        inflow: node.storage.inflow,
+        volume: storageVolume(node.storage, head),
+        overflow: spill.overflow,
+        gateRelease,
+        spill: spill.overflow + gateRelease,
+      });
+      Object.entries(spill.gates).forEach(([id, flow]) => {
+        results.gates[id] = { opening: model.gates.find(g => g.id === id).opening, flow };
+      });
+    }
+  });
+
+  model.links.forEach(link => {
+    const sections = net.sections[link.id].map(s => {
+      const q = flowOf(s.index);
+      const section = net.links[s.index];
+      return {
+        from: s.from,
+        to: s.to,
+        flow: q,
+        velocity: Math.abs(q) / linkArea(link),
+        headloss: section.status === 'closed' ? 0 : linkLoss(section, q, model.headloss).h,
+        status: section.status,
+      };
+    });
+    const first = sections[0];
+    const q = first.flow;
+    const outflow = sections[sections.length - 1].flow;
+    const from = model.nodes[model.nodeIndex[link.from]];
+    const gain = link.pump ? pumpHead(link.pump, q) : 0;
+    const fromHead = heads[model.nodeIndex[link.from]];
+    const efficiency = link.pump ? pumpEfficiency(link.pump, q) : 0;
+    // Pressure right after the link inlet (after the pumps, if any)
+    const inletPressure = from.kind === 'junction' ? fromHead + gain - from.elevation : gain;
+    link.status = net.links[net.sections[link.id][0].index].status;
+    results.links[link.id] = {
+      flow: q,
+      outflow,
+      leakage: q - outflow,
+      velocity: first.velocity,
+      headloss: sections.reduce((s, sec) => s + sec.headloss, 0),
+      pumpHead: gain,
+      efficiency,
+      power: efficiency ? (WATER_DENSITY * GRAVITY * q * gain) / efficiency : 0,
+      inletPressure,
+      inletPressureBar: inletPressure * M_TO_BAR,
+      status: link.status,
+      running: link.pump ? runningUnits(link.pump).length : undefined,
+      tripped: link.pump ? link.pump.units.filter(u => u.tripped).length : undefined,
+      held: link.pump ? link.pump.held : undefined,
+      pumps: link.pump ? pumpUnitResults(link.pump, q, gain) : undefined,
+      sections,
+    };
+  });
+
+  model.gates.filter(g => g.linkId).forEach(g => {
+    results.gates[g.id] = { opening: g.opening, flow: results.links[g.linkId].flow };
+  });
+
+  model.leaks.forEach(leak => {
+    const node = net.nodes[net.nodeIndex[`${leak.linkId}@${leak.position}`]];
+    const pressure = heads[net.nodeIndex[node.id]] - node.elevation;
+    results.leaks[leak.id] = {
+      flow: flowOf(net.leakIndex[leak.id]),
+      pressure,
+      pressureBar: pressure * M_TO_BAR,
+    };
+  });
+
+  return results;
+}
+
+// Every unit's state and duty, running or not
+function pumpUnitResults(pump, q, head) {
+  const duty = pumpDuty(pump, q);
+  return pump.units.map(u => {
+    const d = duty.find(x => x.id === u.id);
+    return {
+      id: u.id,
+      on: u.on,
+      speed: u.speed,
+      tripped: u.tripped,
+      running: !!d,
+      flow: d ? d.flow : 0,
+      head: d ? head : 0,
+      efficiency: d ? d.efficiency : 0,
+      power: d ? d.power : 0,
+    };
+  });
+}
+
+// Advance tank and storage reservoir levels by dt seconds using the solved
+// flows, then apply any pump level controls and pump protection (a running
+// unit trips on low flow, e.g. against a closed valve, or on motor overload).
+// The model clock moves on by dt and demands follow their patterns.
+// Returns true when a pump state changed.
+export function stepTanks(model, results, dt) {
+  model.nodes.forEach(node => {
+    if (node.kind !== 'tank' && !node.storage) return;
+    let net = node.storage ? node.storage.inflow - results.nodes[node.id].spill : 0;
+    model.links.forEach(link => {
+      const res = results.links[link.id];
+      if (link.to === node.id) net += res.outflow;
+      if (link.from === node.id) net -= res.flow;
+    });
+    if (node.storage) {
+      node.head = storageLevel(node.storage, storageVolume(node.storage, node.head) + net * dt);
+      return;
+    }
+    // Taps draw through the outlet at minLevel: what is above it plus what
+    // comes in, and no more
+    const available = Math.max(0, (node.level - node.minLevel) * node.area + net * dt);
+    const draw = Math.min(node.demand * dt, available);
+    node.supplied = dt > 0 ? draw / dt : node.demand;
+    node.dry = draw < node.demand * dt;
+    node.level = Math.max(0, Math.min(node.maxLevel, node.level + (net * dt - draw) / node.area));
+  });
+  model.time = (model.time + dt) % 86400;
+  updateDemands(model);
+
+  let changed = false;
+  model.links.forEach(link => {
+    const { pump } = link;
+    if (!pump) return;
+    results.links[link.id].pumps.forEach(res => {
+      const unit = pump.units.find(u => u.id === res.id);
+      if (!res.running || unit.tripped) return;
+      if (pump.minFlow && res.flow < pump.minFlow) unit.tripped = 'Low flow';
+      else if (pump.motorPower && res.power > pump.motorPower * 1000) unit.tripped = 'Motor overload';
+      if (unit.tripped) changed = true;
+    });
+
+    const control = pump.control;
+    if (!control || !pump.auto) return;
+    const tank = model.nodes[model.nodeIndex[control.tank]];
+    if (!pump.held && tank.level >= control.stopAbove) {
+      pump.held = true;
+      changed = true;
+    } else if (pump.held && tank.level <= control.startBelow) {
+      pump.held = false;
+      changed = true;
+    }
+  });
+  return changed;
+}
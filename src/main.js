@@ -2,12 +2,102 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { loadNetwork, findNodeByType, findRoute, sceneToElevation, elevationToScene, DEFAULT_NETWORK_URL } from './network.js';
+import {
+  createHydraulicModel, solveHydraulics, stepTanks, addLeak, removeLeak, setValve, isolationValves, M_TO_BAR,
+  setPumpUnit, tripPump, resetPump, setPumpAuto, pumpHead, unitHead, setGate, storageArea, storageVolume,
+  setPopulation, simulateAhead, transferState, captureState, restoreState, pumpUnitIds, GRAVITY,
+} from './hydraulics.js';
+import { loadDem, sampleDem } from './dem.js';
+import { formatLatLon } from './geo.js';
+import { createTelemetryFeed, transportForUrl } from './telemetry.js';
+import { createAlarmManager, PRIORITIES } from './alarms.js';
+import { checkTour, componentTour, createTourPlayer } from './tour.js';
+import { createRecorder } from './recorder.js';
+import { loadClimateSeries, parseClimateCsv, runWaterBalance } from './waterbalance.js';
+import { createTreatmentPlant, runTreatment, setStageDose, failStage, setRawTurbidity, STAGE_FAILURES } from './treatment.js';
+import { propagateQuality, qualityAt, qualityBreaches } from './quality.js';
+import {
+  createEditHistory, placeNode, moveNode, deleteNode, deleteLink, addPipe, nodeLockReason, NODE_TEMPLATES,
+  captureLayout, loadLayout,
+} from './editor.js';
+import { createProject, parseProject, projectFileName } from './project.js';
+import { formatViewHash, parseViewHash } from './viewlink.js';
+import { sunPosition, clockToDate, formatHours } from './sun.js';
 
 // ═══════════════════════════════════════════════════════════
 //  CONFIGURATION
 // ═══════════════════════════════════════════════════════════
 const CONFIG = {
   terrain: { width: 300, depth: 300, segments: 128, maxHeight: 35 },
+  hydraulics: {
+    timeStep: 300,        // Simulated seconds per tank-level update
+    interval: 2,          // Real seconds between updates
+    visualSpeed: 15,      // Scene units per second of particle travel per m/s of water velocity
+  },
+  playback: {
+    interval: 1,          // Real seconds between recorded frames
+    capacity: 7200,       // Frames kept (2 h at one per second)
+    speeds: [1, 10, 60, 300],
+  },
+  pumps: {
+    minSpeed: 0.6,        // Lowest VFD speed the panel offers (fraction of full speed)
+    fanSpeed: 12,         // Roof fan spin (rad/s) at full speed
+  },
+  waterBalance: {
+    daysPerSecond: 8,     // Simulated days per real second when playing a balance run
+  },
+  process: {
+    spacing: 10,          // Scene units between treatment stages in the drill-down view
+    particleCount: 160,   // Water dots running through the stages
+    speed: 8,             // Dot speed (scene units/s) at design flow
+  },
+  daylight: {
+    utcOffset: 3,         // Local clock of the time slider: East Africa Time (UTC+3)
+    place: { lat: -6.4, lon: 35 },  // Where the sun is seen from without a projection
+    dayTime: 12,          // Hours the app starts at and the Day/Night button jumps to
+    nightTime: 22,
+    lightsOn: -2,         // Sun elevation (°) below which the night lights are on
+    minLightElevation: 8, // Lowest angle (°) of the scene light; below it, it is moonlight
+    distance: 250,        // Sun light from the middle of the scene
+    floodIntensity: 40,   // Facility floodlights after dusk
+    windowColor: 0xFFC56B, windowDayColor: 0x2A3440,
+    bulbColor: 0xFFF3C4, bulbDayColor: 0x555555,
+    // Sky, fog and light by sun elevation (°), blended between neighbours
+    looks: [
+      { elevation: -18, top: 0x020A1A, bottom: 0x0A1628, fog: 0x0A1628, sun: 0x4466AA, sunIntensity: 0.3, ambient: 0.15, hemi: 0.15, exposure: 0.5, glow: 0 },
+      { elevation: -6, top: 0x0E1E48, bottom: 0x4A3A6A, fog: 0x2A2A48, sun: 0x5A6AAA, sunIntensity: 0.35, ambient: 0.18, hemi: 0.2, exposure: 0.6, glow: 0.3 },
+      { elevation: 0, top: 0x2E5A9A, bottom: 0xFF8A4C, fog: 0xD89A78, sun: 0xFF8040, sunIntensity: 0.7, ambient: 0.25, hemi: 0.3, exposure: 0.85, glow: 0.8 },
+      { elevation: 10, top: 0x1A70D8, bottom: 0xFFCB94, fog: 0xB8CCD8, sun: 0xFFC88A, sunIntensity: 1.3, ambient: 0.35, hemi: 0.5, exposure: 1.05, glow: 0.5 },
+      { elevation: 30, top: 0x0077FF, bottom: 0x87CEEB, fog: 0x87CEEB, sun: 0xFFE4B5, sunIntensity: 1.8, ambient: 0.4, hemi: 0.6, exposure: 1.2, glow: 0.25 },
+    ],
+  },
+  follow: {
+    speedup: 600,         // Water flight: metres of route per second for each m/s of flow
+    minVelocity: 0.3,     // m/s taken where the water stands (closed or stagnant links)
+    easeDistance: 600,    // Metres either side of a component over which it slows
+    easeSpeed: 0.25,      // Share of the speed left at the component itself
+    height: 3,            // Camera above the route (scene units)
+    behind: 400,          // Metres of route the camera trails the water by
+    lookAhead: 1200,      // Metres down the route it looks at
+  },
+  tour: {
+    highlightColor: 0xFFD54F,  // Components a tour step points out
+    highlightGlow: 0.45,
+  },
+  gradeLines: {
+    opacity: 0.35,        // Curtain between the pipe and its hydraulic grade line
+    lowHead: 10,          // Pressure head (m) below which the curtain turns amber
+    highHead: 80,         // Pressure head (m) at which it is fully violet
+    energyColor: 0xFFE082,  // Energy grade line along the top
+    colors: { belowGround: 0xFF1744, low: 0xFFB300, normal: 0x00B4D8, high: 0x7B2FF7, closed: 0x607D8B },
+  },
+  quality: {
+    samples: 200,         // Colour lookup points along each pipe run for the quality modes
+    flagColor: 0xFF1744,  // Particles in a stretch outside the limits (blinking)
+  },
+  // Leak emitter coefficients (m³/s per √m of pressure) by severity
+  leakSeverity: { seep: 0.002, leak: 0.01, major: 0.03, burst: 0.1 },
   colors: {
     lake:      0x00B4D8,
     dam:       0xFF6D00,
@@ -19,56 +109,27 @@ const CONFIG = {
     water:     0x006994,
     terrain:   0x2D5016,
     sky:       0x87CEEB,
-  },
-  // World positions for each infrastructure component
-  positions: {
-    lake:      { x: -100, z: -20 },
-    dam:       { x: -65,  z: -15 },
-    canal:     { x: -35,  z:  0  },
-    treatment: { x:   0,  z:  15 },
-    pump:      { x:  40,  z:  30 },
-    pipes:     { x:  70,  z:  40 },
-    homes:     { x: 105,  z:  45 },
+    alarm: { high: 0xFF1744, medium: 0xFF9100, low: 0xFFD600 },
   }
 };
 
-// Component metadata for info cards
-const COMPONENT_DATA = {
-  lake: {
-    icon: '\u{1F30A}', name: 'Water Source (Lake)',
-    desc: 'The natural freshwater lake serves as the primary intake point for the water grid. Water is drawn through screened intakes to prevent debris and aquatic life from entering the system.',
-    stats: { 'Capacity': '2.4B m\u00B3', 'Intake Rate': '850 m\u00B3/s', 'Elevation': '1,134m', 'Type': 'Natural Lake' }
-  },
-  dam: {
-    icon: '\u{1F3D7}', name: 'Dam Structure',
-    desc: 'A concrete gravity dam controls water release from the lake into the canal system. Spillways manage overflow during heavy rains, while intake gates regulate downstream flow.',
-    stats: { 'Height': '48m', 'Length': '320m', 'Capacity': '180M m\u00B3', 'Type': 'Gravity Dam' }
-  },
-  canal: {
-    icon: '\u{1F6A4}', name: 'Open Canal',
-    desc: 'A lined open canal carries water by gravity from the dam through lower terrain. The trapezoidal cross-section is reinforced concrete to minimize seepage losses.',
-    stats: { 'Length': '12 km', 'Flow Rate': '45 m\u00B3/s', 'Width': '8m', 'Type': 'Gravity-fed' }
-  },
-  treatment: {
-    icon: '\u{1F3ED}', name: 'Water Treatment Plant',
-    desc: 'Multi-stage treatment facility with coagulation, sedimentation, filtration, and chlorination. Ensures water meets WHO drinking standards before distribution.',
-    stats: { 'Capacity': '120 ML/d', 'Stages': '4-stage', 'Standard': 'WHO Grade', 'Staff': '45 engineers' }
-  },
-  pump: {
-    icon: '\u26A1', name: 'Pumping Station',
-    desc: 'High-capacity multi-stage centrifugal pumps lift water over the terrain ridge. Powered by a dedicated electrical substation with backup diesel generators.',
-    stats: { 'Lift Height': '85m', 'Power': '4.2 MW', 'Pumps': '6 \u00D7 MS', 'Backup': 'Diesel Gen' }
-  },
-  pipes: {
-    icon: '\u{1F6A7}', name: 'Pressurized Pipeline',
-    desc: 'Ductile iron pressurized pipeline carries treated water uphill from the pumping station to the residential destination. Cathodic protection prevents corrosion.',
-    stats: { 'Diameter': '1.8m', 'Pressure': '12 bar', 'Material': 'Ductile Iron', 'Length': '18 km' }
-  },
-  homes: {
-    icon: '\u{1F3E0}', name: 'Residential Destination',
-    desc: 'The terminal distribution point serving a community of residential homes. Includes elevated storage tanks and a local distribution network with metered connections.',
-    stats: { 'Homes Served': '12,400', 'Storage': '8,000 m\u00B3', 'Supply': '24/7', 'Connections': 'Metered' }
-  }
+// Network description (nodes, links, types) — loaded at startup.
+// Pass ?network=/data/other.json to view a different scheme.
+const NETWORK_URL = new URLSearchParams(window.location.search).get('network') || DEFAULT_NETWORK_URL;
+
+// Telemetry source override: ?telemetry=ws://host/feed, an SSE URL, "mock" or "off"
+const TELEMETRY_URL = new URLSearchParams(window.location.search).get('telemetry');
+
+// Tool panels beside the sidebar and their topbar buttons
+const SIDE_PANELS = {
+  'pump-panel': 'btn-pumps',
+  'dam-panel': 'btn-dam',
+  'balance-panel': 'btn-balance',
+  'process-panel': 'btn-process',
+  'quality-panel': 'btn-quality',
+  'demand-panel': 'btn-demand',
+  'editor-panel': 'btn-edit',
+  'project-panel': 'btn-project',
 };
 
 
@@ -76,11 +137,15 @@ const COMPONENT_DATA = {
 //  GLOBALS
 // ═══════════════════════════════════════════════════════════
 let scene, camera, renderer, labelRenderer, controls;
+let network;            // Loaded network definition (see network.js)
+let dem = null;         // Elevation grid from network.terrain.dem (see dem.js); null = analytic terrain
 let terrain, waterSurface, lakeWater;
 let flowParticles = [];
+let flowMaterial;       // Shader shared by the flow particle streams
 let clock = new THREE.Clock();
 let componentMeshes = {};
 let labels3D = {};
+let nightLights = {};   // Lamps and floodlights per component, kept apart so a loaded model does not drop them
 let labelsVisible = true;
 let swayingTrees = [];  // Trees that animate wind sway
 
@@ -93,11 +158,66 @@ const clipPlanes = [
   new THREE.Plane(new THREE.Vector3( 0,  0, -1), 148),   // back edge  (z < 148)
 ];
 let flowActive = true;
-let isNight = false;
+let gradeLinesVisible = false;  // Hydraulic grade line curtains over the runs (see updateGradeLines)
+let isNight = false;        // After dusk: the night lights are on (see setTimeOfDay)
+let timeOfDay = 12;         // Local clock hours the sun is placed for
+let sunDay = new Date().toISOString().slice(0, 10);  // Calendar day of the sun's path, "YYYY-MM-DD"
+let skyUniforms;            // Sky dome shader uniforms (see createSky)
 let sunLight, ambientLight, hemiLight;
-let pipelinePath;
-let tourRunning = false;
-let tourProgress = 0;
+let pipeRuns = {};          // Hydraulic link id → drawn run: { linkId, kind, curve, length, tube, props, sections, qualityColors, qualityFlags }
+let hydraulicModel, hydraulicResults;
+let viewResults;            // Results on screen: the live ones, or a playback frame's
+let hydraulicClock = 0;
+let activeInfoKey = null;   // Component whose info card is open
+let telemetryFeed = null;   // Live SCADA feed (see telemetry.js); null = no telemetry
+let infoCardDirty = false;  // A reading for the open card arrived since the last frame
+let alarmManager = null;    // Alarm rules and state (see alarms.js)
+const alarmGlowing = new Set();  // Components whose materials carry an alarm glow
+let leakMarkers = {};       // Leak id → { loc, severity, isolatedBy, volume, spray, puddle }
+let leakCounter = 0;
+let leakPreview;            // Ring showing where "Add leak" will place one
+let valveMarkers = {};      // Valve id → handwheel mesh
+let pumpMotors = [];        // Roof motors of the pumping station: { linkId, unitId, fan, lamp }
+let pumpLinkId = null;      // Link whose pumps the control panel drives
+let damVisuals = null;      // Gate leaves, overflow sheet and gate jets at the dam: { gates, overflow, jets }
+let shoreObjects = [];      // Reeds and beach props that follow the shoreline: { object, angle, dist, y, clearance, wading }
+let shoreHead = null;       // Lake head the shoreline was last laid out for
+let climateSeries = null;   // Daily climate rows for the water balance (see waterbalance.js)
+let balanceRun = null;      // Last water balance run: { days, totals }
+const balanceView = { day: -1, playing: false, clock: 0 };  // Day applied to the lake (-1 = none)
+let treatmentPlant = null;  // Treatment stages and their settings (see treatment.js); null = no process
+let processView = null;     // Drill-down scene of the plant: { group, active, stages, particles, bypass }
+let tankVisual = null;      // Rooftop tank water and label: { nodeId, group, water, label, height, shown }
+let demandForecast = null;  // Day-ahead run from the live state: { start, population, steps }
+let forecastTimer = null;   // Pending forecast rerun while the population slider settles
+let flowColorMode = 'section';  // Flow particle colours: 'section' or a quality parameter (see QUALITY_SCALES)
+let hoveredKey = null;      // Component under the cursor
+let tooltipTargets = [];    // Hoverable meshes that are not components (pylons, tank, islands)
+let hoverHit = null;        // Raycast hit under the cursor that the tooltip describes
+let recorder;               // Snapshot history for playback (see recorder.js)
+let recordClock = 0;
+let playbackFrame = null;   // Frame on screen while reviewing history
+const playback = { active: false, playing: false, scrubbing: false, time: 0, speed: 10 };
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+let pointerDirty = false;   // Cursor moved since the last status-bar update
+const pointerClient = { x: 0, y: 0 };  // Cursor in page pixels, for the tooltip
+// Edit mode: the tool in hand, a component being dragged, a pipe being
+// drawn ({ from, points }) and the node positions the scene was built for
+const editor = { active: false, tool: 'move', history: null, drag: null, pipe: null, laidOut: {}, preview: null };
+let annotations = [];       // Notes pinned to the terrain: { id, text, position: { x, z }, label }
+let noteCounter = 0;
+let pinningNote = null;     // Text the next terrain click pins as a note (project panel)
+let profileRoute = null;    // Sampled route of the elevation profile (see traceProfile); null = trace again
+let profileEnd = null;      // Node id the profile runs to from the first node; null = the last node
+let profileHover = null;    // Profile sample under the cursor: { index }
+let profileMarker;          // Dot and grade-line column in the scene at profileHover
+let bookmarks = [];         // Named views in the sidebar: { name, hash } (see viewlink.js)
+let tours = [];              // Checked tours of the network (see tour.js)
+let tourPlayer = null;      // Player of the running tour, if any
+let tourStart = null;       // Scenario and view when the tour started: { scenario, view }
+let tourHighlight = new Set();  // Components the current tour step points out
+let follow = null;          // Camera flight along the water path: { route, chainage (m), home, eye, look } (see startFollow)
 
 // ═══════════════════════════════════════════════════════════
 //  INITIALIZATION
@@ -160,9 +280,18 @@ function init() {
   updateLoadStatus('Laying pipelines');
   createPipeline();
   createWaterTap();
+  createDamGates();
+  createProcessView();
+
+  updateLoadStatus('Solving hydraulics');
+  hydraulicModel = createHydraulicModel(network);
+  const plantNode = network.nodes.find(n => n.process);
+  if (plantNode) treatmentPlant = createTreatmentPlant(plantNode);
+  runHydraulics();
 
   updateLoadStatus('Spawning water flow');
   createFlowParticles();
+  applyHydraulicsToFlow();
 
   updateLoadStatus('Adding labels');
   createLabels();
@@ -179,6 +308,23 @@ function init() {
   // Events
   window.addEventListener('resize', onResize);
   setupUI();
+  setupDaylight();
+  setupProfile();
+  setupAlarms();
+  setupIncidents();
+  setupPumps();
+  setupDam();
+  setupWaterBalance();
+  setupProcess();
+  setupQuality();
+  setupDemand();
+  setupEditor();
+  setupProject();
+  setupViewLinks();
+  setupTours();
+  setupFollow();
+  setupPlayback();
+  startTelemetry();
 
   // Start
   updateLoadStatus('Ready!');
@@ -217,7 +363,7 @@ function setupLighting() {
   sunLight.shadow.camera.top = 180;
   sunLight.shadow.camera.bottom = -180;
   sunLight.shadow.camera.near = 1;
-  sunLight.shadow.camera.far = 400;
+  sunLight.shadow.camera.far = 500;   // The sun circles at CONFIG.daylight.distance
   sunLight.shadow.bias = -0.001;
   scene.add(sunLight);
 }
@@ -233,7 +379,10 @@ function createSky() {
       topColor:    { value: new THREE.Color(0x0077FF) },
       bottomColor: { value: new THREE.Color(0x87CEEB) },
       offset:      { value: 20 },
-      exponent:    { value: 0.4 }
+      exponent:    { value: 0.4 },
+      sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+      glowColor:   { value: new THREE.Color(0xFFE4B5) },
+      glow:        { value: 0 }
     },
     vertexShader: `
       varying vec3 vWorldPosition;
@@ -248,24 +397,114 @@ function createSky() {
       uniform vec3 bottomColor;
       uniform float offset;
       uniform float exponent;
+      uniform vec3 sunDirection;
+      uniform vec3 glowColor;
+      uniform float glow;
       varying vec3 vWorldPosition;
       void main() {
         float h = normalize(vWorldPosition + offset).y;
-        gl_FragColor = vec4(mix(bottomColor, topColor, max(pow(max(h, 0.0), exponent), 0.0)), 1.0);
+        vec3 sky = mix(bottomColor, topColor, max(pow(max(h, 0.0), exponent), 0.0));
+        // Halo around the sun, wide and warm near the horizon
+        float halo = pow(max(dot(normalize(vWorldPosition), sunDirection), 0.0), 8.0) * glow;
+        gl_FragColor = vec4(mix(sky, glowColor, halo), 1.0);
       }
     `,
     side: THREE.BackSide,
     depthWrite: false
   });
+  skyUniforms = skyMat.uniforms;
   scene.add(new THREE.Mesh(skyGeo, skyMat));
 }
 
 
+// ═══════════════════════════════════════════════════════════
+//  DAYLIGHT (sun position, sky and night lights by time of day)
+// ═══════════════════════════════════════════════════════════
+const lookColor = new THREE.Color();
+
+function setupDaylight() {
+  const slider = document.getElementById('tod-slider');
+  const date = document.getElementById('tod-date');
+  date.value = sunDay;
+  slider.addEventListener('input', () => setTimeOfDay(Number(slider.value) / 60));
+  date.addEventListener('change', () => {
+    if (!date.value) return;
+    sunDay = date.value;
+    setTimeOfDay(timeOfDay);
+  });
+  setTimeOfDay(CONFIG.daylight.dayTime);
+}
+
+// The Day/Night button jumps between noon and late evening
+function setNight(on) {
+  setTimeOfDay(on ? CONFIG.daylight.nightTime : CONFIG.daylight.dayTime);
+}
+
+// Put the sun where it stands at a local clock time on sunDay, seen from
+// the projection origin, and light the scene for it
+function setTimeOfDay(hours) {
+  timeOfDay = Math.max(0, Math.min(24, hours));
+  const { lat, lon } = network.projection?.toLatLon(0, 0) ?? CONFIG.daylight.place;
+  const sun = sunPosition(clockToDate(sunDay, timeOfDay, CONFIG.daylight.utcOffset), lat, lon);
+  lightForSun(sun);
+  const night = sun.elevation < CONFIG.daylight.lightsOn;
+  if (night !== isNight) setNightLights(night);
+  isNight = night;
+  document.getElementById('btn-day-night').classList.toggle('active', night);
+  document.getElementById('tod-slider').value = Math.round(timeOfDay * 60);
+  document.getElementById('tod-text').textContent = formatHours(timeOfDay);
+}
+
+// Blend the sky, fog and lights between the looks either side of the sun's
+// elevation. Below the horizon the light stays up at a low angle as
+// moonlight; the shadow camera looks back along it from the sun's side.
+function lightForSun({ azimuth, elevation }) {
+  const { looks, minLightElevation, distance } = CONFIG.daylight;
+  const i = looks.findIndex(l => l.elevation > elevation);
+  const a = looks[i < 0 ? looks.length - 1 : Math.max(0, i - 1)];
+  const b = looks[i < 0 ? looks.length - 1 : i];
+  const f = b.elevation > a.elevation ? Math.max(0, (elevation - a.elevation) / (b.elevation - a.elevation)) : 0;
+  const mix = key => a[key] + (b[key] - a[key]) * f;
+  const blend = (target, key) => target.setHex(a[key]).lerp(lookColor.setHex(b[key]), f);
+
+  blend(skyUniforms.topColor.value, 'top');
+  blend(skyUniforms.bottomColor.value, 'bottom');
+  blend(skyUniforms.glowColor.value, 'sun');
+  skyUniforms.glow.value = mix('glow');
+  blend(scene.fog.color, 'fog');
+  blend(sunLight.color, 'sun');
+  sunLight.intensity = mix('sunIntensity');
+  ambientLight.intensity = mix('ambient');
+  hemiLight.intensity = mix('hemi');
+  renderer.toneMappingExposure = mix('exposure');
+
+  skyUniforms.sunDirection.value.copy(sunDirection(azimuth, elevation));
+  sunLight.position.copy(sunDirection(azimuth, Math.max(elevation, minLightElevation))).multiplyScalar(distance);
+}
+
+// Unit vector towards the sun: +x is east, -z north
+function sunDirection(azimuth, elevation) {
+  const az = THREE.MathUtils.degToRad(azimuth);
+  const el = THREE.MathUtils.degToRad(elevation);
+  return new THREE.Vector3(Math.sin(az) * Math.cos(el), Math.sin(el), -Math.cos(az) * Math.cos(el));
+}
+
+// Floodlights, house windows and street lamps
+function setNightLights(on) {
+  WINDOW_MATERIAL.color.setHex(on ? CONFIG.daylight.windowColor : CONFIG.daylight.windowDayColor);
+  BULB_MATERIAL.color.setHex(on ? CONFIG.daylight.bulbColor : CONFIG.daylight.bulbDayColor);
+  scene.traverse(o => {
+    if (o.userData.floodlight) o.intensity = on ? CONFIG.daylight.floodIntensity : 0;
+  });
+}
+
+
 // ═══════════════════════════════════════════════════════════
 //  TERRAIN
 // ═══════════════════════════════════════════════════════════
 function createTerrain() {
   const { width, depth, segments, maxHeight } = CONFIG.terrain;
+  const lake = findNodeByType(network, 'lake');
   const geo = new THREE.PlaneGeometry(width, depth, segments, segments);
   geo.rotateX(-Math.PI / 2);
 
@@ -273,7 +512,7 @@ function createTerrain() {
   for (let i = 0; i < pos.count; i++) {
     const x = pos.getX(i);
     const z = pos.getZ(i);
-    const h = getTerrainHeight(x, z);
+    const h = sampleTerrainHeight(x, z);
     pos.setY(i, h);
   }
   geo.computeVertexNormals();
@@ -287,8 +526,8 @@ function createTerrain() {
     // Beach sand ring around the lake
     const px = pos.getX(i);
     const pz = pos.getZ(i);
-    const dLake = Math.sqrt((px - CONFIG.positions.lake.x) ** 2 + (pz - CONFIG.positions.lake.z) ** 2);
-    const isBeach = dLake > 48 && dLake < 66;
+    const dLake = lake ? Math.sqrt((px - lake.position.x) ** 2 + (pz - lake.position.z) ** 2) : Infinity;
+    const isBeach = lake && dLake > lake.radius - 7 && dLake < lake.radius + 11;  // Inside and outside the shoreline
 
     if (isBeach && y < 3) {
       // Sandy beach around the lake
@@ -337,11 +576,13 @@ function getTerrainHeight(x, z) {
   const { maxHeight } = CONFIG.terrain;
 
   // Lake depression on the left — LARGER with gradual sandy shore
-  const lakeX = CONFIG.positions.lake.x;
-  const lakeZ = CONFIG.positions.lake.z;
-  const distLake = Math.sqrt((x - lakeX) ** 2 + (z - lakeZ) ** 2);
-  const lakeRadius = 58;
-  const lakeBowl = distLake < lakeRadius ? -5.5 * (1 - distLake / lakeRadius) : 0;
+  let lakeBowl = 0;
+  const lake = findNodeByType(network, 'lake');
+  if (lake) {
+    const distLake = Math.sqrt((x - lake.position.x) ** 2 + (z - lake.position.z) ** 2);
+    const lakeRadius = lake.radius + 3;
+    lakeBowl = distLake < lakeRadius ? -5.5 * (1 - distLake / lakeRadius) : 0;
+  }
 
   // General slope: rises from left to right
   const slope = ((x + 150) / 300) * maxHeight * 0.7;
@@ -364,9 +605,32 @@ function getTerrainHeight(x, z) {
   return Math.max(0, slope + lakeBowl + ridge + canalGroove + n1 + n2 + n3);
 }
 
-// Get height at a specific world XZ position (for placing objects)
+// Get height at a specific world XZ position (for placing objects).
+// Bilinearly samples the DEM when one is loaded. terrain.demCrs says how
+// the grid is placed: 'projected' (same metres as the network projection),
+// 'geographic' (lon/lat degrees) or, by default, stretched over the
+// terrain plane with its north edge at -z.
 function sampleTerrainHeight(x, z) {
-  return getTerrainHeight(x, z);
+  if (!dem) return getTerrainHeight(x, z);
+  const { baseElevation = 0, verticalScale = 1, demCrs } = network.terrain;
+  let u, v;
+  if (network.projection && (demCrs === 'projected' || demCrs === 'geographic')) {
+    let gx, gy;
+    if (demCrs === 'projected') {
+      ({ easting: gx, northing: gy } = network.projection.sceneToMetres(x, z));
+    } else {
+      ({ lon: gx, lat: gy } = network.projection.toLatLon(x, z));
+    }
+    // Grid values are cell centres
+    const half = dem.cellSize / 2;
+    u = (gx - dem.xll - half) / ((dem.cols - 1) * dem.cellSize);
+    v = (dem.yll + dem.rows * dem.cellSize - half - gy) / ((dem.rows - 1) * dem.cellSize);
+  } else {
+    const { width, depth } = CONFIG.terrain;
+    u = (x + width / 2) / width;
+    v = (z + depth / 2) / depth;
+  }
+  return (sampleDem(dem, u, v) - baseElevation) * verticalScale;
 }
 
 
@@ -374,9 +638,11 @@ function sampleTerrainHeight(x, z) {
 //  WATER BODIES
 // ═══════════════════════════════════════════════════════════
 function createLakeWater() {
-  const lakeX = CONFIG.positions.lake.x;
-  const lakeZ = CONFIG.positions.lake.z;
-  const lakeR = 55; // Bigger lake radius
+  const lake = findNodeByType(network, 'lake');
+  if (!lake) return;
+  const lakeX = lake.position.x;
+  const lakeZ = lake.position.z;
+  const lakeR = lake.radius;
 
   // Lake surface
   const lakeGeo = new THREE.CircleGeometry(lakeR, 64);
@@ -411,22 +677,27 @@ function createLakeWater() {
   ];
   const islandMat = new THREE.MeshStandardMaterial({ color: 0x5A8A3A, roughness: 0.85 });
   const sandMat   = new THREE.MeshStandardMaterial({ color: 0xD2B48C, roughness: 0.9 });
-  islandDefs.forEach(isl => {
+  islandDefs.forEach((isl, i) => {
     const ix = lakeX + isl.ox;
     const iz = lakeZ + isl.oz;
+    const tooltip = { kind: 'island', name: `Island ${i + 1}`, top: 2.0 + isl.h, radius: isl.r };
     // Sandy base (wider, flat)
     const baseGeo = new THREE.CylinderGeometry(isl.r + 1.5, isl.r + 2, 0.6, 16);
     const base = new THREE.Mesh(baseGeo, sandMat);
     base.position.set(ix, 1.8, iz);
     base.castShadow = true;
+    base.userData.tooltip = tooltip;
     scene.add(base);
+    tooltipTargets.push(base);
     // Green mound
     const moundGeo = new THREE.SphereGeometry(isl.r, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2);
     const mound = new THREE.Mesh(moundGeo, islandMat);
     mound.position.set(ix, 2.0, iz);
     mound.scale.y = isl.h / isl.r;
     mound.castShadow = true;
+    mound.userData.tooltip = tooltip;
     scene.add(mound);
+    tooltipTargets.push(mound);
     // Palm tree on each island
     const palmGroup = createPalmTree();
     palmGroup.position.set(ix, 2.0 + isl.h * 0.5, iz);
@@ -439,12 +710,9 @@ function createLakeWater() {
   createBeachPeople(lakeX, lakeZ, lakeR);
 
   // Canal water strip (from dam to treatment)
-  const canalPath = new THREE.CatmullRomCurve3([
-    new THREE.Vector3(-62, 3, -14),
-    new THREE.Vector3(-45, 4, -8),
-    new THREE.Vector3(-25, 5.5, 2),
-    new THREE.Vector3(-5, 7, 12),
-  ]);
+  const canalLink = network.links.find(l => l.kind === 'canal' && l.route);
+  if (!canalLink) return;
+  const canalPath = new THREE.CatmullRomCurve3(linkRoutePoints(canalLink));
   const canalWaterGeo = new THREE.TubeGeometry(canalPath, 40, 2.5, 8, false);
   const canalWaterMat = new THREE.MeshPhysicalMaterial({
     color: 0x0088AA,
@@ -462,6 +730,60 @@ function createLakeWater() {
 //  INFRASTRUCTURE (Placeholders)
 // ═══════════════════════════════════════════════════════════
 function createInfrastructure() {
+  // One placeholder per network node, picked by the node's type
+  network.nodes.forEach(addComponent);
+
+  // Store lake water for target ref
+  componentMeshes.lakeWater = lakeWater;
+}
+
+function addComponent(node) {
+  const build = PLACEHOLDER_BUILDERS[node.type];
+  if (!build) return;
+  const group = build(node);
+  if (!group) return;
+  scene.add(group);
+  componentMeshes[node.id] = group;
+
+  const lights = NIGHT_LIGHT_BUILDERS[node.type]?.(node);
+  if (lights) {
+    placeOnTerrain(lights, node);
+    scene.add(lights);
+    nightLights[node.id] = lights;
+  }
+}
+
+// Put a component's placeholder (or loaded model) and label at a spot on
+// the terrain — its node position unless given another while dragging
+function positionComponent(node, { x, z } = node.position) {
+  const ground = sampleTerrainHeight(x, z);
+  const mesh = componentMeshes[node.id];
+  if (mesh) mesh.position.set(x, ground + (mesh.userData.modelYOff ?? node.placeholderYOff ?? 0), z);
+  nightLights[node.id]?.position.set(x, ground + (node.placeholderYOff || 0), z);
+  labels3D[node.id]?.position.set(x, ground + (node.labelYOff || 0), z);
+}
+
+// Free the geometry and materials of an object and everything under it
+function disposeObject(object) {
+  object.traverse(o => {
+    o.geometry?.dispose();
+    (Array.isArray(o.material) ? o.material : [o.material]).forEach(m => m?.dispose());
+  });
+}
+
+// Scene points of a link route; points without a height follow the terrain
+function linkRoutePoints(link) {
+  return link.route.map(([x, y, z]) => new THREE.Vector3(x, y ?? sampleTerrainHeight(x, z) + 1, z));
+}
+
+// Sit a placeholder group on the terrain at its node position
+function placeOnTerrain(group, node) {
+  const { x, z } = node.position;
+  group.position.set(x, sampleTerrainHeight(x, z) + (node.placeholderYOff || 0), z);
+  if (node.rotY) group.rotation.y = node.rotY;
+}
+
+function buildDamPlaceholder(node) {
   // ── Dam ──
   const damGroup = new THREE.Group();
   // Main wall
@@ -486,21 +808,18 @@ function createInfrastructure() {
   rail.position.y = 7.5;
   damGroup.add(rail);
 
-  const damPos = CONFIG.positions.dam;
-  const damY = sampleTerrainHeight(damPos.x, damPos.z);
-  damGroup.position.set(damPos.x, damY + 2, damPos.z);
-  damGroup.rotation.y = 0.15;
-  scene.add(damGroup);
-  componentMeshes.dam = damGroup;
+  placeOnTerrain(damGroup, node);
+  return damGroup;
+}
+
+function buildCanalPlaceholder(node) {
+  const link = network.links.find(l => l.component === node.id && l.route);
+  if (!link) return null;
 
   // ── Canal Structure (banks) ──
   const canalGroup = new THREE.Group();
-  const bankPath = new THREE.CatmullRomCurve3([
-    new THREE.Vector3(-60, 4, -13),
-    new THREE.Vector3(-45, 5, -7),
-    new THREE.Vector3(-25, 6.5, 3),
-    new THREE.Vector3(-5, 8, 13),
-  ]);
+  // Banks sit just above and beside the canal water route
+  const bankPath = new THREE.CatmullRomCurve3(linkRoutePoints(link).map(p => p.add(new THREE.Vector3(0, 1, 1))));
   // Left bank
   const bankOffsets = [-4, 4];
   bankOffsets.forEach(off => {
@@ -516,11 +835,13 @@ function createInfrastructure() {
     const bankMat = new THREE.MeshStandardMaterial({ color: 0x8B7355, roughness: 0.9 });
     const bankMesh = new THREE.Mesh(bankGeo, bankMat);
     bankMesh.castShadow = true;
+    bankMesh.userData.tooltip = { kind: 'canal-bank', linkId: link.id, side: off < 0 ? 'Left' : 'Right' };
     canalGroup.add(bankMesh);
   });
-  scene.add(canalGroup);
-  componentMeshes.canal = canalGroup;
+  return canalGroup;
+}
 
+function buildTreatmentPlaceholder(node) {
   // ── Water Treatment Plant ──
   const treatGroup = new THREE.Group();
   // Main building
@@ -546,12 +867,11 @@ function createInfrastructure() {
   roof.position.y = 4.2;
   treatGroup.add(roof);
 
-  const treatPos = CONFIG.positions.treatment;
-  const treatY = sampleTerrainHeight(treatPos.x, treatPos.z);
-  treatGroup.position.set(treatPos.x, treatY + 4, treatPos.z);
-  scene.add(treatGroup);
-  componentMeshes.treatment = treatGroup;
+  placeOnTerrain(treatGroup, node);
+  return treatGroup;
+}
 
+function buildPumpPlaceholder(node) {
   // ── Pumping Station ──
   const pumpGroup = new THREE.Group();
   // Building
@@ -561,14 +881,36 @@ function createInfrastructure() {
   pumpBldg.castShadow = true;
   pumpBldg.receiveShadow = true;
   pumpGroup.add(pumpBldg);
-  // Motor housing (cylinders on top)
-  for (let i = -1; i <= 1; i += 2) {
-    const motorGeo = new THREE.CylinderGeometry(1.5, 1.5, 6, 16);
+  // Motor housings on the roof, one per pump unit, each with a cooling
+  // fan that spins while the unit runs and a status lamp
+  const pumpLink = network.links.find(l => l.from === node.id && l.hydraulics?.pump);
+  const count = pumpLink ? pumpLink.hydraulics.pump.count : 2;
+  const unitIds = pumpLink ? pumpUnitIds(pumpLink.hydraulics.pump) : [];
+  const columns = Math.ceil(count / 2);
+  const motorGeo = new THREE.CylinderGeometry(1.1, 1.1, 4, 16);
+  const bladeGeo = new THREE.BoxGeometry(1.9, 0.1, 0.35);
+  const lampGeo = new THREE.SphereGeometry(0.3, 8, 6);
+  for (let i = 0; i < count; i++) {
+    const x = (i % columns - (columns - 1) / 2) * 3;
+    const z = i < columns ? -2 : 2;
     const motorMat = new THREE.MeshStandardMaterial({ color: 0x336699, roughness: 0.3, metalness: 0.6 });
     const motor = new THREE.Mesh(motorGeo, motorMat);
-    motor.position.set(0, 7, i * 2.5);
+    motor.position.set(x, 7, z);
     motor.castShadow = true;
     pumpGroup.add(motor);
+    const fan = new THREE.Group();
+    const bladeMat = new THREE.MeshStandardMaterial({ color: 0xDDDDDD, roughness: 0.4, metalness: 0.5 });
+    [0, Math.PI / 2].forEach(angle => {
+      const blade = new THREE.Mesh(bladeGeo, bladeMat);
+      blade.rotation.y = angle;
+      fan.add(blade);
+    });
+    fan.position.set(x, 9.1, z);
+    pumpGroup.add(fan);
+    const lamp = new THREE.Mesh(lampGeo, new THREE.MeshBasicMaterial({ color: 0x555555 }));
+    lamp.position.set(x + 1.1, 8.4, z);
+    pumpGroup.add(lamp);
+    if (pumpLink) pumpMotors.push({ linkId: pumpLink.id, unitId: unitIds[i], fan, lamp });
   }
   // Pipe connectors
   const connGeo = new THREE.CylinderGeometry(1.2, 1.2, 14, 12);
@@ -578,12 +920,11 @@ function createInfrastructure() {
   conn.position.set(0, 2, 0);
   pumpGroup.add(conn);
 
-  const pumpPos = CONFIG.positions.pump;
-  const pumpY = sampleTerrainHeight(pumpPos.x, pumpPos.z);
-  pumpGroup.position.set(pumpPos.x, pumpY + 5, pumpPos.z);
-  scene.add(pumpGroup);
-  componentMeshes.pump = pumpGroup;
+  placeOnTerrain(pumpGroup, node);
+  return pumpGroup;
+}
 
+function buildHomesPlaceholder(node) {
   // ── Homes (Destination) ──
   const homesGroup = new THREE.Group();
   const homePositions = [
@@ -591,24 +932,7 @@ function createInfrastructure() {
     [0, 16], [8, 16], [16, 16], [-4, -8], [4, -8], [12, -8]
   ];
   homePositions.forEach(([hx, hz]) => {
-    const houseGroup = new THREE.Group();
-    // Walls
-    const wallGeo = new THREE.BoxGeometry(4, 3.5, 4);
-    const wallColor = [0xE8D8C0, 0xD4C4A8, 0xF0E0C8, 0xC8B898][Math.floor(Math.random() * 4)];
-    const wallMat = new THREE.MeshStandardMaterial({ color: wallColor, roughness: 0.8 });
-    const walls = new THREE.Mesh(wallGeo, wallMat);
-    walls.castShadow = true;
-    walls.receiveShadow = true;
-    houseGroup.add(walls);
-    // Roof
-    const roofGeo2 = new THREE.ConeGeometry(3.5, 2.5, 4);
-    const roofColor = [0xB22222, 0x8B4513, 0xA0522D, 0xCD853F][Math.floor(Math.random() * 4)];
-    const roofMat2 = new THREE.MeshStandardMaterial({ color: roofColor, roughness: 0.7 });
-    const roofMesh = new THREE.Mesh(roofGeo2, roofMat2);
-    roofMesh.position.y = 3;
-    roofMesh.rotation.y = Math.PI / 4;
-    roofMesh.castShadow = true;
-    houseGroup.add(roofMesh);
+    const houseGroup = buildHouse();
     houseGroup.position.set(hx, 0, hz);
     homesGroup.add(houseGroup);
   });
@@ -625,16 +949,11 @@ function createInfrastructure() {
   tankTop.castShadow = true;
   homesGroup.add(tankTop);
 
-  const homesPos = CONFIG.positions.homes;
-  const homesY = sampleTerrainHeight(homesPos.x, homesPos.z);
-  homesGroup.position.set(homesPos.x, homesY + 1.8, homesPos.z);
-  scene.add(homesGroup);
-  componentMeshes.homes = homesGroup;
-
+  placeOnTerrain(homesGroup, node);
 
   // ── Garden with sprinkler between the houses ──
-  const gardenX = homesPos.x + 5;
-  const gardenZ = homesPos.z + 12;
+  const gardenX = node.position.x + 5;
+  const gardenZ = node.position.z + 12;
   const gardenY = sampleTerrainHeight(gardenX, gardenZ);
   const gardenGroup = new THREE.Group();
 
@@ -737,11 +1056,181 @@ function createInfrastructure() {
   gardenGroup.position.set(gardenX, gardenY + 0.1, gardenZ);
   scene.add(gardenGroup);
 
+  return homesGroup;
+}
+
+// One small house: plastered walls under a hipped roof
+function buildHouse() {
+  const houseGroup = new THREE.Group();
+  // Walls
+  const wallGeo = new THREE.BoxGeometry(4, 3.5, 4);
+  const wallColor = [0xE8D8C0, 0xD4C4A8, 0xF0E0C8, 0xC8B898][Math.floor(Math.random() * 4)];
+  const wallMat = new THREE.MeshStandardMaterial({ color: wallColor, roughness: 0.8 });
+  const walls = new THREE.Mesh(wallGeo, wallMat);
+  walls.castShadow = true;
+  walls.receiveShadow = true;
+  houseGroup.add(walls);
+  // Roof
+  const roofGeo2 = new THREE.ConeGeometry(3.5, 2.5, 4);
+  const roofColor = [0xB22222, 0x8B4513, 0xA0522D, 0xCD853F][Math.floor(Math.random() * 4)];
+  const roofMat2 = new THREE.MeshStandardMaterial({ color: roofColor, roughness: 0.7 });
+  const roofMesh = new THREE.Mesh(roofGeo2, roofMat2);
+  roofMesh.position.y = 3;
+  roofMesh.rotation.y = Math.PI / 4;
+  roofMesh.castShadow = true;
+  houseGroup.add(roofMesh);
+  // Windows front and back
+  [[-0.9, 2.01, 0], [0.9, 2.01, 0], [0.9, -2.01, Math.PI]].forEach(([wx, wz, turn]) => {
+    const win = new THREE.Mesh(new THREE.PlaneGeometry(0.9, 0.9), WINDOW_MATERIAL);
+    win.position.set(wx, 0.3, wz);
+    win.rotation.y = turn;
+    houseGroup.add(win);
+  });
+  return houseGroup;
+}
+
+// Night-light materials, shared so dusk switches every window and bulb at once
+const WINDOW_MATERIAL = new THREE.MeshBasicMaterial({ color: CONFIG.daylight.windowDayColor });
+const BULB_MATERIAL = new THREE.MeshBasicMaterial({ color: CONFIG.daylight.bulbDayColor });
+
+// Street lamp: a post with an arm and a bulb that lights at dusk
+function buildStreetLamp() {
+  const lampGroup = new THREE.Group();
+  const postMat = new THREE.MeshStandardMaterial({ color: 0x444444, roughness: 0.5, metalness: 0.6 });
+  const post = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.16, 5, 6), postMat);
+  post.position.y = 2.5;
+  post.castShadow = true;
+  lampGroup.add(post);
+  const arm = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.12, 0.12), postMat);
+  arm.position.set(0.55, 4.9, 0);
+  lampGroup.add(arm);
+  const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.3, 8, 6), BULB_MATERIAL);
+  bulb.position.set(1.1, 4.7, 0);
+  lampGroup.add(bulb);
+  return lampGroup;
+}
+
+// Floodlight mast over a facility; its light is off until dusk
+function buildFloodlight(height) {
+  const mastGroup = new THREE.Group();
+  const mast = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.18, 0.25, height, 6),
+    new THREE.MeshStandardMaterial({ color: 0x666666, roughness: 0.5, metalness: 0.6 })
+  );
+  mast.position.y = height / 2;
+  mast.castShadow = true;
+  mastGroup.add(mast);
+  const head = new THREE.Mesh(new THREE.BoxGeometry(1.4, 0.5, 0.3), BULB_MATERIAL);
+  head.position.set(0, height, 0.2);
+  mastGroup.add(head);
+  const light = new THREE.PointLight(0xFFE8C0, isNight ? CONFIG.daylight.floodIntensity : 0, 45, 1);
+  light.position.set(0, height - 0.5, 1);
+  light.userData.floodlight = true;
+  mastGroup.add(light);
+  return mastGroup;
+}
+
+// Floodlight in a group laid out like the facility's placeholder
+function floodlightAt(height, x, y, z, rotY) {
+  const lightsGroup = new THREE.Group();
+  const flood = buildFloodlight(height);
+  flood.position.set(x, y, z);
+  flood.rotation.y = rotY;
+  lightsGroup.add(flood);
+  return lightsGroup;
+}
+
+// Street lamps at spots around a settlement, standing on the ground
+function streetLampsAt(node, spots, turn) {
+  const lightsGroup = new THREE.Group();
+  spots.forEach(([lx, lz]) => {
+    const lamp = buildStreetLamp();
+    lamp.position.set(lx, -(node.placeholderYOff || 0), lz);
+    if (turn) lamp.rotation.y = Math.random() * Math.PI;
+    lightsGroup.add(lamp);
+  });
+  return lightsGroup;
+}
+
+// Night lights per node type, in the same frame as the placeholder (see
+// placeOnTerrain) but their own group, so they stay when a model loads
+const NIGHT_LIGHT_BUILDERS = {
+  dam:       () => floodlightAt(6, 0, 8.25, 18, -Math.PI / 2),
+  treatment: () => floodlightAt(10, 9, -4, 7, Math.PI / 4),
+  pump:      () => floodlightAt(12, 6.5, -5, 5.5, Math.PI * 0.75),
+  village:   node => streetLampsAt(node, [[3, 5], [-4, -5], [10, 2]], true),
+  homes:     node => streetLampsAt(node, [[-2, 4], [10, 4], [18, 12], [2, 12], [8, -4]], false),
+};
+
+function buildVillagePlaceholder(node) {
+  // ── Village (branch delivery zone) ──
+  const villageGroup = new THREE.Group();
+  const housePositions = [[6, 2], [12, -3], [9, 8], [-6, 6], [-9, -2], [-2, -9], [4, -10], [15, 5]];
+  housePositions.forEach(([hx, hz]) => {
+    const house = buildHouse();
+    house.position.set(hx, 0, hz);
+    house.rotation.y = Math.random() * Math.PI;
+    villageGroup.add(house);
+  });
+  // Elevated storage tank the branch main fills
+  const towerMat = new THREE.MeshStandardMaterial({ color: 0x6699AA, roughness: 0.3, metalness: 0.4 });
+  const legGeo = new THREE.CylinderGeometry(0.25, 0.25, 4, 6);
+  [[-1.5, -1.5], [1.5, -1.5], [-1.5, 1.5], [1.5, 1.5]].forEach(([lx, lz]) => {
+    const leg = new THREE.Mesh(legGeo, towerMat);
+    leg.position.set(lx, 2, lz);
+    leg.castShadow = true;
+    villageGroup.add(leg);
+  });
+  const tankGroup = new THREE.Group();
+  const tank = new THREE.Mesh(new THREE.CylinderGeometry(3, 3, 4, 16), towerMat);
+  tank.castShadow = true;
+  tankGroup.add(tank);
+  const lid = new THREE.Mesh(new THREE.ConeGeometry(3.3, 1.2, 16), towerMat);
+  lid.position.y = 2.6;
+  tankGroup.add(lid);
+  tankGroup.position.y = 6;
+  tankGroup.userData.tooltip = { kind: 'tank', nodeId: node.id };
+  villageGroup.add(tankGroup);
+
+  placeOnTerrain(villageGroup, node);
+  return villageGroup;
+}
+
+function buildJunctionPlaceholder(node) {
+  // ── Valve chamber over a buried tee ──
+  const chamberGroup = new THREE.Group();
+  const chamber = new THREE.Mesh(
+    new THREE.BoxGeometry(5, 1.6, 5),
+    new THREE.MeshStandardMaterial({ color: 0x9E9E9E, roughness: 0.8 })
+  );
+  chamber.position.y = 0.8;
+  chamber.castShadow = true;
+  chamber.receiveShadow = true;
+  chamberGroup.add(chamber);
+  const lid = new THREE.Mesh(
+    new THREE.BoxGeometry(2.2, 0.2, 2.2),
+    new THREE.MeshStandardMaterial({ color: 0x455A64, roughness: 0.4, metalness: 0.7 })
+  );
+  lid.position.y = 1.7;
+  chamberGroup.add(lid);
+  // Marker post so the chamber can be found in the bush
+  const post = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.15, 0.15, 3, 6),
+    new THREE.MeshStandardMaterial({ color: 0xF9A825, roughness: 0.6 })
+  );
+  post.position.set(2, 1.5, 2);
+  chamberGroup.add(post);
+
+  placeOnTerrain(chamberGroup, node);
+  return chamberGroup;
+}
+
+function buildLakePlaceholder(node) {
   // ── Lake shore reeds (ring around the bigger lake) ──
   const lakeGroup = new THREE.Group();
   for (let a = 0; a < Math.PI * 2; a += 0.25) {
-    const rx = Math.cos(a) * 53 + CONFIG.positions.lake.x;
-    const rz = Math.sin(a) * 53 + CONFIG.positions.lake.z;
+    const rx = Math.cos(a) * (node.radius - 2) + node.position.x;
+    const rz = Math.sin(a) * (node.radius - 2) + node.position.z;
     // Cluster of 2-4 reeds per point
     const count = 2 + Math.floor(Math.random() * 3);
     for (let j = 0; j < count; j++) {
@@ -755,90 +1244,127 @@ function createInfrastructure() {
       reed.rotation.x = (Math.random() - 0.5) * 0.15;
       reed.rotation.z = (Math.random() - 0.5) * 0.15;
       lakeGroup.add(reed);
+      addShoreObject(reed, true);
     }
   }
-  scene.add(lakeGroup);
-  componentMeshes.lake = lakeGroup;
-
-  // Store lake water for target ref
-  componentMeshes.lakeWater = lakeWater;
+  return lakeGroup;
 }
 
+// Placeholder builder per network node type. Pipeline nodes have no
+// placeholder of their own — createPipeline() draws the tubes.
+const PLACEHOLDER_BUILDERS = {
+  lake:      buildLakePlaceholder,
+  dam:       buildDamPlaceholder,
+  canal:     buildCanalPlaceholder,
+  treatment: buildTreatmentPlaceholder,
+  pump:      buildPumpPlaceholder,
+  junction:  buildJunctionPlaceholder,
+  village:   buildVillagePlaceholder,
+  homes:     buildHomesPlaceholder,
+};
+
 
 // ═══════════════════════════════════════════════════════════
-//  PIPELINE (connecting pipes from treatment → pump → homes)
+//  PIPELINE (one run per hydraulic link: mains, branches, canal)
 // ═══════════════════════════════════════════════════════════
-function createPipeline() {
-  // Full route path from lake to homes
-  const routePoints = [];
-  const segments = [
-    { key: 'dam',       pos: CONFIG.positions.dam,       yOff: 5 },
-    { key: 'treatment', pos: CONFIG.positions.treatment,  yOff: 6 },
-    { key: 'pump',      pos: CONFIG.positions.pump,       yOff: 4 },
-    { key: 'homes',     pos: CONFIG.positions.homes,      yOff: 4 },
-  ];
-
-  // Start from dam outlet area
-  const startX = CONFIG.positions.dam.x + 5;
-  const startZ = CONFIG.positions.dam.z;
-  routePoints.push(new THREE.Vector3(startX, sampleTerrainHeight(startX, startZ) + 4, startZ));
-
-  // Intermediate points from treatment to pump to homes
-  segments.forEach(seg => {
-    const y = sampleTerrainHeight(seg.pos.x, seg.pos.z) + seg.yOff;
-    routePoints.push(new THREE.Vector3(seg.pos.x, y, seg.pos.z));
-  });
-
-  // Extend pipe to the rooftop water tank (108, 46)
-  const homesRoofY = sampleTerrainHeight(105, 45) + 1.8 + 23; // building roof
-  routePoints.push(new THREE.Vector3(108, homesRoofY + 7, 46)); // tank inlet height
+const PIPE_COLORS = { gravity: 0x4488BB, pumped: 0xDD7700 };   // Tube colour by link kind
 
-  pipelinePath = new THREE.CatmullRomCurve3(routePoints, false, 'catmullrom', 0.3);
+function createPipeline() {
+  network.links.forEach(createPipeRun);
+}
 
-  // Split pipeline into two colored segments:
-  // BLUE section (gravity-fed: treatment → pump)
-  const gravityPoints = [];
-  for (let t = 0.25; t <= 0.55; t += 0.01) {
-    gravityPoints.push(pipelinePath.getPoint(t));
-  }
-  const gravityCurve = new THREE.CatmullRomCurve3(gravityPoints);
-  const gravityGeo = new THREE.TubeGeometry(gravityCurve, 40, 1.0, 12, false);
-  const gravityMat = new THREE.MeshStandardMaterial({
-    color: 0x4488BB,
+// Draw one hydraulic link: its curve, and for pipes the tube and pylons
+function createPipeRun(link) {
+  if (!link.hydraulics) return;
+  const from = network.nodeById[link.from];
+  const to = network.nodeById[link.to];
+  // Open channels follow their surveyed route, pipes run between node pipe
+  // points through any bends drawn on the way
+  const channel = link.hydraulics.kind === 'canal';
+  const points = channel ? link.route && linkRoutePoints(link)
+    : from.pipe && to.pipe && pipeRunPoints(from, to, link.route);
+  if (!points) return;
+  const curve = new THREE.CatmullRomCurve3(points, false, 'catmullrom', 0.3);
+  const run = { linkId: link.id, kind: link.kind, curve, length: curve.getLength(), tube: null, sections: [], props: [] };
+  pipeRuns[link.id] = run;
+  createFlowArrows(run);
+  createGradeLine(run);
+  // The canal water itself is part of the lake scenery
+  if (channel) return;
+
+  // Tube radius follows the pipe diameter, with the mains at full size
+  const radius = Math.min(1, 0.35 + (link.hydraulics.diameter || 1) * 0.5);
+  const tubeGeo = new THREE.TubeGeometry(curve, Math.max(20, Math.ceil(run.length / 2)), radius, 12, false);
+  const tubeMat = new THREE.MeshStandardMaterial({
+    color: PIPE_COLORS[link.kind] ?? PIPE_COLORS.gravity,
     roughness: 0.25,
     metalness: 0.6
   });
-  const gravityPipe = new THREE.Mesh(gravityGeo, gravityMat);
-  gravityPipe.castShadow = true;
-  scene.add(gravityPipe);
+  run.tube = new THREE.Mesh(tubeGeo, tubeMat);
+  run.tube.castShadow = true;
+  run.tube.userData.tooltip = { kind: 'pipe', linkId: link.id };
+
+  // Group the tubes per component (the pipeline node) for picking and alarm glow
+  const key = link.component || 'pipes';
+  if (!componentMeshes[key]) {
+    componentMeshes[key] = new THREE.Group();
+    scene.add(componentMeshes[key]);
+  }
+  componentMeshes[key].add(run.tube);
+
+  // Clean closed pipes — no rings, no flanges. Just smooth tubes with pylons.
+  createPylons(run);
+}
 
-  // ORANGE section (pumped uphill: pump → homes)
-  const pumpedPoints = [];
-  for (let t = 0.54; t <= 1; t += 0.01) {
-    pumpedPoints.push(pipelinePath.getPoint(t));
+// Take a run out of the scene with everything drawn along it
+function removePipeRun(linkId) {
+  const run = pipeRuns[linkId];
+  if (run.tube) {
+    run.tube.parent.remove(run.tube);
+    disposeObject(run.tube);
   }
-  const pumpedCurve = new THREE.CatmullRomCurve3(pumpedPoints);
-  const pumpedGeo = new THREE.TubeGeometry(pumpedCurve, 50, 1.0, 12, false);
-  const pumpedMat = new THREE.MeshStandardMaterial({
-    color: 0xDD7700,
-    roughness: 0.25,
-    metalness: 0.6
+  run.props.forEach(object => {
+    scene.remove(object);
+    disposeObject(object);
   });
-  const pumpedPipe = new THREE.Mesh(pumpedGeo, pumpedMat);
-  pumpedPipe.castShadow = true;
-  scene.add(pumpedPipe);
+  tooltipTargets = tooltipTargets.filter(t => !run.props.includes(t));
+  const fp = flowParticles.find(f => f.linkId === linkId);
+  if (fp) {
+    scene.remove(fp.mesh);
+    fp.mesh.geometry.dispose();
+    flowParticles = flowParticles.filter(f => f !== fp);
+  }
+  delete pipeRuns[linkId];
+}
 
-  // Group both pipe segments for the component reference
-  const pipeGroup = new THREE.Group();
-  pipeGroup.add(gravityPipe);
-  pipeGroup.add(pumpedPipe);
-  componentMeshes.pipes = pipeGroup;
+// Control points of a pipe between two nodes: node pipe points and the
+// bends of its route, with the spans between them kept above the ground,
+// and the riser into a rooftop tank
+function pipeRunPoints(from, to, route = []) {
+  const start = new THREE.Vector3(from.position.x, sampleTerrainHeight(from.position.x, from.position.z) + from.pipe.yOff, from.position.z);
+  const end = new THREE.Vector3(to.position.x, sampleTerrainHeight(to.position.x, to.position.z) + to.pipe.yOff, to.position.z);
+  const bends = route.map(([x, y, z]) => new THREE.Vector3(x, y ?? sampleTerrainHeight(x, z) + 1.5, z));
+  const points = [start];
+  [...bends, end].forEach(next => {
+    const last = points[points.length - 1];
+    const steps = Math.max(1, Math.round(last.distanceTo(next) / 20));
+    for (let i = 1; i < steps; i++) {
+      const p = last.clone().lerp(next, i / steps);
+      p.y = Math.max(p.y, sampleTerrainHeight(p.x, p.z) + 1.5);
+      points.push(p);
+    }
+    points.push(next);
+  });
 
-  // Clean closed pipes — no rings, no flanges. Just smooth tubes with pylons.
+  if (to.tank) points.push(rooftopTankPosition(to).add(new THREE.Vector3(0, 7, 0))); // tank inlet height
+  return points;
+}
 
-  // Pipe supports / pylons under elevated sections
-  for (let t = 0.35; t <= 0.95; t += 0.12) {
-    const pos = pipelinePath.getPoint(t);
+// Pipe supports / pylons under elevated stretches of a run
+function createPylons(run) {
+  const spacing = Math.max(0.05, 14 / run.length);
+  for (let u = spacing / 2; u < 1; u += spacing) {
+    const pos = run.curve.getPointAt(u);
     const groundY = sampleTerrainHeight(pos.x, pos.z);
     const pipeY = pos.y;
     if (pipeY - groundY > 2) {
@@ -848,25 +1374,64 @@ function createPipeline() {
       const pylon = new THREE.Mesh(pylonGeo, pylonMat);
       pylon.position.set(pos.x, groundY + height / 2, pos.z);
       pylon.castShadow = true;
+      pylon.userData.tooltip = { kind: 'pylon', linkId: run.linkId, position: u, height };
       scene.add(pylon);
+      tooltipTargets.push(pylon);
+      run.props.push(pylon);
     }
   }
 }
 
+// Direction arrow markers along a run — orange for pumped (uphill), blue for gravity-fed
+function createFlowArrows(run) {
+  const color = run.kind === 'pumped' ? 0xFF8C00 : 0x00B4D8;
+  const mat = new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.5 });
+  const count = Math.max(1, Math.round(run.length / 25));
+  for (let i = 0; i < count; i++) {
+    const u = (i + 0.5) / count;
+    const pos = run.curve.getPointAt(u);
+    const tangent = run.curve.getTangentAt(u);
+    const arrow = new THREE.Mesh(new THREE.ConeGeometry(0.6, 1.5, 6), mat);
+    arrow.position.copy(pos);
+    arrow.position.y += 3;
+    arrow.lookAt(pos.clone().add(tangent));
+    arrow.rotateX(Math.PI / 2);
+    scene.add(arrow);
+    run.props.push(arrow);
+  }
+}
+
+// Runs with a tube: the pressurised pipes that can take a leak
+function pipeRunList() {
+  return Object.values(pipeRuns).filter(run => run.tube);
+}
+
+// Point along a run nearest to a scene point, as { linkId, position }
+function nearestPipeLocation(run, point) {
+  let best = 0;
+  let bestDist = Infinity;
+  const steps = Math.max(100, Math.ceil(run.length * 2));
+  for (let i = 0; i <= steps; i++) {
+    const d = run.curve.getPointAt(i / steps).distanceToSquared(point);
+    if (d < bestDist) { bestDist = d; best = i / steps; }
+  }
+  return { linkId: run.linkId, position: best };
+}
+
+function pipePoint(loc) {
+  return pipeRuns[loc.linkId].curve.getPointAt(loc.position);
+}
+
 
 // ═══════════════════════════════════════════════════════════
 //  WATER STORAGE TANK (receives water at pipe terminus)
 // ═══════════════════════════════════════════════════════════
 function createWaterTap() {
-  // Water storage tank sitting ON the building roof.
-  // Building center: (105, 45), model height ~23 units (19.3 * scale 1.2),
-  // building base Y = terrainHeight(105,45) + 1.8
-  const homesTerrainY = sampleTerrainHeight(105, 45);
-  const roofY = homesTerrainY + 1.8 + 23; // approximate roof height
-
-  // Position near center of the building roof
-  const tankX = 108;
-  const tankZ = 46;
+  // Water storage tank sitting ON the building roof of the node that has one.
+  // Homes model height ~23 units (19.3 * scale 1.2),
+  // building base Y = terrainHeight(homes) + placeholderYOff
+  const homes = network.nodes.find(n => n.tank);
+  if (!homes) return;
 
   const tankGroup = new THREE.Group();
 
@@ -882,10 +1447,12 @@ function createWaterTap() {
     tankGroup.add(leg);
   });
 
-  // ── Main tank body (large blue cylinder) ──
+  // ── Main tank body (large blue cylinder, see-through to show the water level) ──
   const tankBodyH = 10;
   const tankR = 6;
-  const tankMat = new THREE.MeshStandardMaterial({ color: 0x2277AA, roughness: 0.4, metalness: 0.3 });
+  const tankMat = new THREE.MeshStandardMaterial({
+    color: 0x2277AA, roughness: 0.4, metalness: 0.3, transparent: true, opacity: 0.45, depthWrite: false,
+  });
   const tankBodyGeo = new THREE.CylinderGeometry(tankR, tankR, tankBodyH, 24);
   const tankBody = new THREE.Mesh(tankBodyGeo, tankMat);
   tankBody.position.y = legH + tankBodyH / 2;
@@ -925,60 +1492,77 @@ function createWaterTap() {
   inlet.castShadow = true;
   tankGroup.add(inlet);
 
-  tankGroup.position.set(tankX, roofY, tankZ);
+  // ── Water inside, scaled to the tank level ──
+  const waterGeo = new THREE.CylinderGeometry(tankR - 0.25, tankR - 0.25, 1, 24);
+  waterGeo.translate(0, 0.5, 0);
+  const water = new THREE.Mesh(waterGeo, new THREE.MeshStandardMaterial({ color: 0x1E90FF, roughness: 0.1, metalness: 0.1 }));
+  water.position.y = legH + 0.3;
+  tankGroup.add(water);
+
+  // ── Outlet down pipe into the building ──
+  const outletGeo = new THREE.CylinderGeometry(0.6, 0.6, legH, 10);
+  const outlet = new THREE.Mesh(outletGeo, new THREE.MeshStandardMaterial({ color: 0x4488BB, roughness: 0.3, metalness: 0.6 }));
+  outlet.position.y = legH / 2;
+  tankGroup.add(outlet);
+
+  // Level and flows in and out
+  const div = document.createElement('div');
+  div.className = 'label-3d tank-label';
+  div.innerHTML = '<b>Rooftop Tank</b><span class="label-live"></span>';
+  const label = new CSS2DObject(div);
+  label.position.set(0, legH + tankBodyH + tankR + 3, 0);
+  tankGroup.add(label);
+
+  tankGroup.position.copy(rooftopTankPosition(homes));
+  tankGroup.userData.tooltip = { kind: 'tank', nodeId: homes.id };
   scene.add(tankGroup);
+  tooltipTargets.push(tankGroup);
+  tankVisual = { nodeId: homes.id, group: tankGroup, water, label, height: tankBodyH - 0.6, shown: homes.hydraulics?.level ?? 0 };
 }
 
+// Foot of the rooftop tank: near the centre of the building roof
+function rooftopTankPosition(node) {
+  const { x, z } = node.position;
+  const roofY = sampleTerrainHeight(x, z) + (node.placeholderYOff || 0) + node.tank.roofHeight; // approximate roof height
+  return new THREE.Vector3(x + node.tank.dx, roofY, z + node.tank.dz);
+}
 
-// ═══════════════════════════════════════════════════════════
-//  WATER FLOW PARTICLES
-// ═══════════════════════════════════════════════════════════
-function createFlowParticles() {
-  if (!pipelinePath) return;
-  const particleCount = 600;
-  const geo = new THREE.BufferGeometry();
-  const positions = new Float32Array(particleCount * 3);
-  const colors = new Float32Array(particleCount * 3);
-  const sizes = new Float32Array(particleCount);
-  const offsets = new Float32Array(particleCount); // t-offset along path
-
-  for (let i = 0; i < particleCount; i++) {
-    offsets[i] = Math.random();
-    const p = pipelinePath.getPoint(offsets[i]);
-    positions[i * 3] = p.x + (Math.random() - 0.5) * 1.5;
-    positions[i * 3 + 1] = p.y + (Math.random() - 0.5) * 1.5;
-    positions[i * 3 + 2] = p.z + (Math.random() - 0.5) * 1.5;
+// Label readings from the results on screen; the water follows in updateTankVisual
+function renderTank() {
+  const res = tankVisual && viewResults?.nodes[tankVisual.nodeId];
+  if (!res) return;
+  const el = tankVisual.label.element;
+  el.querySelector('.label-live').textContent =
+    `${res.level.toFixed(2)} m \u00B7 in ${formatFlow(tankInflow(tankVisual.nodeId))} \u00B7 out ${formatFlow(res.supplied)}`;
+  el.classList.toggle('dry', !!res.dry);
+}
 
-    // Color gradient: BLUE for gravity-fed, ORANGE/AMBER for pumped uphill
-    const t = offsets[i];
-    if (t < 0.4) {
-      // Gravity-fed section (lake → dam → canal → treatment): cool blue
-      colors[i * 3]     = 0.0;
-      colors[i * 3 + 1] = 0.45 + t * 0.8;
-      colors[i * 3 + 2] = 1.0;
-    } else if (t < 0.55) {
-      // Transition zone (treatment → pump): blue fading to orange
-      const blend = (t - 0.4) / 0.15;
-      colors[i * 3]     = blend * 1.0;
-      colors[i * 3 + 1] = 0.7 - blend * 0.25;
-      colors[i * 3 + 2] = 1.0 - blend * 0.8;
-    } else {
-      // Pumped uphill section (pump → pipeline → homes): vivid orange/amber
-      const progress = (t - 0.55) / 0.45;
-      colors[i * 3]     = 1.0;
-      colors[i * 3 + 1] = 0.45 + progress * 0.2;
-      colors[i * 3 + 2] = 0.0 + progress * 0.15;
-    }
+// Ease the water surface toward the level on screen
+function updateTankVisual(delta) {
+  if (!tankVisual) return;
+  const node = network.nodeById[tankVisual.nodeId];
+  const target = viewResults?.nodes[node.id]?.level ?? tankVisual.shown;
+  tankVisual.shown += (target - tankVisual.shown) * Math.min(1, delta * 3);
+  const full = Math.min(1, Math.max(0, tankVisual.shown / node.hydraulics.maxLevel));
+  tankVisual.water.scale.y = Math.max(0.001, full * tankVisual.height);
+  tankVisual.label.visible = labelsVisible;
+}
 
-    sizes[i] = 1.5 + Math.random() * 2;
-  }
 
-  geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-  geo.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+// ═══════════════════════════════════════════════════════════
+//  WATER FLOW PARTICLES
+// ═══════════════════════════════════════════════════════════
+// Particle colour along a run by link kind, from its inlet to its outlet:
+// cool blue in the canal, light blue by gravity, vivid orange/amber pumped uphill
+const PARTICLE_COLORS = {
+  canal:   [[0.0, 0.45, 1.0], [0.0, 0.75, 1.0]],
+  gravity: [[0.1, 0.75, 1.0], [0.35, 0.7, 0.9]],
+  pumped:  [[1.0, 0.45, 0.0], [1.0, 0.65, 0.15]],
+};
 
+function createFlowParticles() {
   // Custom shader for round, glowing particles
-  const mat = new THREE.ShaderMaterial({
+  flowMaterial = new THREE.ShaderMaterial({
     uniforms: {
       uTime: { value: 0 },
       uPixelRatio: { value: renderer.getPixelRatio() }
@@ -1009,12 +1593,11 @@ function createFlowParticles() {
     blending: THREE.AdditiveBlending
   });
 
-  const points = new THREE.Points(geo, mat);
-  scene.add(points);
-
-  flowParticles.push({ mesh: points, offsets, speed: 0.04 });
+  Object.values(pipeRuns).forEach(createRunParticles);
 
   // Lake shimmer particles
+  const lake = findNodeByType(network, 'lake');
+  if (!lake) return;
   const lakeParticleCount = 200;
   const lakeGeo = new THREE.BufferGeometry();
   const lakePos = new Float32Array(lakeParticleCount * 3);
@@ -1022,10 +1605,10 @@ function createFlowParticles() {
   const lakeCol = new Float32Array(lakeParticleCount * 3);
   for (let i = 0; i < lakeParticleCount; i++) {
     const angle = Math.random() * Math.PI * 2;
-    const radius = Math.random() * 52;  // bigger lake
-    lakePos[i * 3] = Math.cos(angle) * radius + CONFIG.positions.lake.x;
+    const radius = Math.random() * (lake.radius - 3);
+    lakePos[i * 3] = Math.cos(angle) * radius + lake.position.x;
     lakePos[i * 3 + 1] = 2 + Math.random() * 0.5;
-    lakePos[i * 3 + 2] = Math.sin(angle) * radius + CONFIG.positions.lake.z;
+    lakePos[i * 3 + 2] = Math.sin(angle) * radius + lake.position.z;
     lakeSizes[i] = 1 + Math.random() * 1.5;
     lakeCol[i * 3] = 0.3;
     lakeCol[i * 3 + 1] = 0.7 + Math.random() * 0.3;
@@ -1034,88 +1617,490 @@ function createFlowParticles() {
   lakeGeo.setAttribute('position', new THREE.BufferAttribute(lakePos, 3));
   lakeGeo.setAttribute('size', new THREE.BufferAttribute(lakeSizes, 1));
   lakeGeo.setAttribute('color', new THREE.BufferAttribute(lakeCol, 3));
-  const lakePts = new THREE.Points(lakeGeo, mat.clone());
+  const lakePts = new THREE.Points(lakeGeo, flowMaterial.clone());
   scene.add(lakePts);
 }
 
+// One particle stream per run, as dense on a branch as on the main
+function createRunParticles(run) {
+  const particleCount = Math.max(20, Math.round(run.length * 2.5));
+  const geo = new THREE.BufferGeometry();
+  const positions = new Float32Array(particleCount * 3);
+  const colors = new Float32Array(particleCount * 3);
+  const sizes = new Float32Array(particleCount);
+  const offsets = new Float32Array(particleCount); // Fraction along the run
+  const [inlet, outlet] = PARTICLE_COLORS[run.kind] || PARTICLE_COLORS.gravity;
+
+  for (let i = 0; i < particleCount; i++) {
+    offsets[i] = Math.random();
+    const p = run.curve.getPointAt(offsets[i]);
+    positions[i * 3] = p.x + (Math.random() - 0.5) * 1.5;
+    positions[i * 3 + 1] = p.y + (Math.random() - 0.5) * 1.5;
+    positions[i * 3 + 2] = p.z + (Math.random() - 0.5) * 1.5;
+    for (let c = 0; c < 3; c++) {
+      colors[i * 3 + c] = inlet[c] + (outlet[c] - inlet[c]) * offsets[i];
+    }
+    sizes[i] = 1.5 + Math.random() * 2;
+  }
+
+  geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geo.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+  const points = new THREE.Points(geo, flowMaterial);
+  points.visible = flowActive;
+  scene.add(points);
+
+  flowParticles.push({ mesh: points, linkId: run.linkId, offsets, speed: 0.04, baseSizes: sizes.slice(), baseColors: colors.slice() });
+}
+
 
 // ═══════════════════════════════════════════════════════════
-//  PALM TREE (for islands and beach — swaying)
+//  HYDRAULICS (solver results → particles and info cards)
 // ═══════════════════════════════════════════════════════════
-function createPalmTree() {
-  const tree = new THREE.Group();
-  // Curved trunk
-  const trunkCurve = new THREE.CatmullRomCurve3([
-    new THREE.Vector3(0, 0, 0),
-    new THREE.Vector3(0.3, 2, 0.1),
-    new THREE.Vector3(0.1, 4.5, -0.2),
-    new THREE.Vector3(-0.2, 6.5, 0),
-  ]);
-  const trunkGeo = new THREE.TubeGeometry(trunkCurve, 12, 0.25, 8, false);
-  const trunkMat = new THREE.MeshStandardMaterial({ color: 0x8B6914, roughness: 0.9 });
-  const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-  trunk.castShadow = true;
-  tree.add(trunk);
-
-  // Palm fronds (6 leaves radiating out)
-  const frondMat = new THREE.MeshStandardMaterial({ color: 0x228B22, roughness: 0.8, side: THREE.DoubleSide });
-  for (let i = 0; i < 6; i++) {
-    const angle = (i / 6) * Math.PI * 2;
-    const frondShape = new THREE.Shape();
-    frondShape.moveTo(0, 0);
-    frondShape.quadraticCurveTo(1.5, 0.6, 4, -0.5);
-    frondShape.quadraticCurveTo(1.5, -0.2, 0, 0);
-    const frondGeo = new THREE.ShapeGeometry(frondShape);
-    const frond = new THREE.Mesh(frondGeo, frondMat);
-    frond.position.set(-0.2, 6.3, 0);
-    frond.rotation.set(-0.4, angle, 0);
-    frond.castShadow = true;
-    tree.add(frond);
+function runHydraulics() {
+  hydraulicResults = solveHydraulics(hydraulicModel);
+  if (!hydraulicResults.converged) {
+    console.warn(`Hydraulic solver did not converge after ${hydraulicResults.iterations} iterations`);
   }
-  // Coconuts
-  const cocoMat = new THREE.MeshStandardMaterial({ color: 0x5C3317 });
-  for (let i = 0; i < 3; i++) {
-    const coco = new THREE.Mesh(new THREE.SphereGeometry(0.2, 6, 6), cocoMat);
-    coco.position.set(-0.2 + (Math.random() - 0.5) * 0.5, 6.0, (Math.random() - 0.5) * 0.5);
-    tree.add(coco);
+  runTreatmentProcess();
+  runWaterQuality();
+  publishModelTags();
+  if (Object.keys(leakMarkers).length) updateIncidentValues();
+  if (playback.active) return;
+  viewResults = hydraulicResults;
+  applyHydraulicsToFlow();
+  applyQualityToFlow();
+  renderTooltip();
+  renderPumps();
+  renderDam();
+  renderProcess();
+  renderQuality();
+  renderTank();
+  renderDemand();
+  drawElevationProfile();
+  updateGradeLines();
+  if (activeInfoKey && !document.getElementById('info-card').classList.contains('hidden')) {
+    showInfoCard(activeInfoKey);
   }
-  return tree;
 }
 
+// Set particle speed (from velocity) and density (from flow) per link
+// section, so flow past a leak thins out and reversed flow runs backwards
+function applyHydraulicsToFlow() {
+  if (!viewResults) return;
+  Object.values(pipeRuns).forEach(run => {
+    const link = network.linkById[run.linkId];
+    const res = viewResults.links[run.linkId];
+    // A pipe not yet joined up (or drawn after a recorded frame) has no flow
+    if (!res) {
+      run.sections = [];
+      return;
+    }
+    // A branch is full at its own design flow, not the main's
+    const designFlow = link.hydraulics.designFlow ?? hydraulicModel.designFlow;
+    run.sections = res.sections.map(sec => ({
+      from: sec.from,
+      to: sec.to,
+      speed: run.length > 0 ? Math.sign(sec.flow) * sec.velocity * CONFIG.hydraulics.visualSpeed / run.length : 0,
+      density: Math.max(0, Math.min(1, Math.abs(sec.flow) / designFlow)),
+    }));
+  });
+}
 
-// ═══════════════════════════════════════════════════════════
-//  BEACH PEOPLE (relaxing near the lake)
-// ═══════════════════════════════════════════════════════════
-function createBeachPeople(lakeX, lakeZ, lakeR) {
-  const skinColors = [0xD2956A, 0x8D5524, 0xC68642, 0xF1C27D, 0x6B3E26];
-  const clothColors = [0xFF4444, 0x4488FF, 0xFFCC00, 0x44CC44, 0xFF88CC, 0xFFFFFF, 0xFF6600];
+// Solved section of a run at a fraction of its length
+function runSectionAt(run, position) {
+  return run.sections.find(sec => position >= sec.from && position <= sec.to);
+}
 
-  // People sitting/lying on the beach
-  const beachSpots = [];
-  for (let i = 0; i < 14; i++) {
-    const angle = -Math.PI * 0.3 + Math.random() * Math.PI * 1.4; // around the shore
-    const dist = lakeR + 2 + Math.random() * 8;
-    beachSpots.push({ angle, dist });
-  }
+function formatFlow(q) {
+  if (Math.abs(q) < 0.005) q = 0;   // No "-0.00"
+  return `${q.toFixed(2)} m\u00B3/s`;
+}
 
-  beachSpots.forEach((spot, idx) => {
-    const bx = lakeX + Math.cos(spot.angle) * spot.dist;
-    const bz = lakeZ + Math.sin(spot.angle) * spot.dist;
-    const by = sampleTerrainHeight(bx, bz);
-    if (by < 0) return;
+// "1.61B m³" / "96.5M m³" for lake-sized volumes
+function formatVolume(v) {
+  if (v >= 1e9) return `${(v / 1e9).toFixed(2)}B m\u00B3`;
+  if (v >= 1e6) return `${(v / 1e6).toFixed(1)}M m\u00B3`;
+  return `${Math.round(v).toLocaleString()} m\u00B3`;
+}
 
-    const person = new THREE.Group();
-    const skinColor = skinColors[Math.floor(Math.random() * skinColors.length)];
-    const clothColor = clothColors[Math.floor(Math.random() * clothColors.length)];
-    const skinMat = new THREE.MeshStandardMaterial({ color: skinColor, roughness: 0.8 });
-    const clothMat = new THREE.MeshStandardMaterial({ color: clothColor, roughness: 0.7 });
+// "6.4 h" / "3.2 days" for water age
+function formatAge(hours) {
+  return hours < 48 ? `${hours.toFixed(1)} h` : `${(hours / 24).toFixed(1)} days`;
+}
 
-    if (idx % 3 === 0) {
-      // Standing person
-      // Head
-      const head = new THREE.Mesh(new THREE.SphereGeometry(0.22, 8, 8), skinMat);
-      head.position.y = 1.55;
-      head.castShadow = true;
+// Flow arriving at a node through its incoming links (results on screen)
+function tankInflow(key) {
+  return network.links.filter(l => l.to === key && viewResults.links[l.id])
+    .reduce((s, l) => s + viewResults.links[l.id].outflow, 0);
+}
+
+// Computed stats for a component; keys match the static ones they replace
+function hydraulicStats(key) {
+  const stats = {};
+  if (!viewResults) return stats;
+  const node = network.nodeById[key];
+  const kind = node.hydraulics?.kind;
+  const nodeRes = viewResults.nodes[key];
+
+  if (kind === 'junction' && nodeRes) stats['Hydraulic Head'] = `${nodeRes.head.toFixed(1)} m`;
+  if (nodeRes?.inflow !== undefined) {
+    stats['Lake Level'] = `${nodeRes.head.toFixed(2)} m`;
+    stats['Inflow'] = formatFlow(nodeRes.inflow);
+    if (nodeRes.spill > 0.005) stats['Spill'] = formatFlow(nodeRes.spill);
+    const storage = hydraulicModel.nodes.find(n => n.id === key).storage;
+    if (storage.curve) {
+      stats['Stored Volume'] = formatVolume(nodeRes.volume);
+      // Full supply: up to the spillway crest, or the top of the curve
+      const full = node.hydraulics.spillway?.crest ?? storage.curve[storage.curve.length - 1][0];
+      stats['Capacity'] = formatVolume(storageVolume(storage, full));
+    }
+  }
+  (network.gates || []).filter(g => g.component === key && viewResults.gates[g.id]).forEach(g => {
+    const gate = viewResults.gates[g.id];
+    stats[g.name || g.id] = `${Math.round(gate.opening * 100)}% · ${formatFlow(gate.flow)}`;
+  });
+  if (viewResults.treatment && key === treatmentPlant?.nodeId) {
+    const res = viewResults.treatment;
+    stats['Treated Turbidity'] = `${res.out.turbidity.toFixed(2)} NTU`;
+    stats['Chlorine Residual'] = `${res.out.chlorine.toFixed(2)} mg/L`;
+    stats['Stages'] = `${res.stages.filter(s => !s.failed).length} / ${res.stages.length} online`;
+  }
+  if (kind === 'tank' && nodeRes) {
+    const model = hydraulicModel.nodes[hydraulicModel.nodeIndex[key]];
+    stats['Tank Level'] = `${nodeRes.level.toFixed(2)} m`;
+    if (model.designPopulation) stats['Population'] = Math.round(model.population).toLocaleString();
+    stats['Demand'] = formatFlow(nodeRes.demand);
+    stats['Supply'] = formatFlow(tankInflow(key));
+    stats['Service'] = nodeRes.dry ? 'Intermittent (tank empty)' : 'Continuous';
+  }
+  // Treated water downstream of the plant (the plant reports its own outlet)
+  const quality = viewResults.quality?.nodes[key];
+  if (quality?.treated && key !== treatmentPlant?.nodeId) {
+    stats['Chlorine Residual'] = `${quality.chlorine.toFixed(2)} mg/L`;
+    stats['Water Age'] = formatAge(quality.age);
+  }
+
+  const pipeLinks = [];
+  network.links.forEach(link => {
+    const res = viewResults.links[link.id];
+    if (!res) return;
+    if (kind === 'reservoir' && link.from === key) stats['Intake Rate'] = formatFlow(res.flow);
+    if (link.hydraulics.pump && link.from === key) {
+      stats['Lift Height'] = `${res.pumpHead.toFixed(1)} m`;
+      stats['Power'] = `${(res.power / 1e6).toFixed(2)} MW`;
+      stats['Duty Flow'] = formatFlow(res.flow);
+      stats['Efficiency'] = `${(res.efficiency * 100).toFixed(0)}%`;
+      stats['Pumps'] = `${res.running} / ${link.hydraulics.pump.count} running`;
+      if (res.tripped) stats['Tripped'] = `${res.tripped}`;
+    }
+    if (link.component === key) pipeLinks.push({ ...res, pressurised: link.hydraulics.kind !== 'canal' });
+  });
+
+  if (pipeLinks.length) {
+    stats['Flow Rate'] = formatFlow(Math.max(...pipeLinks.map(r => r.flow)));
+    stats['Velocity'] = `${Math.max(...pipeLinks.map(r => r.velocity)).toFixed(2)} m/s`;
+    const pressurised = pipeLinks.filter(r => r.pressurised);
+    if (pressurised.length) {
+      stats['Pressure'] = `${Math.max(...pressurised.map(r => r.inletPressureBar)).toFixed(1)} bar`;
+    }
+    stats['Head Loss'] = `${pipeLinks.reduce((s, r) => s + r.headloss, 0).toFixed(1)} m`;
+    const leakage = pipeLinks.reduce((s, r) => s + r.leakage, 0);
+    if (leakage > 0.0005) stats['Leakage'] = formatFlow(leakage);
+  }
+  return stats;
+}
+
+// Lake surface rise (scene units) from the reservoir head on screen
+function lakeLevelOffset() {
+  const lake = findNodeByType(network, 'lake');
+  const res = viewResults?.nodes[lake?.id];
+  if (!res || lake.hydraulics?.head === undefined) return 0;
+  return (res.head - lake.hydraulics.head) * (network.terrain?.verticalScale ?? 1);
+}
+
+// Remember where an object sits relative to the lake so the shoreline can
+// carry it. Wading objects (reeds) stand in the water and rise with it;
+// the others keep their footing on the ground.
+function addShoreObject(object, wading) {
+  const lake = findNodeByType(network, 'lake');
+  const dx = object.position.x - lake.position.x;
+  const dz = object.position.z - lake.position.z;
+  shoreObjects.push({
+    object,
+    wading,
+    angle: Math.atan2(dz, dx),
+    dist: Math.hypot(dx, dz),
+    y: object.position.y,
+    clearance: object.position.y - sampleTerrainHeight(object.position.x, object.position.z),
+  });
+}
+
+// Lake radius relative to the drawn one: √(surface area now / area at the
+// network's head), from the level–area curve. 1 without a curve.
+function shorelineScale() {
+  const lake = findNodeByType(network, 'lake');
+  const node = hydraulicModel?.nodes.find(n => n.id === lake?.id);
+  const res = viewResults?.nodes[lake?.id];
+  if (!node?.storage?.curve || !res) return 1;
+  return Math.sqrt(storageArea(node.storage, res.head) / storageArea(node.storage, lake.hydraulics.head));
+}
+
+// Spread or draw in the water surface, reeds and beach with the lake level
+function updateShoreline() {
+  const lake = findNodeByType(network, 'lake');
+  const head = viewResults?.nodes[lake?.id]?.head;
+  if (!lakeWater || head === undefined || head === shoreHead) return;
+  shoreHead = head;
+  const scale = shorelineScale();
+  lakeWater.scale.set(scale, 1, scale);
+  const shift = (scale - 1) * lake.radius;   // Shoreline moves this far out (in when negative)
+  const rise = lakeLevelOffset();
+  shoreObjects.forEach(o => {
+    const x = lake.position.x + Math.cos(o.angle) * (o.dist + shift);
+    const z = lake.position.z + Math.sin(o.angle) * (o.dist + shift);
+    o.object.position.x = x;
+    o.object.position.z = z;
+    o.object.position.y = o.wading ? o.y + rise : sampleTerrainHeight(x, z) + o.clearance;
+  });
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  GRADE LINES (hydraulic and energy grade line over the runs)
+// ═══════════════════════════════════════════════════════════
+// A translucent curtain along each run from the pipe up to its hydraulic
+// grade line, coloured by the pressure head, with the energy grade line
+// (plus the velocity head v²/2g) drawn along the top
+function createGradeLine(run) {
+  const count = Math.max(16, Math.ceil(run.length / 3));
+  const points = Array.from({ length: count }, (_, i) => run.curve.getPointAt(i / (count - 1)));
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 2 * 3), 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 2 * 3), 3));
+  const index = [];
+  for (let i = 0; i < count - 1; i++) {
+    const a = i * 2;
+    index.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+  }
+  geo.setIndex(index);
+  const mesh = new THREE.Mesh(geo, new THREE.MeshBasicMaterial({
+    vertexColors: true, transparent: true, opacity: CONFIG.gradeLines.opacity, side: THREE.DoubleSide, depthWrite: false,
+  }));
+  const energy = new THREE.Line(
+    new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3)),
+    new THREE.LineBasicMaterial({ color: CONFIG.gradeLines.energyColor })
+  );
+  mesh.visible = energy.visible = false;
+  scene.add(mesh, energy);
+  run.props.push(mesh, energy);
+  run.gradeLine = {
+    mesh,
+    energy,
+    points,
+    ground: points.map(p => sceneToElevation(network.terrain, sampleTerrainHeight(p.x, p.z))),
+  };
+}
+
+// Pressure head colour: red where the grade line is under the ground,
+// amber when low, then blue to violet as it rises
+function pressureHeadColor(head, pipeElevation, ground, target) {
+  const { lowHead, highHead, colors } = CONFIG.gradeLines;
+  const pressure = head - pipeElevation;
+  if (head < ground || pressure < 0) return target.setHex(colors.belowGround);
+  if (pressure < lowHead) return target.setHex(colors.low);
+  return target.setHex(colors.normal).lerp(new THREE.Color(colors.high), Math.min(1, (pressure - lowHead) / (highHead - lowHead)));
+}
+
+// Lift the curtains to the grade line of the results on screen
+function updateGradeLines() {
+  if (!gradeLinesVisible) return;
+  const color = new THREE.Color();
+  Object.values(pipeRuns).forEach(run => {
+    const { mesh, energy, points, ground } = run.gradeLine;
+    const res = viewResults?.links[run.linkId];
+    mesh.visible = energy.visible = !!res;
+    if (!res) return;
+    const positions = mesh.geometry.attributes.position;
+    const colors = mesh.geometry.attributes.color;
+    const line = energy.geometry.attributes.position;
+    points.forEach((p, i) => {
+      const position = i / (points.length - 1);
+      const sec = sectionAt(res, position);
+      // A closed section has no grade line: the curtain folds flat there
+      const head = sec.status === 'closed' ? null : headAlongLink(run.linkId, position);
+      const top = head === null ? p.y : elevationToScene(network.terrain, head);
+      positions.setXYZ(i * 2, p.x, p.y, p.z);
+      positions.setXYZ(i * 2 + 1, p.x, top, p.z);
+      if (head === null) color.setHex(CONFIG.gradeLines.colors.closed);
+      else pressureHeadColor(head, sceneToElevation(network.terrain, p.y), ground[i], color);
+      colors.setXYZ(i * 2, color.r, color.g, color.b);
+      colors.setXYZ(i * 2 + 1, color.r, color.g, color.b);
+      const velocityHead = head === null ? 0 : sec.velocity ** 2 / (2 * GRAVITY);
+      line.setXYZ(i, p.x, top + velocityHead * (network.terrain?.verticalScale ?? 1), p.z);
+    });
+    positions.needsUpdate = colors.needsUpdate = line.needsUpdate = true;
+    mesh.geometry.computeBoundingSphere();
+    energy.geometry.computeBoundingSphere();
+  });
+}
+
+function setGradeLinesVisible(on) {
+  gradeLinesVisible = on;
+  document.getElementById('btn-toggle-hgl').classList.toggle('active', on);
+  document.getElementById('hgl-legend').classList.toggle('hidden', !on);
+  if (on) updateGradeLines();
+  else Object.values(pipeRuns).forEach(run => { run.gradeLine.mesh.visible = run.gradeLine.energy.visible = false; });
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  TELEMETRY (live readings → info cards, labels, status bar)
+// ═══════════════════════════════════════════════════════════
+function startTelemetry() {
+  if (TELEMETRY_URL === 'off' || (!network.telemetry && !TELEMETRY_URL)) return;
+  const config = { ...network.telemetry, tags: network.telemetry?.tags || {} };
+  if (TELEMETRY_URL) {
+    config.transport = transportForUrl(TELEMETRY_URL);
+    config.url = TELEMETRY_URL;
+  }
+
+  telemetryFeed = createTelemetryFeed(config, {
+    onReading(reading) {
+      if (alarmManager) alarmManager.evaluate(reading.tag, reading.value, reading.timestamp);
+      const def = config.tags[reading.tag];
+      if (!def || playback.active) return;
+      if (def.component === activeInfoKey) infoCardDirty = true;
+      if (def.label) updateLiveLabel(def.component);
+    },
+    onStatus(status) {
+      const el = document.getElementById('status-telemetry');
+      el.textContent = { connecting: 'Connecting…', live: 'Live', stale: 'Stale', offline: 'Offline' }[status];
+      el.className = `status-telemetry ${status}`;
+      document.body.classList.toggle('telemetry-stale', status !== 'live');
+      infoCardDirty = true;
+    },
+  });
+  try {
+    telemetryFeed.start();
+  } catch (err) {
+    console.warn(`${err.message} — telemetry disabled`);
+    telemetryFeed = null;
+  }
+}
+
+function formatReading(def, value) {
+  return `${value.toFixed(def.decimals ?? 2)} ${def.unit || ''}`.trim();
+}
+
+// Value of a tag on screen: the latest reading, or the playback frame's
+function telemetryValue(tag) {
+  if (playback.active) return playbackFrame?.telemetry[tag];
+  return telemetryFeed?.values[tag]?.value;
+}
+
+// Measured values for a component, keyed by stat label
+function telemetryStats(key) {
+  const stats = {};
+  if (!telemetryFeed) return stats;
+  Object.entries(network.telemetry?.tags || {}).forEach(([tag, def]) => {
+    const value = telemetryValue(tag);
+    if (def.component === key && value !== undefined) stats[def.field || tag] = formatReading(def, value);
+  });
+  return stats;
+}
+
+function labelTags(key) {
+  return Object.entries(network.telemetry?.tags || {}).filter(([, def]) => def.component === key && def.label);
+}
+
+function updateLiveLabel(key) {
+  const el = labels3D[key]?.element.querySelector('.label-live');
+  if (!el) return;
+  el.textContent = labelTags(key)
+    .filter(([tag]) => telemetryValue(tag) !== undefined)
+    .map(([tag, def]) => formatReading(def, telemetryValue(tag)))
+    .join(' · ');
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  PALM TREE (for islands and beach — swaying)
+// ═══════════════════════════════════════════════════════════
+function createPalmTree() {
+  const tree = new THREE.Group();
+  // Curved trunk
+  const trunkCurve = new THREE.CatmullRomCurve3([
+    new THREE.Vector3(0, 0, 0),
+    new THREE.Vector3(0.3, 2, 0.1),
+    new THREE.Vector3(0.1, 4.5, -0.2),
+    new THREE.Vector3(-0.2, 6.5, 0),
+  ]);
+  const trunkGeo = new THREE.TubeGeometry(trunkCurve, 12, 0.25, 8, false);
+  const trunkMat = new THREE.MeshStandardMaterial({ color: 0x8B6914, roughness: 0.9 });
+  const trunk = new THREE.Mesh(trunkGeo, trunkMat);
+  trunk.castShadow = true;
+  tree.add(trunk);
+
+  // Palm fronds (6 leaves radiating out)
+  const frondMat = new THREE.MeshStandardMaterial({ color: 0x228B22, roughness: 0.8, side: THREE.DoubleSide });
+  for (let i = 0; i < 6; i++) {
+    const angle = (i / 6) * Math.PI * 2;
+    const frondShape = new THREE.Shape();
+    frondShape.moveTo(0, 0);
+    frondShape.quadraticCurveTo(1.5, 0.6, 4, -0.5);
+    frondShape.quadraticCurveTo(1.5, -0.2, 0, 0);
+    const frondGeo = new THREE.ShapeGeometry(frondShape);
+    const frond = new THREE.Mesh(frondGeo, frondMat);
+    frond.position.set(-0.2, 6.3, 0);
+    frond.rotation.set(-0.4, angle, 0);
+    frond.castShadow = true;
+    tree.add(frond);
+  }
+  // Coconuts
+  const cocoMat = new THREE.MeshStandardMaterial({ color: 0x5C3317 });
+  for (let i = 0; i < 3; i++) {
+    const coco = new THREE.Mesh(new THREE.SphereGeometry(0.2, 6, 6), cocoMat);
+    coco.position.set(-0.2 + (Math.random() - 0.5) * 0.5, 6.0, (Math.random() - 0.5) * 0.5);
+    tree.add(coco);
+  }
+  return tree;
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  BEACH PEOPLE (relaxing near the lake)
+// ═══════════════════════════════════════════════════════════
+function createBeachPeople(lakeX, lakeZ, lakeR) {
+  const skinColors = [0xD2956A, 0x8D5524, 0xC68642, 0xF1C27D, 0x6B3E26];
+  const clothColors = [0xFF4444, 0x4488FF, 0xFFCC00, 0x44CC44, 0xFF88CC, 0xFFFFFF, 0xFF6600];
+
+  // People sitting/lying on the beach
+  const beachSpots = [];
+  for (let i = 0; i < 14; i++) {
+    const angle = -Math.PI * 0.3 + Math.random() * Math.PI * 1.4; // around the shore
+    const dist = lakeR + 2 + Math.random() * 8;
+    beachSpots.push({ angle, dist });
+  }
+
+  beachSpots.forEach((spot, idx) => {
+    const bx = lakeX + Math.cos(spot.angle) * spot.dist;
+    const bz = lakeZ + Math.sin(spot.angle) * spot.dist;
+    const by = sampleTerrainHeight(bx, bz);
+    if (by < 0) return;
+
+    const person = new THREE.Group();
+    const skinColor = skinColors[Math.floor(Math.random() * skinColors.length)];
+    const clothColor = clothColors[Math.floor(Math.random() * clothColors.length)];
+    const skinMat = new THREE.MeshStandardMaterial({ color: skinColor, roughness: 0.8 });
+    const clothMat = new THREE.MeshStandardMaterial({ color: clothColor, roughness: 0.7 });
+
+    if (idx % 3 === 0) {
+      // Standing person
+      // Head
+      const head = new THREE.Mesh(new THREE.SphereGeometry(0.22, 8, 8), skinMat);
+      head.position.y = 1.55;
+      head.castShadow = true;
       person.add(head);
       // Body
       const body = new THREE.Mesh(new THREE.CylinderGeometry(0.18, 0.22, 0.8, 8), clothMat);
@@ -1176,6 +2161,7 @@ function createBeachPeople(lakeX, lakeZ, lakeR) {
     person.position.set(bx, by + 0.05, bz);
     person.scale.setScalar(1.0 + Math.random() * 0.3);
     scene.add(person);
+    addShoreObject(person, false);
   });
 
   // Beach umbrellas
@@ -1210,6 +2196,7 @@ function createBeachPeople(lakeX, lakeZ, lakeR) {
 
     umbrella.position.set(ux, uy, uz);
     scene.add(umbrella);
+    addShoreObject(umbrella, false);
   }
 
   // Beach palm trees (swaying)
@@ -1234,28 +2221,28 @@ function createBeachPeople(lakeX, lakeZ, lakeR) {
 //  3D LABELS
 // ═══════════════════════════════════════════════════════════
 function createLabels() {
-  const labelDefs = [
-    { key: 'lake', text: 'WATER SOURCE (LAKE)', cls: '', yOff: 10 },
-    { key: 'dam', text: 'DAM', cls: 'label-dam', yOff: 16 },
-    { key: 'canal', text: 'OPEN CANAL', cls: 'label-canal', yOff: 8 },
-    { key: 'treatment', text: 'TREATMENT PLANT', cls: 'label-treatment', yOff: 14 },
-    { key: 'pump', text: 'PUMPING STATION', cls: 'label-pump', yOff: 16 },
-    { key: 'pipes', text: 'PRESSURIZED PIPELINE', cls: 'label-pipes', yOff: 8 },
-    { key: 'homes', text: 'DESTINATION (HOMES)', cls: 'label-homes', yOff: 12 },
-  ];
-
-  labelDefs.forEach(def => {
-    const div = document.createElement('div');
-    div.className = `label-3d ${def.cls}`;
-    div.textContent = def.text;
-    const labelObj = new CSS2DObject(div);
+  network.nodes.forEach(createLabel);
+}
 
-    const pos = CONFIG.positions[def.key];
-    const y = sampleTerrainHeight(pos.x, pos.z) + def.yOff;
-    labelObj.position.set(pos.x, y, pos.z);
-    scene.add(labelObj);
-    labels3D[def.key] = labelObj;
-  });
+function createLabel(node) {
+  if (!node.label) return;
+  const div = document.createElement('div');
+  div.className = `label-3d label-${node.type}`;
+  div.textContent = node.label;
+  // Tags flagged "label" show their latest reading under the name
+  if (labelTags(node.id).length) {
+    const live = document.createElement('span');
+    live.className = 'label-live';
+    div.appendChild(live);
+  }
+  const labelObj = new CSS2DObject(div);
+
+  const { x, z } = node.position;
+  const y = sampleTerrainHeight(x, z) + (node.labelYOff || 0);
+  labelObj.position.set(x, y, z);
+  labelObj.visible = labelsVisible;
+  scene.add(labelObj);
+  labels3D[node.id] = labelObj;
 }
 
 
@@ -1271,36 +2258,10 @@ function loadModels() {
   //   Canal: 39.6 x 13.7 x 25.1 → scale ~1.5 to fit canal segment
   //   Homes: 61.0 x 54.6 x 19.3 → scale ~0.45 for ~28 unit footprint
   //   Lake:  494 x 972 x 45.7   → scale ~0.08 to fit ~76 unit lake area
-  const modelDefs = [
-    {
-      key: 'dam',
-      file: 'dam/scene.gltf',
-      scale: 8,
-      yOff: 7,
-      rotY: Math.PI / 2 + 0.15,
-    },
-    {
-      key: 'canal',
-      file: 'canal/scene.gltf',
-      scale: 1.4,
-      yOff: 2,
-      rotY: Math.PI * 0.6,
-    },
-    {
-      key: 'homes',
-      file: 'homes/scene.gltf',
-      scale: 1.2,         // Scaled UP — larger than treatment plant
-      yOff: 1.8,
-      rotY: 0,
-    },
-    {
-      key: 'lake',
-      file: 'lake/scene.gltf',
-      scale: 0.08,
-      yOff: 1,
-      rotY: 0,
-    },
-  ];
+  // Scale / offset / rotation per model live on each node's "model" entry
+  const modelDefs = network.nodes
+    .filter(n => n.model)
+    .map(n => ({ key: n.id, ...n.model }));
 
   // Track loaded model count for status
   let loaded = 0;
@@ -1332,10 +2293,13 @@ function loadModels() {
           }
         });
 
-        // Position at the component location
-        const pos = CONFIG.positions[def.key];
+        // Position at the component location (unless it was deleted meanwhile)
+        const node = network.nodeById[def.key];
+        if (!node) return;
+        const pos = node.position;
         const y = sampleTerrainHeight(pos.x, pos.z) + def.yOff;
         model.position.set(pos.x, y, pos.z);
+        model.userData.modelYOff = def.yOff;
 
         // Remove placeholder, add real model
         if (componentMeshes[def.key]) {
@@ -1369,155 +2333,322 @@ function loadModels() {
 // ═══════════════════════════════════════════════════════════
 //  ELEVATION PROFILE CHART
 // ═══════════════════════════════════════════════════════════
-function drawElevationProfile() {
-  const canvas = document.getElementById('elevationChart');
-  if (!canvas) return;
-  const ctx = canvas.getContext('2d');
-  const w = canvas.width;
-  const h = canvas.height;
+const PROFILE_COLORS = { hgl: '#4FC3F7', invert: 'rgba(255,255,255,0.6)', cursor: '#F9A825' };
+
+// Points along the route from the first node to the profile end, following
+// the canal and pipe runs as drawn. Returns { samples: [{ chainage (m),
+// point, link, linkId, position, ground, invert }], stops: [{ node,
+// chainage }], length }; linkId is null where the route has no drawn run
+// (the intake).
+function traceProfile() {
+  const start = network.nodes[0];
+  const end = network.nodeById[profileEnd] || network.nodes[network.nodes.length - 1];
+  const route = findRoute(network, start.id, end.id) || [];
+  const metres = network.projection?.metresPerUnit ?? 1;
+  const samples = [];
+  const stops = [{ node: start, chainage: 0 }];
+  let chainage = 0;
+  route.forEach(({ link, reversed }) => {
+    const run = pipeRuns[link.id];
+    const a = network.nodeById[link.from].position;
+    const b = network.nodeById[link.to].position;
+    const plan = run ? run.length : Math.hypot(b.x - a.x, b.z - a.z);
+    const length = link.hydraulics?.length ?? plan * metres;
+    const radius = (link.hydraulics?.diameter ?? 0) / 2;
+    const steps = Math.max(4, Math.ceil(plan / 2));
+    for (let i = samples.length ? 1 : 0; i <= steps; i++) {
+      const position = reversed ? 1 - i / steps : i / steps;
+      const point = run ? run.curve.getPointAt(position) : new THREE.Vector3(a.x + (b.x - a.x) * position, 0, a.z + (b.z - a.z) * position);
+      if (!run) point.y = sampleTerrainHeight(point.x, point.z);
+      samples.push({
+        chainage: chainage + length * i / steps,
+        point,
+        linkId: run ? link.id : null,
+        link,
+        position,
+        ground: sceneToElevation(network.terrain, sampleTerrainHeight(point.x, point.z)),
+        invert: run ? sceneToElevation(network.terrain, point.y) - radius : null,
+      });
+    }
+    // A component drawn along its links (the pipeline) sits halfway along the first
+    if (link.component && !stops.some(s => s.node.id === link.component)) {
+      stops.push({ node: network.nodeById[link.component], chainage: chainage + length / 2 });
+    }
+    chainage += length;
+    stops.push({ node: network.nodeById[reversed ? link.from : link.to], chainage });
+  });
+  return { samples, stops, length: chainage };
+}
+
+// Hydraulic grade line at a profile sample (m), or null without one there
+function profileHead(sample) {
+  const res = sample.linkId && viewResults?.links[sample.linkId];
+  if (!res || sectionAt(res, sample.position).status === 'closed') return null;
+  return headAlongLink(sample.linkId, sample.position);
+}
 
-  // Sample elevation from lake to homes
-  const samples = 100;
-  const elevations = [];
-  const keys = ['lake', 'dam', 'canal', 'treatment', 'pump', 'pipes', 'homes'];
+// Route traced again, e.g. after an edit or a new end node
+function retraceProfile() {
+  profileRoute = null;
+  setProfileHover(null);
+}
 
-  for (let i = 0; i < samples; i++) {
-    const t = i / (samples - 1);
-    // Interpolate x,z from lake to homes
-    const startX = CONFIG.positions.lake.x;
-    const startZ = CONFIG.positions.lake.z;
-    const endX = CONFIG.positions.homes.x;
-    const endZ = CONFIG.positions.homes.z;
-    const x = startX + (endX - startX) * t;
-    const z = startZ + (endZ - startZ) * t;
-    elevations.push(sampleTerrainHeight(x, z));
+// Redraw the sidebar chart and, when open, the full profile panel; the
+// grade line follows the results on screen
+function drawElevationProfile() {
+  if (!profileRoute) {
+    profileRoute = traceProfile();
+    fillProfileEnds();
   }
+  const heads = profileRoute.samples.map(profileHead);
+  drawProfileChart(document.getElementById('elevationChart'), heads, false);
+  if (!document.getElementById('profile-panel').classList.contains('hidden')) {
+    drawProfileChart(document.getElementById('profile-chart'), heads, true);
+  }
+}
 
-  const maxElev = Math.max(...elevations);
-  const minElev = Math.min(...elevations);
+// Size of a chart canvas on screen (CSS px), which the drawing works in so
+// text and lines are not stretched with the canvas
+function chartBox(canvas) {
+  return { w: canvas.clientWidth || canvas.width, h: canvas.clientHeight || canvas.height };
+}
+
+// Chart area inside a profile canvas: room for axes on the full panel
+function profileFrame(canvas, full) {
+  const { w, h } = chartBox(canvas);
+  return full ? { left: 44, right: w - 12, top: 14, bottom: h - 22 } : { left: 0, right: w, top: 5, bottom: h - 5 };
+}
 
+function drawProfileChart(canvas, heads, full) {
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  const { w, h } = chartBox(canvas);
+  const { samples, stops, length } = profileRoute;
+  ctx.setTransform(canvas.width / w, 0, 0, canvas.height / h, 0, 0);
   ctx.clearRect(0, 0, w, h);
+  if (samples.length < 2) return;
+
+  const values = [...samples.map(s => s.ground), ...samples.map(s => s.invert), ...heads].filter(v => v !== null);
+  const minElev = Math.min(...values) - 2;
+  const maxElev = Math.max(...values) + 2;
+  const frame = profileFrame(canvas, full);
+  const sx = chainage => frame.left + chainage / length * (frame.right - frame.left);
+  const sy = elev => frame.bottom - (elev - minElev) / (maxElev - minElev) * (frame.bottom - frame.top);
 
-  // Background grid
+  // Background grid, with elevations and chainage on the full panel
   ctx.strokeStyle = 'rgba(255,255,255,0.05)';
   ctx.lineWidth = 0.5;
-  for (let y = 10; y < h; y += 15) {
-    ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
+  ctx.font = '9px Inter';
+  ctx.fillStyle = 'rgba(255,255,255,0.45)';
+  const elevStep = niceStep((maxElev - minElev) / (full ? 5 : 4));
+  for (let e = Math.ceil(minElev / elevStep) * elevStep; e <= maxElev; e += elevStep) {
+    ctx.beginPath(); ctx.moveTo(frame.left, sy(e)); ctx.lineTo(frame.right, sy(e)); ctx.stroke();
+    if (full) {
+      ctx.textAlign = 'right';
+      ctx.fillText(`${e.toFixed(0)} m`, frame.left - 4, sy(e) + 3);
+    }
+  }
+  if (full) {
+    const kmStep = niceStep(length / 1000 / 8);
+    ctx.textAlign = 'center';
+    for (let km = 0; km <= length / 1000; km += kmStep) {
+      ctx.beginPath(); ctx.moveTo(sx(km * 1000), frame.top); ctx.lineTo(sx(km * 1000), frame.bottom); ctx.stroke();
+      ctx.fillText(`km ${+km.toFixed(1)}`, sx(km * 1000), h - 6);
+    }
   }
 
-  // Elevation fill
-  const gradient = ctx.createLinearGradient(0, 0, w, 0);
-  gradient.addColorStop(0, 'rgba(0,180,216,0.4)');
-  gradient.addColorStop(0.3, 'rgba(0,230,118,0.4)');
-  gradient.addColorStop(0.5, 'rgba(123,47,247,0.4)');
-  gradient.addColorStop(0.7, 'rgba(249,168,37,0.4)');
-  gradient.addColorStop(1, 'rgba(255,107,107,0.4)');
-
-  ctx.beginPath();
-  ctx.moveTo(0, h);
-  elevations.forEach((elev, i) => {
-    const x = (i / (samples - 1)) * w;
-    const y = h - ((elev - minElev) / (maxElev - minElev + 1)) * (h - 10) - 5;
-    ctx.lineTo(x, y);
+  // Ground: filled, in the colours of the components along the way
+  const gradient = ctx.createLinearGradient(frame.left, 0, frame.right, 0);
+  const lineGrad = ctx.createLinearGradient(frame.left, 0, frame.right, 0);
+  stops.forEach(({ node, chainage }) => {
+    const color = `#${new THREE.Color(network.types[node.type].color).getHexString()}`;
+    gradient.addColorStop(chainage / length, `${color}66`);
+    lineGrad.addColorStop(chainage / length, color);
   });
-  ctx.lineTo(w, h);
+  ctx.beginPath();
+  ctx.moveTo(frame.left, frame.bottom);
+  samples.forEach(s => ctx.lineTo(sx(s.chainage), sy(s.ground)));
+  ctx.lineTo(frame.right, frame.bottom);
   ctx.closePath();
   ctx.fillStyle = gradient;
   ctx.fill();
-
-  // Elevation line
   ctx.beginPath();
-  elevations.forEach((elev, i) => {
-    const x = (i / (samples - 1)) * w;
-    const y = h - ((elev - minElev) / (maxElev - minElev + 1)) * (h - 10) - 5;
-    if (i === 0) ctx.moveTo(x, y);
-    else ctx.lineTo(x, y);
-  });
-  const lineGrad = ctx.createLinearGradient(0, 0, w, 0);
-  lineGrad.addColorStop(0, '#00B4D8');
-  lineGrad.addColorStop(0.3, '#00E676');
-  lineGrad.addColorStop(0.5, '#7B2FF7');
-  lineGrad.addColorStop(0.7, '#F9A825');
-  lineGrad.addColorStop(1, '#FF6B6B');
+  samples.forEach((s, i) => (i ? ctx.lineTo(sx(s.chainage), sy(s.ground)) : ctx.moveTo(sx(s.chainage), sy(s.ground))));
   ctx.strokeStyle = lineGrad;
   ctx.lineWidth = 2;
   ctx.stroke();
 
-  // Component markers
-  const markerPositions = [0, 0.17, 0.33, 0.49, 0.68, 0.83, 1.0];
-  const markerColors = ['#00B4D8', '#FF6D00', '#00E676', '#7B2FF7', '#F9A825', '#E040FB', '#FF6B6B'];
-  const markerLabels = ['L', 'D', 'C', 'T', 'P', '|', 'H'];
-  markerPositions.forEach((mt, idx) => {
-    const si = Math.floor(mt * (samples - 1));
-    const mx = mt * w;
-    const my = h - ((elevations[si] - minElev) / (maxElev - minElev + 1)) * (h - 10) - 5;
+  // Pipe invert and hydraulic grade line, broken where there is none
+  const series = (value, color, width, dash) => {
+    ctx.beginPath();
+    let drawing = false;
+    samples.forEach((s, i) => {
+      const v = value(s, i);
+      if (v === null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) ctx.lineTo(sx(s.chainage), sy(v));
+      else ctx.moveTo(sx(s.chainage), sy(v));
+      drawing = true;
+    });
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.setLineDash(dash);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  };
+  series(s => s.invert, PROFILE_COLORS.invert, 1, [3, 2]);
+  series((s, i) => heads[i], PROFILE_COLORS.hgl, full ? 2 : 1.5, []);
+
+  // Component markers at their chainage on the ground line
+  ctx.textAlign = 'center';
+  stops.filter(s => full || s.node.marker).forEach(({ node, chainage }) => {
+    const ground = samples.reduce((best, s) => (Math.abs(s.chainage - chainage) < Math.abs(best.chainage - chainage) ? s : best)).ground;
+    const mx = sx(chainage);
+    const my = sy(ground);
     ctx.beginPath();
-    ctx.arc(mx, my, 4, 0, Math.PI * 2);
-    ctx.fillStyle = markerColors[idx];
+    ctx.arc(mx, my, full ? 5 : 4, 0, Math.PI * 2);
+    ctx.fillStyle = network.types[node.type].color;
     ctx.fill();
-    ctx.font = 'bold 8px Inter';
+    ctx.font = full ? 'bold 10px Inter' : 'bold 8px Inter';
     ctx.fillStyle = 'rgba(255,255,255,0.7)';
-    ctx.textAlign = 'center';
-    ctx.fillText(markerLabels[idx], mx, my - 8);
+    ctx.fillText(full ? node.shortName || node.name : node.marker, mx, my - (full ? 10 : 8));
   });
-}
-
-
-// ═══════════════════════════════════════════════════════════
-//  UI INTERACTIONS
-// ═══════════════════════════════════════════════════════════
-function setupUI() {
-  // Component buttons → fly to
-  document.querySelectorAll('.component-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const target = btn.dataset.target;
 
-      // Highlight active
-      document.querySelectorAll('.component-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
+  // Cursor: a line at the hovered chainage with the readings
+  if (profileHover) {
+    const i = profileHover.index;
+    const s = samples[i];
+    ctx.strokeStyle = PROFILE_COLORS.cursor;
+    ctx.lineWidth = 1;
+    ctx.beginPath(); ctx.moveTo(sx(s.chainage), frame.top); ctx.lineTo(sx(s.chainage), frame.bottom); ctx.stroke();
+    const pressure = heads[i] !== null ? `${((heads[i] - s.invert) * M_TO_BAR).toFixed(1)} bar` : null;
+    const rows = [`km ${(s.chainage / 1000).toFixed(2)}`, `Ground ${s.ground.toFixed(0)} m`];
+    if (s.invert !== null) rows.push(`Pipe ${s.invert.toFixed(0)} m`);
+    if (pressure) rows.push(`HGL ${heads[i].toFixed(1)} m`, `Pressure ${pressure}`);
+    ctx.font = full ? '11px Inter' : '8px Inter';
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = sx(s.chainage) > (frame.left + frame.right) / 2 ? 'right' : 'left';
+    const tx = sx(s.chainage) + (ctx.textAlign === 'right' ? -4 : 4);
+    if (full) rows.forEach((row, r) => ctx.fillText(row, tx, frame.top + 10 + r * 13));
+    else ctx.fillText(`${rows[0]} · ${pressure ?? rows[1]}`, tx, frame.top + 7);
+  }
+}
 
-      // Fly camera to component
-      flyTo(target);
+// 1, 2 or 5 × a power of ten, at least `rough`
+function niceStep(rough) {
+  const power = 10 ** Math.floor(Math.log10(rough || 1));
+  return [1, 2, 5, 10].map(m => m * power).find(step => step >= rough);
+}
 
-      // Show info card
-      showInfoCard(target);
+// Hover the chart to mark the spot in the scene; click to fly there
+function setupProfile() {
+  profileMarker = new THREE.Group();
+  const dot = new THREE.Mesh(new THREE.SphereGeometry(1.2, 12, 10), new THREE.MeshBasicMaterial({ color: PROFILE_COLORS.cursor, depthTest: false }));
+  const column = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: PROFILE_COLORS.hgl, depthTest: false }));
+  dot.renderOrder = column.renderOrder = 10;
+  profileMarker.add(dot, column);
+  profileMarker.userData = { dot, column };
+  profileMarker.visible = false;
+  scene.add(profileMarker);
+
+  ['elevationChart', 'profile-chart'].forEach(id => {
+    const canvas = document.getElementById(id);
+    canvas.addEventListener('mousemove', e => setProfileHover(profileSampleAt(canvas, e, id === 'profile-chart')));
+    canvas.addEventListener('mouseleave', () => setProfileHover(null));
+    canvas.addEventListener('click', e => {
+      const index = profileSampleAt(canvas, e, id === 'profile-chart');
+      if (index === null) return;
+      const p = profileRoute.samples[index].point;
+      animateCamera(new THREE.Vector3(p.x + 25, p.y + 35, p.z + 45), p.clone(), 1200);
     });
   });
 
-  // Toggle flow
-  document.getElementById('btn-toggle-flow').addEventListener('click', function() {
-    flowActive = !flowActive;
-    this.classList.toggle('active');
-    flowParticles.forEach(fp => { fp.mesh.visible = flowActive; });
+  document.getElementById('btn-profile-expand').addEventListener('click', () => setProfilePanel(true));
+  document.getElementById('btn-profile-close').addEventListener('click', () => setProfilePanel(false));
+  document.getElementById('profile-end').addEventListener('change', e => {
+    profileEnd = e.target.value;
+    retraceProfile();
   });
+}
 
-  // Toggle labels
-  document.getElementById('btn-toggle-labels').addEventListener('click', function() {
-    labelsVisible = !labelsVisible;
-    this.classList.toggle('active');
-    Object.values(labels3D).forEach(l => { l.visible = labelsVisible; });
+// Sample index under the cursor on a profile canvas, or null off the route
+function profileSampleAt(canvas, e, full) {
+  const { samples, length } = profileRoute;
+  if (samples.length < 2) return null;
+  const rect = canvas.getBoundingClientRect();
+  const frame = profileFrame(canvas, full);
+  const x = e.clientX - rect.left - canvas.clientLeft;
+  const chainage = (x - frame.left) / (frame.right - frame.left) * length;
+  if (chainage < 0 || chainage > length) return null;
+  let best = 0;
+  samples.forEach((s, i) => {
+    if (Math.abs(s.chainage - chainage) < Math.abs(samples[best].chainage - chainage)) best = i;
   });
+  return best;
+}
 
-  // Day/Night
-  document.getElementById('btn-day-night').addEventListener('click', function() {
-    isNight = !isNight;
-    this.classList.toggle('active');
-    if (isNight) {
-      sunLight.intensity = 0.3;
-      sunLight.color.setHex(0x4466AA);
-      ambientLight.intensity = 0.15;
-      hemiLight.intensity = 0.15;
-      scene.fog.color.setHex(0x0A1628);
-      renderer.toneMappingExposure = 0.5;
-    } else {
-      sunLight.intensity = 1.8;
-      sunLight.color.setHex(0xFFE4B5);
-      ambientLight.intensity = 0.4;
-      hemiLight.intensity = 0.6;
-      scene.fog.color.setHex(0x87CEEB);
-      renderer.toneMappingExposure = 1.2;
+// Mark a profile sample in the scene: a dot on the pipe and a column up to
+// the grade line (the height water would stand in a standpipe there)
+function setProfileHover(index) {
+  profileHover = index === null ? null : { index };
+  if (profileMarker) {
+    profileMarker.visible = index !== null;
+    if (index !== null) {
+      const s = profileRoute.samples[index];
+      const { dot, column } = profileMarker.userData;
+      dot.position.copy(s.point);
+      const head = profileHead(s);
+      column.visible = head !== null;
+      if (head !== null) {
+        column.geometry.dispose();
+        column.geometry = new THREE.BufferGeometry().setFromPoints([s.point, s.point.clone().setY(elevationToScene(network.terrain, head))]);
+      }
     }
+  }
+  drawElevationProfile();
+}
+
+function setProfilePanel(open) {
+  const panel = document.getElementById('profile-panel');
+  panel.classList.toggle('hidden', !open);
+  // Backing store at the panel's width in device pixels, on opening and on
+  // every window resize (see onResize)
+  if (open) {
+    const canvas = document.getElementById('profile-chart');
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * ratio) || canvas.width;
+    canvas.height = Math.round(canvas.clientHeight * ratio) || canvas.height;
+  }
+  drawElevationProfile();
+}
+
+// Nodes the route can run to, the current end selected
+function fillProfileEnds() {
+  const select = document.getElementById('profile-end');
+  const end = network.nodeById[profileEnd] || network.nodes[network.nodes.length - 1];
+  select.innerHTML = '';
+  network.nodes.slice(1).filter(n => network.links.some(l => l.from === n.id || l.to === n.id)).forEach(node => {
+    const option = document.createElement('option');
+    option.value = node.id;
+    option.textContent = node.shortName || node.name;
+    select.appendChild(option);
   });
+  select.value = end.id;
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  UI INTERACTIONS
+// ═══════════════════════════════════════════════════════════
+function setupUI() {
+  createSidebar();
+
+  document.getElementById('btn-toggle-flow').addEventListener('click', () => setFlowActive(!flowActive));
+  document.getElementById('btn-toggle-labels').addEventListener('click', () => setLabelsVisible(!labelsVisible));
+  document.getElementById('btn-toggle-hgl').addEventListener('click', () => setGradeLinesVisible(!gradeLinesVisible));
+  document.getElementById('btn-day-night').addEventListener('click', () => setNight(!isNight));
 
   // Reset camera
   document.getElementById('btn-reset-cam').addEventListener('click', () => {
@@ -1536,13 +2667,62 @@ function setupUI() {
     document.getElementById('info-card').classList.add('hidden');
   });
 
-  // Guided tour
-  document.getElementById('btn-tour').addEventListener('click', startGuidedTour);
+
+  setupStatusBar();
+  setupPicking();
+}
+
+function setFlowActive(on) {
+  flowActive = on;
+  document.getElementById('btn-toggle-flow').classList.toggle('active', on);
+  flowParticles.forEach(fp => { fp.mesh.visible = on; });
+}
+
+function setLabelsVisible(on) {
+  labelsVisible = on;
+  document.getElementById('btn-toggle-labels').classList.toggle('active', on);
+  Object.values(labels3D).forEach(l => { l.visible = on; });
+}
+
+// Build one sidebar button per network node; a button flies to its component
+function createSidebar() {
+  const list = document.querySelector('.component-list');
+  list.innerHTML = '';
+  network.nodes.forEach(node => {
+    const type = network.types[node.type];
+    const btn = document.createElement('button');
+    btn.className = 'component-btn';
+    btn.dataset.target = node.id;
+    btn.innerHTML = `
+      <div class="comp-icon"></div>
+      <div class="comp-info">
+        <div class="comp-name"></div>
+        <div class="comp-desc"></div>
+      </div>
+      <div class="comp-arrow">&#8250;</div>`;
+    const icon = btn.querySelector('.comp-icon');
+    icon.textContent = type.icon;
+    icon.style.setProperty('--c', type.color);
+    btn.querySelector('.comp-name').textContent = node.shortName || node.name;
+    btn.querySelector('.comp-desc').textContent = node.summary || '';
+    btn.addEventListener('click', () => selectComponent(node.id));
+    list.appendChild(btn);
+  });
+}
+
+// Highlight the sidebar button, fly the camera there and open the info card
+function selectComponent(key, fly = true) {
+  document.querySelectorAll('.component-btn').forEach(b => {
+    b.classList.toggle('active', b.dataset.target === key);
+  });
+  if (fly) flyTo(key);
+  showInfoCard(key);
 }
 
 function flyTo(key) {
-  const pos = CONFIG.positions[key];
-  if (!pos) return;
+  const node = network.nodeById[key];
+  if (!node) return;
+  const pos = node.position;
   const y = sampleTerrainHeight(pos.x, pos.z);
   const targetPos = new THREE.Vector3(pos.x, y + 5, pos.z);
   const camOffset = new THREE.Vector3(pos.x + 30, y + 40, pos.z + 40);
@@ -1569,105 +2749,3357 @@ function animateCamera(newCamPos, newTarget, duration) {
 }
 
 function showInfoCard(key) {
-  const data = COMPONENT_DATA[key];
+  const data = network.nodeById[key];
   if (!data) return;
-  document.getElementById('info-icon').textContent = data.icon;
+  activeInfoKey = key;
+  document.getElementById('info-icon').textContent = network.types[data.type].icon;
   document.getElementById('info-title').textContent = data.name;
+  const elevation = sceneToElevation(network.terrain, sampleTerrainHeight(data.position.x, data.position.z));
+  document.getElementById('info-coords').textContent = data.coords
+    ? `${formatLatLon(data.coords.lat, data.coords.lon)} · ${elevation.toFixed(0)} m`
+    : '';
   document.getElementById('info-desc').textContent = data.desc;
 
   const statsEl = document.getElementById('info-stats');
   statsEl.innerHTML = '';
-  Object.entries(data.stats).forEach(([label, value]) => {
+  // Measured values win over modelled ones, modelled over static
+  const live = telemetryStats(key);
+  const stats = { ...data.stats, ...hydraulicStats(key), ...live };
+  const liveClass = telemetryFeed?.status === 'live' ? ' live' : ' live stale';
+  Object.entries(stats).forEach(([label, value]) => {
     const div = document.createElement('div');
-    div.className = 'info-stat';
-    div.innerHTML = `<div class="info-stat-value">${value}</div><div class="info-stat-label">${label}</div>`;
+    div.className = 'info-stat' + (label in live ? liveClass : '');
+    div.append(textElement('div', 'info-stat-value', value), textElement('div', 'info-stat-label', label));
     statsEl.appendChild(div);
   });
 
   document.getElementById('info-card').classList.remove('hidden');
 }
 
+// Element holding plain text: names and stats come from network and project
+// files, so they never go into the page as markup
+function textElement(tag, className, text = '') {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  el.textContent = text;
+  return el;
+}
+
+const CLICK_TOLERANCE = 4;  // px the pointer may move between press and release and still click
+
+// Call onClick(e) for clicks on the 3D view, not for the end of an orbit drag
+function onViewClick(onClick) {
+  const canvas = renderer.domElement;
+  let down = null;
+  canvas.addEventListener('pointerdown', e => { down = { x: e.clientX, y: e.clientY }; });
+  canvas.addEventListener('click', e => {
+    if (down && Math.hypot(e.clientX - down.x, e.clientY - down.y) <= CLICK_TOLERANCE) onClick(e);
+  });
+}
+
 
 // ═══════════════════════════════════════════════════════════
-//  GUIDED TOUR
+//  PICKING (hover highlight and click-to-select in the 3D view)
 // ═══════════════════════════════════════════════════════════
-function startGuidedTour() {
-  if (tourRunning) return;
-  tourRunning = true;
-  const btn = document.getElementById('btn-tour');
-  btn.disabled = true;
-  btn.innerHTML = '<span>&#x1F3AC;</span> Tour in progress...';
+function setupPicking() {
+  const canvas = renderer.domElement;
+  onViewClick(() => {
+    if (!hoveredKey || editor.active || pinningNote !== null) return;
+    // With the incident panel open, clicking the pipeline places a leak instead
+    if (hoveredKey === 'pipes' && !document.getElementById('incident-panel').classList.contains('hidden')) return;
+    selectComponent(hoveredKey);
+  });
+  canvas.addEventListener('pointerleave', () => {
+    setHovered(null);
+    hoverHit = null;
+    renderTooltip();
+  });
+}
 
-  const stops = ['lake', 'dam', 'canal', 'treatment', 'pump', 'pipes', 'homes'];
-  let idx = 0;
+// Point the raycaster through the cursor of a pointer event
+function rayAt(e) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const ndc = new THREE.Vector2(
+    ((e.clientX - rect.left) / rect.width) * 2 - 1,
+    -((e.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(ndc, camera);
+}
 
-  function nextStop() {
-    if (idx >= stops.length) {
-      tourRunning = false;
-      btn.disabled = false;
-      btn.innerHTML = '<span>&#x1F3AC;</span> Start Guided Tour';
-      // Return to overview
-      animateCamera(
-        new THREE.Vector3(0, 120, 200),
-        new THREE.Vector3(0, 5, 15),
-        1500
-      );
-      document.getElementById('info-card').classList.add('hidden');
-      document.querySelectorAll('.component-btn').forEach(b => b.classList.remove('active'));
-      return;
-    }
+// Component key owning an object: the nearest ancestor that is a component
+// mesh (placeholders and loaded models alike)
+function componentKeyOf(object) {
+  for (let o = object; o; o = o.parent) {
+    const key = Object.keys(componentMeshes).find(k => componentMeshes[k] === o);
+    if (key) return key === 'lakeWater' ? findNodeByType(network, 'lake')?.id : key;
+  }
+  return null;
+}
 
-    const key = stops[idx];
-    // Highlight sidebar button
-    document.querySelectorAll('.component-btn').forEach(b => {
-      b.classList.toggle('active', b.dataset.target === key);
-    });
-    flyTo(key);
-    showInfoCard(key);
-    idx++;
-    setTimeout(nextStop, 3500);
+// Raycast components and tooltip targets under the cursor; the terrain
+// hides what is behind hills
+function updateHover() {
+  if (!pointerDirty) return;
+  raycaster.setFromCamera(pointer, camera);
+  const targets = [...Object.values(componentMeshes).filter(Boolean), ...tooltipTargets, terrain];
+  const hit = raycaster.intersectObjects(targets, true).find(h => isShown(h.object) && !h.object.isPoints);
+  const onObject = hit && hit.object !== terrain;
+  setHovered(onObject ? componentKeyOf(hit.object) : null);
+  hoverHit = onObject ? hit : null;
+  const tip = hoverHit && tooltipOf(hoverHit.object);
+  if (tip?.kind === 'pipe') hoverHit.loc = nearestPipeLocation(pipeRuns[tip.linkId], hoverHit.point);
+  renderTooltip();
+}
+
+// Visible along with all its ancestors (e.g. not part of a hidden building)
+function isShown(object) {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
   }
+  return true;
+}
+
+function setHovered(key) {
+  if (key === hoveredKey) return;
+  const previous = hoveredKey;
+  hoveredKey = key;
+  if (previous) restoreGlow(previous);
+  if (key && !alarmGlowing.has(key)) setGlow(componentMeshes[key], 0xFFFFFF, 0.25);
+  renderer.domElement.style.cursor = key ? 'pointer' : '';
+  document.querySelectorAll('.component-btn').forEach(b => {
+    b.classList.toggle('hover', b.dataset.target === key);
+  });
+}
 
-  nextStop();
+// Back to the tour highlight, the hover tint or no tint once an alarm glow ends
+function restoreGlow(key) {
+  if (!componentMeshes[key] || alarmGlowing.has(key)) return;
+  if (tourHighlight.has(key)) setGlow(componentMeshes[key], CONFIG.tour.highlightColor, CONFIG.tour.highlightGlow);
+  else setGlow(componentMeshes[key], 0xFFFFFF, key === hoveredKey ? 0.25 : 0);
 }
 
 
 // ═══════════════════════════════════════════════════════════
-//  ANIMATION LOOP
+//  TOOLTIPS (what is under the cursor, with its key values)
 // ═══════════════════════════════════════════════════════════
-function animate() {
-  requestAnimationFrame(animate);
+// Tooltip description of an object: its own userData.tooltip or an ancestor's
+function tooltipOf(object) {
+  for (let o = object; o; o = o.parent) {
+    if (o.userData.tooltip) return o.userData.tooltip;
+  }
+  return null;
+}
 
-  const delta = clock.getDelta();
-  const elapsed = clock.getElapsedTime();
+// Redraw the tooltip for hoverHit at the cursor (also after each solve,
+// so the readings stay current while the cursor rests)
+function renderTooltip() {
+  const el = document.getElementById('tooltip');
+  const content = hoverHit && tooltipContent(hoverHit);
+  if (!content) {
+    el.classList.add('hidden');
+    return;
+  }
+  el.replaceChildren(textElement('div', 'tooltip-title', content.title));
+  content.rows.forEach(([label, value]) => {
+    const row = textElement('div', 'tooltip-row');
+    row.append(textElement('span', '', label), textElement('b', '', value));
+    el.appendChild(row);
+  });
+  if (content.hint) el.appendChild(textElement('div', 'tooltip-hint', content.hint));
+  el.classList.remove('hidden');
+  // Below-right of the cursor, flipped at the window edges
+  const x = pointerClient.x + 16 + el.offsetWidth > window.innerWidth ? pointerClient.x - 12 - el.offsetWidth : pointerClient.x + 16;
+  const y = pointerClient.y + 20 + el.offsetHeight > window.innerHeight ? pointerClient.y - 12 - el.offsetHeight : pointerClient.y + 20;
+  el.style.left = `${x}px`;
+  el.style.top = `${y}px`;
+}
+
+// { title, rows: [[label, value]], hint } for a raycast hit
+function tooltipContent(hit) {
+  const tip = tooltipOf(hit.object);
+  const ground = p => sceneToElevation(network.terrain, sampleTerrainHeight(p.x, p.z));
+
+  if (tip?.kind === 'pipe') {
+    const content = pipeTooltip(hit.loc);
+    if (content) {
+      content.hint = document.getElementById('incident-panel').classList.contains('hidden')
+        ? 'Click for details' : 'Click to place a leak';
+    }
+    return content;
+  }
+  if (tip?.kind === 'pylon') {
+    const link = network.linkById[tip.linkId];
+    const rows = [
+      ['Height', `${(tip.height / (network.terrain?.verticalScale ?? 1)).toFixed(0)} m`],
+      ['Ground', `${ground(hit.object.position).toFixed(0)} m`],
+      ['Carries', `${link.name || link.id} · km ${(link.hydraulics.length * tip.position / 1000).toFixed(1)}`],
+    ];
+    return { title: 'Pipe Support', rows };
+  }
+  if (tip?.kind === 'tank') {
+    const node = network.nodeById[tip.nodeId];
+    const h = node.hydraulics;
+    const res = viewResults?.nodes[node.id];
+    const level = res?.level ?? h.level;
+    const storage = Math.PI * h.diameter ** 2 / 4 * level;
+    const rows = [
+      ['Level', `${level.toFixed(2)} / ${h.maxLevel} m`],
+      ['Storage', `${Math.round(storage).toLocaleString()} m\u00B3`],
+      ['Full', `${(level / h.maxLevel * 100).toFixed(0)}%`],
+    ];
+    if (res) {
+      rows.push(['Inlet', formatFlow(tankInflow(node.id))]);
+      rows.push(['Outlet', formatFlow(res.supplied)]);
+      if (res.dry) rows.push(['Supply', `Intermittent \u2014 ${formatFlow(res.shortfall)} short`]);
+    }
+    return { title: 'Storage Tank', rows };
+  }
+  if (tip?.kind === 'canal-bank') {
+    const res = viewResults?.links[tip.linkId];
+    const rows = [['Ground', `${ground(hit.point).toFixed(0)} m`]];
+    if (res) {
+      rows.push(['Canal Flow', formatFlow(res.flow)]);
+      rows.push(['Velocity', `${res.velocity.toFixed(2)} m/s`]);
+    }
+    return { title: `Canal · ${tip.side} Bank`, rows };
+  }
+  if (tip?.kind === 'gate') {
+    const def = network.gates.find(g => g.id === tip.gateId);
+    const gate = viewResults?.gates[tip.gateId];
+    const rows = [['Ground', `${ground(hit.point).toFixed(0)} m`]];
+    if (gate) {
+      rows.push(['Opening', gate.opening > 0 ? `${Math.round(gate.opening * 100)}%` : 'Shut']);
+      rows.push(['Flow', formatFlow(gate.flow)]);
+    }
+    return { title: def.name || def.id, rows };
+  }
+  if (tip?.kind === 'stage') {
+    const def = treatmentPlant.stages.find(s => s.id === tip.stageId);
+    const stage = viewResults?.treatment?.stages.find(s => s.id === tip.stageId);
+    const rows = [];
+    if (stage) {
+      rows.push(['Turbidity In', `${stage.in.turbidity.toFixed(2)} NTU`]);
+      rows.push(['Turbidity Out', `${stage.out.turbidity.toFixed(2)} NTU`]);
+      if (stage.kind === 'chlorination') rows.push(['Chlorine Out', `${stage.out.chlorine.toFixed(2)} mg/L`]);
+      if (def.dose !== undefined) rows.push([`${def.chemical || 'Dose'}`, `${stage.dose.toFixed(1)} mg/L`]);
+      if (stage.failed) rows.push(['Fault', STAGE_FAILURES[stage.kind]]);
+    }
+    return { title: def.name, rows };
+  }
+  if (tip?.kind === 'island') {
+    // Heights are measured from the water on screen, which follows the lake level
+    const lake = findNodeByType(network, 'lake');
+    const lakeHead = viewResults?.nodes[lake?.id]?.head;
+    const aboveWater = lakeWater ? (tip.top - lakeWater.position.y) / (network.terrain?.verticalScale ?? 1) : null;
+    const rows = [];
+    if (lakeHead !== undefined && aboveWater !== null) rows.push(['Summit', `${(lakeHead + aboveWater).toFixed(0)} m`]);
+    if (aboveWater !== null) rows.push(['Above Water', `${aboveWater.toFixed(1)} m`]);
+    if (lakeHead !== undefined) rows.push(['Lake Level', `${lakeHead.toFixed(1)} m`]);
+    return { title: tip.name, rows };
+  }
+
+  // Any other part of a component: its headline stats
+  const key = componentKeyOf(hit.object);
+  const node = key && network.nodeById[key];
+  if (!node) return null;
+  const stats = { ...node.stats, ...hydraulicStats(key), ...telemetryStats(key) };
+  return {
+    title: node.name,
+    rows: [['Ground', `${ground(hit.point).toFixed(0)} m`], ...Object.entries(stats).slice(0, 2)],
+    hint: 'Click for details',
+  };
+}
+
+// Chainage, elevations, flow and pressure at a location { linkId, position }
+function pipeTooltip(at) {
+  if (!at) return null;
+  const link = network.linkById[at.linkId];
+  const p = pipePoint(at);
+  const elevation = sceneToElevation(network.terrain, p.y);
+  const rows = [
+    ['Chainage', `km ${(link.hydraulics.length * at.position / 1000).toFixed(2)}`],
+    ['Pipe Elevation', `${elevation.toFixed(0)} m`],
+    ['Ground', `${sceneToElevation(network.terrain, sampleTerrainHeight(p.x, p.z)).toFixed(0)} m`],
+  ];
+  const res = viewResults?.links[at.linkId];
+  if (res) {
+    const sec = sectionAt(res, at.position);
+    rows.push(['Flow', formatFlow(sec.flow)]);
+    // A closed section has no computed head
+    rows.push(['Pressure', sec.status === 'closed'
+      ? '\u2014' : `${((headAlongLink(at.linkId, at.position) - elevation) * M_TO_BAR).toFixed(1)} bar`]);
+  }
+  const lq = viewResults?.quality?.links[at.linkId];
+  if (lq) {
+    const q = qualityAt(lq, at.position);
+    rows.push(['Chlorine', `${q.chlorine.toFixed(2)} mg/L`]);
+    rows.push(['Turbidity', `${q.turbidity.toFixed(2)} NTU`]);
+    rows.push(['Water Age', formatAge(q.age)]);
+    const flagged = lq.treated ? breachesAt(at.linkId, at.position) : [];
+    if (flagged.length) rows.push(['Out of Limits', flagged.map(b => QUALITY_SCALES[b.parameter].label).join(', ')]);
+  }
+  return { title: link.name || link.id, rows };
+}
+
+function sectionAt(linkRes, position) {
+  return linkRes.sections.find(s => position <= s.to) || linkRes.sections[linkRes.sections.length - 1];
+}
+
+// Hydraulic head at a fraction of a link's length, with friction loss taken
+// as linear within each section. Measured from the inlet (after any pumps),
+// or from the outlet when a closed section cuts the point off the inlet.
+function headAlongLink(linkId, position) {
+  const link = network.linkById[linkId];
+  const res = viewResults.links[linkId];
+  const loss = (a, b) => res.sections.reduce((sum, s) =>
+    sum + s.headloss * Math.max(0, Math.min(b, s.to) - Math.max(a, s.from)) / (s.to - s.from), 0);
+  const cutOff = res.sections.some(s => s.status === 'closed' && s.to <= position);
+  return cutOff
+    ? viewResults.nodes[link.to].head + loss(position, 1)
+    : viewResults.nodes[link.from].head + res.pumpHead - loss(0, position);
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  STATUS BAR (cursor lat/long/elevation)
+// ═══════════════════════════════════════════════════════════
+function setupStatusBar() {
+  const { projection } = network;
+  document.getElementById('status-crs').textContent = projection
+    ? `${projection.name} · 1 unit = ${projection.metresPerUnit} m`
+    : 'Scene coordinates';
+
+  renderer.domElement.addEventListener('pointermove', e => {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+    pointerClient.x = e.clientX;
+    pointerClient.y = e.clientY;
+    pointerDirty = true;
+  });
+}
+
+// Raycast the terrain under the cursor (once per frame at most)
+function updateCursorReadout() {
+  if (!pointerDirty || !terrain) return;
+  pointerDirty = false;
+  raycaster.setFromCamera(pointer, camera);
+  const hit = raycaster.intersectObject(terrain)[0];
+  const el = document.getElementById('status-cursor');
+  if (!hit) {
+    el.textContent = '—';
+    return;
+  }
+
+  const { x, y, z } = hit.point;
+  const elevation = sceneToElevation(network.terrain, y);
+  const { projection } = network;
+  if (projection) {
+    const { lat, lon } = projection.toLatLon(x, z);
+    const { easting, northing } = projection.sceneToMetres(x, z);
+    el.textContent = `${formatLatLon(lat, lon)} · Elev ${elevation.toFixed(1)} m · `
+      + `E ${Math.round(easting).toLocaleString()} N ${Math.round(northing).toLocaleString()}`;
+  } else {
+    el.textContent = `x ${x.toFixed(1)}, z ${z.toFixed(1)} · Elev ${elevation.toFixed(1)} m`;
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  ALARMS (panel, event log, pulsing components)
+// ═══════════════════════════════════════════════════════════
+function setupAlarms() {
+  if (!network.alarms?.rules?.length) {
+    document.getElementById('btn-alarms').classList.add('hidden');
+    return;
+  }
+  try {
+    alarmManager = createAlarmManager(network.alarms, {
+      onChange: renderAlarms,
+      onEvent: () => {
+        if (!document.getElementById('alarm-log').classList.contains('hidden')) renderAlarmLog();
+      },
+    });
+  } catch (err) {
+    console.warn(`${err.message} — alarms disabled`);
+    document.getElementById('btn-alarms').classList.add('hidden');
+    return;
+  }
+
+  const panel = document.getElementById('alarm-panel');
+  document.getElementById('btn-alarms').addEventListener('click', function() {
+    panel.classList.toggle('hidden');
+    this.classList.toggle('active', !panel.classList.contains('hidden'));
+  });
+
+  panel.querySelectorAll('.alarm-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      panel.querySelectorAll('.alarm-tab').forEach(t => t.classList.toggle('active', t === tab));
+      const showLog = tab.dataset.tab === 'log';
+      document.getElementById('alarm-list').classList.toggle('hidden', showLog);
+      document.getElementById('alarm-log').classList.toggle('hidden', !showLog);
+      if (showLog) renderAlarmLog();
+    });
+  });
+
+  // Ack / shelve buttons, or click the row to fly to the component
+  document.getElementById('alarm-list').addEventListener('click', e => {
+    const item = e.target.closest('.alarm-item');
+    if (!item) return;
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'ack') alarmManager.acknowledge(item.dataset.id);
+    else if (action === 'shelve') alarmManager.shelve(item.dataset.id);
+    else if (action === 'unshelve') alarmManager.unshelve(item.dataset.id);
+    else selectComponent(alarmManager.alarms[item.dataset.id].rule.component);
+  });
+
+  publishModelTags();
+  renderAlarms();
+}
+
+// Feed hydraulic results to rules on "model:<node or link id>.<field>" tags
+function publishModelTags() {
+  if (!alarmManager || !hydraulicResults) return;
+  const tags = new Set(network.alarms.rules.map(r => r.tag).filter(t => t.startsWith('model:')));
+  tags.forEach(tag => {
+    const [id, field] = tag.slice(6).split('.');
+    const res = hydraulicResults.nodes[id] || hydraulicResults.links[id];
+    if (res) alarmManager.evaluate(tag, res[field]);
+  });
+}
+
+function formatAlarmValue(alarm) {
+  if (alarm.value === null) return '';
+  const def = network.telemetry?.tags?.[alarm.rule.tag];
+  const unit = alarm.rule.unit ?? def?.unit ?? '';
+  return `${alarm.value.toFixed(alarm.rule.decimals ?? def?.decimals ?? 2)} ${unit}`.trim();
+}
+
+function formatAlarmTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour12: false });
+}
+
+// Alarms on screen: the live list, or the playback frame's
+function visibleAlarms() {
+  if (playback.active) return playbackFrame?.alarms || [];
+  return alarmManager.visible();
+}
+
+function renderAlarms() {
+  const visible = visibleAlarms();
+  const shelved = playback.active ? [] : alarmManager.shelved();
+  const list = document.getElementById('alarm-list');
+  list.innerHTML = '';
+
+  const addItem = (alarm, isShelved) => {
+    const { rule } = alarm;
+    const item = document.createElement('div');
+    item.className = `alarm-item alarm-${rule.priority}`
+      + (alarm.active ? '' : ' cleared')
+      + (alarm.acknowledged ? '' : ' unacked')
+      + (isShelved ? ' shelved' : '');
+    item.dataset.id = alarm.id;
+    item.innerHTML = `
+      <div class="alarm-main">
+        <div class="alarm-msg"></div>
+        <div class="alarm-meta"></div>
+      </div>
+      <div class="alarm-actions"></div>`;
+    const component = network.nodeById[rule.component];
+    item.querySelector('.alarm-msg').textContent = rule.message;
+    item.querySelector('.alarm-meta').textContent = [
+      rule.priority.toUpperCase(),
+      component?.shortName || component?.name || rule.component,
+      formatAlarmValue(alarm),
+      alarm.active ? formatAlarmTime(alarm.raisedAt) : `cleared ${formatAlarmTime(alarm.clearedAt)}`,
+    ].filter(Boolean).join(' · ');
+    const actions = item.querySelector('.alarm-actions');
+    const buttons = isShelved ? [['unshelve', 'Unshelve']]
+      : [...(alarm.acknowledged ? [] : [['ack', 'Ack']]), ['shelve', 'Shelve']];
+    buttons.forEach(([action, text]) => {
+      const btn = document.createElement('button');
+      btn.className = 'alarm-action';
+      btn.dataset.action = action;
+      btn.textContent = text;
+      actions.appendChild(btn);
+    });
+    list.appendChild(item);
+  };
+
+  visible.forEach(a => addItem(a, false));
+  shelved.forEach(a => addItem(a, true));
+  if (!visible.length && !shelved.length) {
+    list.innerHTML = '<div class="alarm-empty">No active alarms</div>';
+  }
+
+  // Top bar badge: unacknowledged alarms flash
+  const unacked = visible.filter(a => !a.acknowledged).length;
+  const badge = document.getElementById('alarm-count');
+  badge.textContent = visible.length || '';
+  badge.className = 'alarm-count' + (visible.length ? ` alarm-${visible[0].rule.priority}` : '')
+    + (unacked ? ' unacked' : '');
+
+  // Labels take the colour of their most urgent active alarm
+  Object.entries(labels3D).forEach(([key, label]) => {
+    const alarm = visible.find(a => a.active && a.rule.component === key);
+    label.element.classList.remove('alarm', 'unacked', ...PRIORITIES.map(p => `alarm-${p}`));
+    if (alarm) {
+      label.element.classList.add('alarm', `alarm-${alarm.rule.priority}`);
+      if (!alarm.acknowledged) label.element.classList.add('unacked');
+    }
+  });
+}
+
+function renderAlarmLog() {
+  const log = document.getElementById('alarm-log');
+  log.innerHTML = '';
+  if (!alarmManager.events.length) {
+    log.innerHTML = '<div class="alarm-empty">No events yet</div>';
+    return;
+  }
+  alarmManager.events.slice(0, 100).forEach(event => {
+    const row = document.createElement('div');
+    row.className = `alarm-event alarm-${event.priority}`;
+    row.innerHTML = '<span class="alarm-event-time"></span><span class="alarm-event-kind"></span><span class="alarm-event-msg"></span>';
+    row.querySelector('.alarm-event-time').textContent = formatAlarmTime(event.timestamp);
+    row.querySelector('.alarm-event-kind').textContent = event.kind;
+    row.querySelector('.alarm-event-msg').textContent = event.message;
+    log.appendChild(row);
+  });
+}
+
+// Pulse component materials in their alarm colour: unacknowledged alarms
+// flash, acknowledged ones hold a steady glow
+function updateAlarmGlow(elapsed) {
+  const active = visibleAlarms().filter(a => a.active);
+  const glowing = new Set();
+  active.forEach(alarm => {
+    const key = alarm.rule.component;
+    if (glowing.has(key) || !componentMeshes[key]) return;
+    glowing.add(key);
+    const strength = alarm.acknowledged ? 0.35 : 0.25 + 0.35 * (1 + Math.sin(elapsed * 6));
+    setGlow(componentMeshes[key], CONFIG.colors.alarm[alarm.rule.priority], strength);
+  });
+  const ended = [...alarmGlowing].filter(key => !glowing.has(key));
+  alarmGlowing.clear();
+  glowing.forEach(key => alarmGlowing.add(key));
+  ended.forEach(restoreGlow);
+}
+
+// Tint a component's materials towards a colour; strength 0 restores them
+const glowColor = new THREE.Color();
+function setGlow(object, color, strength) {
+  glowColor.setHex(color);
+  object.traverse(child => {
+    if (!child.material) return;
+    (Array.isArray(child.material) ? child.material : [child.material]).forEach(mat => {
+      if (!mat.emissive) return;
+      if (!mat.userData.glowBase) {
+        mat.userData.glowBase = { emissive: mat.emissive.clone(), intensity: mat.emissiveIntensity };
+      }
+      const base = mat.userData.glowBase;
+      mat.emissive.copy(base.emissive).lerp(glowColor, strength);
+      mat.emissiveIntensity = strength > 0 ? Math.max(base.intensity, 1) : base.intensity;
+    });
+  });
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  INCIDENTS (leak / burst scenarios and isolation valves)
+// ═══════════════════════════════════════════════════════════
+function setupIncidents() {
+  const panel = document.getElementById('incident-panel');
+  const btn = document.getElementById('btn-incident');
+  if (!pipeRunList().length) {
+    btn.classList.add('hidden');
+    return;
+  }
+  btn.addEventListener('click', function() {
+    panel.classList.toggle('hidden');
+    this.classList.toggle('active', !panel.classList.contains('hidden'));
+    leakPreview.visible = !panel.classList.contains('hidden');
+  });
+
+  // Preview ring at the slider position
+  leakPreview = new THREE.Mesh(
+    new THREE.TorusGeometry(2, 0.25, 8, 24),
+    new THREE.MeshBasicMaterial({ color: CONFIG.colors.alarm.high })
+  );
+  leakPreview.visible = false;
+  scene.add(leakPreview);
+
+  // Leaks go on the pressurised pipes: pick one, then the spot along it
+  const pipeSelect = document.getElementById('leak-pipe');
+  fillLeakPipes();
+  pipeSelect.addEventListener('change', updateLeakPreview);
+  const slider = document.getElementById('leak-position');
+  slider.addEventListener('input', updateLeakPreview);
+  document.getElementById('btn-add-leak').addEventListener('click', () => {
+    placeLeak(leakSliderLocation(), document.getElementById('leak-severity').value);
+  });
+
+  // Clicking the pipeline (not dragging the view) drops a leak there
+  onViewClick(e => {
+    if (panel.classList.contains('hidden') || editor.active || playback.active) return;
+    rayAt(e);
+    const hit = raycaster.intersectObjects(pipeRunList().map(run => run.tube))[0];
+    if (!hit) return;
+    const loc = nearestPipeLocation(pipeRuns[tooltipOf(hit.object).linkId], hit.point);
+    pipeSelect.value = loc.linkId;
+    slider.value = Math.round(loc.position * 1000);
+    updateLeakPreview();
+    placeLeak(loc, document.getElementById('leak-severity').value);
+  });
+
+  document.getElementById('leak-list').addEventListener('click', e => {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    const id = e.target.closest('.leak-item')?.dataset.id;
+    if (action === 'isolate') isolateLeak(id);
+    else if (action === 'repair') repairLeak(id);
+  });
+  document.getElementById('valve-list').addEventListener('click', e => {
+    const id = e.target.closest('[data-valve]')?.dataset.valve;
+    if (!id) return;
+    const valve = hydraulicModel.valves.find(v => v.id === id);
+    setValve(hydraulicModel, id, !valve.closed);
+    runHydraulics();
+    renderIncidents();
+  });
+
+  createValveMarkers();
+  updateLeakPreview();
+  renderIncidents();
+}
+
+// One option per pipe that can take a leak, keeping the choice if it is still there
+function fillLeakPipes() {
+  const pipeSelect = document.getElementById('leak-pipe');
+  const chosen = pipeSelect.value;
+  pipeSelect.innerHTML = '';
+  pipeRunList().forEach(run => {
+    const link = network.linkById[run.linkId];
+    const option = document.createElement('option');
+    option.value = run.linkId;
+    option.textContent = link.name || link.id;
+    pipeSelect.appendChild(option);
+  });
+  if (pipeRuns[chosen]?.tube) pipeSelect.value = chosen;
+}
+
+// Location { linkId, position } picked with the pipe list and slider
+function leakSliderLocation() {
+  return {
+    linkId: document.getElementById('leak-pipe').value,
+    position: Number(document.getElementById('leak-position').value) / 1000,
+  };
+}
+
+function updateLeakPreview() {
+  const loc = leakSliderLocation();
+  if (!pipeRuns[loc.linkId]) return;
+  const p = pipePoint(loc);
+  leakPreview.position.copy(p);
+  leakPreview.lookAt(p.clone().add(pipeRuns[loc.linkId].curve.getTangentAt(loc.position)));
+  document.getElementById('leak-position-text').textContent = describePipeLocation(loc);
+}
+
+// "Rising Main · km 7.2 · 1162 m"
+function describePipeLocation(loc) {
+  const link = network.linkById[loc.linkId];
+  const km = (link.hydraulics.length * loc.position / 1000).toFixed(1);
+  const elevation = sceneToElevation(network.terrain, pipePoint(loc).y);
+  return `${link.name || link.id} · km ${km} · ${elevation.toFixed(0)} m`;
+}
+
+function placeLeak(loc, severity) {
+  const id = `L${++leakCounter}`;
+  try {
+    addLeak(hydraulicModel, {
+      id,
+      linkId: loc.linkId,
+      position: loc.position,
+      coefficient: CONFIG.leakSeverity[severity],
+      elevation: sceneToElevation(network.terrain, pipePoint(loc).y),
+    });
+  } catch (err) {
+    document.getElementById('leak-position-text').textContent = err.message;
+    return;
+  }
+  leakMarkers[id] = { loc, severity, isolatedBy: [], volume: 0, ...createLeakSpray(loc) };
+  runHydraulics();
+  renderIncidents();
+}
+
+// Close the nearest valve either side of the leak
+function isolateLeak(id) {
+  const { upstream, downstream } = isolationValves(hydraulicModel, id);
+  const marker = leakMarkers[id];
+  [upstream, downstream].forEach(valve => {
+    if (!valve || valve.closed) return;
+    setValve(hydraulicModel, valve.id, true);
+    marker.isolatedBy.push(valve.id);
+  });
+  runHydraulics();
+  renderIncidents();
+}
+
+// Remove the leak and reopen the valves its isolation closed
+function repairLeak(id) {
+  const marker = leakMarkers[id];
+  marker.isolatedBy.forEach(valveId => setValve(hydraulicModel, valveId, false));
+  removeLeak(hydraulicModel, id);
+  removeLeakMarker(id);
+  runHydraulics();
+  renderIncidents();
+}
+
+function removeLeakMarker(id) {
+  const marker = leakMarkers[id];
+  scene.remove(marker.spray, marker.puddle);
+  marker.spray.geometry.dispose();
+  marker.puddle.geometry.dispose();
+  delete leakMarkers[id];
+}
+
+// Spray particles thrown from the pipe plus a puddle that grows on the ground
+function createLeakSpray(loc) {
+  const origin = pipePoint(loc);
+  const count = 300;
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  const spray = new THREE.Points(geo, new THREE.PointsMaterial({
+    color: 0xA8DCFF, size: 0.5, transparent: true, opacity: 0.8, depthWrite: false,
+  }));
+  spray.userData = {
+    origin,
+    // Per particle: age, lifetime and a random direction
+    age: Float32Array.from({ length: count }, () => Math.random()),
+    dir: Array.from({ length: count }, () => new THREE.Vector3(Math.random() - 0.5, 1, Math.random() - 0.5)),
+  };
+  scene.add(spray);
+
+  const ground = sampleTerrainHeight(origin.x, origin.z);
+  const puddle = new THREE.Mesh(
+    new THREE.CircleGeometry(1, 32),
+    new THREE.MeshStandardMaterial({ color: CONFIG.colors.water, transparent: true, opacity: 0.6, roughness: 0.1 })
+  );
+  puddle.rotation.x = -Math.PI / 2;
+  puddle.position.set(origin.x, ground + 0.15, origin.z);
+  puddle.scale.setScalar(0.01);
+  scene.add(puddle);
+  return { spray, puddle };
+}
+
+// Jet height follows the leak pressure and the number of drops its flow
+function updateLeakSprays(delta) {
+  const gravity = 30;
+  Object.entries(leakMarkers).forEach(([id, marker]) => {
+    // A leak that did not exist at the playback time shows nothing
+    const res = viewResults.leaks[id] || { flow: 0, pressure: 0 };
+    const height = Math.min(20, Math.max(0, res.pressure) * (network.terrain?.verticalScale ?? 1) * 0.5);
+    const speed = Math.sqrt(2 * gravity * height);
+    const shown = res.flow > 0 ? Math.max(0.15, Math.min(1, res.flow / 0.5)) : 0;
+    const { origin, age, dir } = marker.spray.userData;
+    const positions = marker.spray.geometry.attributes.position;
+    const life = speed > 0 ? 2 * speed / gravity : 1;
+    for (let i = 0; i < positions.count; i++) {
+      age[i] += delta / life;
+      if (age[i] > 1) age[i] -= 1;
+      if (i / positions.count >= shown) {
+        positions.setXYZ(i, origin.x, origin.y - 1000, origin.z);
+        continue;
+      }
+      const s = age[i] * life;
+      const d = dir[i];
+      positions.setXYZ(i,
+        origin.x + d.x * speed * 0.3 * s,
+        origin.y + d.y * speed * s - 0.5 * gravity * s * s,
+        origin.z + d.z * speed * 0.3 * s);
+    }
+    positions.needsUpdate = true;
+    marker.puddle.scale.setScalar(Math.min(15, 1 + Math.sqrt(marker.volume) / 8));
+  });
+}
+
+// Add leaked volume over a simulated time step
+function accumulateLeakage(dt) {
+  Object.entries(leakMarkers).forEach(([id, marker]) => {
+    marker.volume += hydraulicResults.leaks[id].flow * dt;
+  });
+}
+
+function createValveMarkers() {
+  hydraulicModel.valves.forEach(valve => {
+    const run = pipeRuns[valve.linkId];
+    if (!run) return;
+    const p = run.curve.getPointAt(valve.position);
+    const wheel = new THREE.Mesh(
+      new THREE.TorusGeometry(1.4, 0.3, 8, 20),
+      new THREE.MeshStandardMaterial({ color: 0x00E676, emissive: 0x00E676, emissiveIntensity: 0.4 })
+    );
+    wheel.position.set(p.x, p.y + 1.8, p.z);
+    wheel.lookAt(p.clone().add(run.curve.getTangentAt(valve.position)).setY(p.y + 1.8));
+    scene.add(wheel);
+    valveMarkers[valve.id] = wheel;
+  });
+}
+
+function renderIncidents() {
+  const leakList = document.getElementById('leak-list');
+  leakList.innerHTML = '';
+  Object.entries(leakMarkers).forEach(([id, marker]) => {
+    const item = document.createElement('div');
+    item.className = `leak-item ${marker.severity}`;
+    item.dataset.id = id;
+    item.innerHTML = `
+      <div class="alarm-main">
+        <div class="alarm-msg"></div>
+        <div class="alarm-meta"></div>
+        <div class="leak-values"></div>
+      </div>
+      <div class="alarm-actions"></div>`;
+    const { upstream, downstream } = isolationValves(hydraulicModel, id);
+    item.querySelector('.alarm-msg').textContent = `${id} · ${marker.severity}`;
+    item.querySelector('.alarm-meta').textContent = describePipeLocation(marker.loc);
+    const isolated = marker.isolatedBy.length > 0;
+    const actions = isolated || (!upstream && !downstream) ? [['repair', 'Repair']] : [['isolate', 'Isolate'], ['repair', 'Repair']];
+    actions.forEach(([action, text]) => {
+      const b = document.createElement('button');
+      b.className = 'alarm-action';
+      b.dataset.action = action;
+      b.textContent = text;
+      b.title = action === 'isolate'
+        ? `Close ${[upstream, downstream].filter(Boolean).map(v => v.id).join(' and ')}`
+        : 'Remove the leak and reopen its isolation valves';
+      item.querySelector('.alarm-actions').appendChild(b);
+    });
+    leakList.appendChild(item);
+  });
+  if (!leakList.children.length) leakList.innerHTML = '<div class="alarm-empty">No leaks placed</div>';
+
+  const valveList = document.getElementById('valve-list');
+  valveList.innerHTML = '';
+  hydraulicModel.valves.forEach(valve => {
+    const def = network.valves.find(v => v.id === valve.id);
+    const row = document.createElement('button');
+    row.className = `valve-item${valve.closed ? ' closed' : ''}`;
+    row.dataset.valve = valve.id;
+    row.textContent = `${valve.id} · ${def.name || ''}`;
+    row.title = valve.closed ? 'Closed — click to open' : 'Open — click to close';
+    valveList.appendChild(row);
+    const wheel = valveMarkers[valve.id];
+    if (wheel) {
+      const color = valve.closed ? CONFIG.colors.alarm.high : 0x00E676;
+      wheel.material.color.setHex(color);
+      wheel.material.emissive.setHex(color);
+    }
+  });
+  updateIncidentValues();
+}
+
+// Leak flow and pressure, refreshed after every solve
+function updateIncidentValues() {
+  document.querySelectorAll('.leak-item').forEach(item => {
+    const res = hydraulicResults.leaks[item.dataset.id];
+    if (!res) return;
+    const isolated = leakMarkers[item.dataset.id].isolatedBy.length > 0;
+    item.querySelector('.leak-values').textContent = res.flow > 0
+      ? `${formatFlow(res.flow)} lost at ${res.pressureBar.toFixed(1)} bar`
+      : isolated ? 'Isolated — no flow' : 'No flow — pipe is above the hydraulic grade here';
+  });
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  PUMPS (station control panel, pump curves, roof motors)
+// ═══════════════════════════════════════════════════════════
+function setupPumps() {
+  const btn = document.getElementById('btn-pumps');
+  const link = network.links.find(l => l.hydraulics?.pump);
+  if (!link) {
+    btn.classList.add('hidden');
+    return;
+  }
+  pumpLinkId = link.id;
+  btn.addEventListener('click', () => {
+    toggleSidePanel('pump-panel');
+    renderPumps();
+  });
+
+  // One row per unit, built once so a speed slider keeps its drag
+  const list = document.getElementById('pump-list');
+  hydraulicModel.links.find(l => l.id === pumpLinkId).pump.units.forEach(unit => {
+    const item = document.createElement('div');
+    item.className = 'pump-item';
+    item.dataset.unit = unit.id;
+    item.innerHTML = `
+      <span class="pump-lamp"></span>
+      <b class="pump-name">${unit.id}</b>
+      <button class="alarm-action pump-command"></button>
+      <input class="pump-speed" type="range" min="${CONFIG.pumps.minSpeed * 100}" max="100" step="1" title="VFD speed">
+      <span class="pump-speed-text"></span>
+      <button class="pump-trip" data-action="trip" title="Simulate a fault trip">&#x26A1;</button>
+      <div class="pump-values"></div>`;
+    list.appendChild(item);
+  });
+  list.addEventListener('click', e => {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    const unitId = e.target.closest('.pump-item')?.dataset.unit;
+    if (!action || !unitId) return;
+    if (action === 'start') setPumpUnit(hydraulicModel, pumpLinkId, unitId, { on: true });
+    else if (action === 'stop') setPumpUnit(hydraulicModel, pumpLinkId, unitId, { on: false });
+    else if (action === 'reset') resetPump(hydraulicModel, pumpLinkId, unitId);
+    else if (action === 'trip') tripPump(hydraulicModel, pumpLinkId, unitId, 'Fault (simulated)');
+    runHydraulics();
+  });
+  list.addEventListener('input', e => {
+    if (!e.target.classList.contains('pump-speed')) return;
+    const unitId = e.target.closest('.pump-item').dataset.unit;
+    setPumpUnit(hydraulicModel, pumpLinkId, unitId, { speed: Number(e.target.value) / 100 });
+    runHydraulics();
+  });
+
+  const auto = document.getElementById('pump-auto');
+  auto.disabled = !link.hydraulics.pump.control;
+  auto.addEventListener('change', () => {
+    setPumpAuto(hydraulicModel, pumpLinkId, auto.checked);
+    runHydraulics();
+  });
+  renderPumps();
+}
+
+// The tool panels share the space beside the sidebar: one at a time
+function toggleSidePanel(id) {
+  const open = document.getElementById(id).classList.contains('hidden');
+  Object.entries(SIDE_PANELS).forEach(([panelId, btnId]) => {
+    const show = open && panelId === id;
+    document.getElementById(panelId).classList.toggle('hidden', !show);
+    document.getElementById(btnId).classList.toggle('active', show);
+  });
+  // The plant drill-down, edit mode and note pinning last as long as their panels are open
+  setProcessView(!document.getElementById('process-panel').classList.contains('hidden'));
+  setEditMode(!document.getElementById('editor-panel').classList.contains('hidden'));
+  if (pinningNote !== null && document.getElementById('project-panel').classList.contains('hidden')) setPinning(null);
+}
+
+// Refresh the panel from the results on screen (recorded ones in playback)
+function renderPumps() {
+  const panel = document.getElementById('pump-panel');
+  if (!pumpLinkId || panel.classList.contains('hidden') || !viewResults) return;
+  const res = viewResults.links[pumpLinkId];
+  const pump = hydraulicModel.links.find(l => l.id === pumpLinkId).pump;
+
+  res.pumps.forEach(unit => {
+    const item = panel.querySelector(`.pump-item[data-unit="${unit.id}"]`);
+    const state = unit.tripped ? 'tripped' : unit.running ? 'running' : unit.on ? 'held' : 'stopped';
+    item.className = `pump-item ${state}`;
+    const command = item.querySelector('.pump-command');
+    command.dataset.action = unit.tripped ? 'reset' : unit.on ? 'stop' : 'start';
+    command.textContent = unit.tripped ? 'Reset' : unit.on ? 'Stop' : 'Start';
+    const slider = item.querySelector('.pump-speed');
+    if (document.activeElement !== slider) slider.value = Math.round(unit.speed * 100);
+    item.querySelector('.pump-speed-text').textContent = `${Math.round(unit.speed * 100)}%`;
+    item.querySelector('.pump-values').textContent = unit.tripped
+      ? `Tripped: ${unit.tripped}`
+      : unit.running && unit.flow < 0.001 ? 'Running against closed non-return valve'
+      : unit.running
+        ? `${formatFlow(unit.flow)} · ${(unit.power / 1000).toFixed(0)} kW · \u03B7 ${(unit.efficiency * 100).toFixed(0)}%`
+        : state === 'held' ? 'Held off by tank level control' : 'Stopped';
+  });
+
+  const auto = document.getElementById('pump-auto');
+  auto.checked = pump.auto;
+  document.getElementById('pump-auto-state').textContent = res.held ? '· holding off' : '';
+  document.getElementById('pump-duty').innerHTML = res.running
+    ? `Duty <b>${formatFlow(res.flow)}</b> at <b>${res.pumpHead.toFixed(1)} m</b> · `
+      + `\u03B7 <b>${(res.efficiency * 100).toFixed(0)}%</b> · <b>${(res.power / 1e6).toFixed(2)} MW</b>`
+    : 'No pumps running';
+  drawPumpCurves(pump, res);
+}
+
+// Head-flow curve of every unit at its own speed, the station's combined
+// curve for the units running, and the duty point on it
+function drawPumpCurves(pump, res) {
+  const canvas = document.getElementById('pump-curve');
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width;
+  const h = canvas.height;
+  const pad = { left: 30, right: 8, top: 8, bottom: 20 };
+  const maxQ = pump.count * pump.ratedFlow * 1.3;
+  const maxH = pump.shutoffHead * 1.1;
+  const px = q => pad.left + (q / maxQ) * (w - pad.left - pad.right);
+  const py = head => h - pad.bottom - (head / maxH) * (h - pad.top - pad.bottom);
+
+  ctx.clearRect(0, 0, w, h);
+
+  // Grid and axis labels
+  ctx.strokeStyle = 'rgba(255,255,255,0.05)';
+  ctx.lineWidth = 0.5;
+  ctx.font = '8px Inter';
+  ctx.fillStyle = 'rgba(255,255,255,0.5)';
+  for (let head = 0; head <= maxH; head += 20) {
+    ctx.beginPath(); ctx.moveTo(pad.left, py(head)); ctx.lineTo(w - pad.right, py(head)); ctx.stroke();
+    ctx.textAlign = 'right';
+    ctx.fillText(`${head}`, pad.left - 4, py(head) + 3);
+  }
+  for (let q = 0; q <= maxQ; q += 0.5) {
+    ctx.beginPath(); ctx.moveTo(px(q), pad.top); ctx.lineTo(px(q), h - pad.bottom); ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.fillText(q.toFixed(1), px(q), h - pad.bottom + 10);
+  }
+  ctx.textAlign = 'right';
+  ctx.fillText('m\u00B3/s', w - pad.right, h - 2);
+  ctx.textAlign = 'left';
+  ctx.fillText('m', 2, pad.top + 4);
+
+  const plot = (headAt, toQ, style, width) => {
+    ctx.beginPath();
+    for (let i = 0; i <= 60; i++) {
+      const q = toQ * i / 60;
+      const head = headAt(q);
+      if (head < 0) break;
+      if (i === 0) ctx.moveTo(px(q), py(head));
+      else ctx.lineTo(px(q), py(head));
+    }
+    ctx.strokeStyle = style;
+    ctx.lineWidth = width;
+    ctx.stroke();
+  };
+
+  // Single units, dimmed when not running
+  res.pumps.forEach(unit => {
+    const runout = unit.speed * Math.sqrt(pump.shutoffHead / (pump.shutoffHead - pump.ratedHead)) * pump.ratedFlow;
+    const style = unit.tripped ? 'rgba(255,23,68,0.6)' : unit.running ? 'rgba(249,168,37,0.6)' : 'rgba(255,255,255,0.15)';
+    plot(q => unitHead(pump, unit.speed, q), runout, style, 1);
+  });
+
+  if (!res.running) return;
+  // Combined curve of the running units, as recorded in these results
+  const station = { ...pump, held: false, units: res.pumps.map(u => ({ ...u, on: u.running, tripped: null })) };
+  plot(q => pumpHead(station, q), maxQ, '#F9A825', 2);
+
+  // Unit duty points and the station duty point
+  res.pumps.filter(u => u.running).forEach(unit => {
+    ctx.beginPath();
+    ctx.arc(px(unit.flow), py(unit.head), 2.5, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(249,168,37,0.9)';
+    ctx.fill();
+  });
+  ctx.beginPath();
+  ctx.arc(px(res.flow), py(res.pumpHead), 4.5, 0, Math.PI * 2);
+  ctx.fillStyle = '#00F5D4';
+  ctx.fill();
+  ctx.strokeStyle = '#0A1628';
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+}
+
+// Spin the roof fans of running units; tripped units blink red
+function updatePumpMotors(delta, elapsed) {
+  if (!viewResults) return;
+  pumpMotors.forEach(m => {
+    const unit = viewResults.links[m.linkId]?.pumps.find(u => u.id === m.unitId);
+    if (!unit) return;
+    if (unit.running) m.fan.rotation.y += delta * CONFIG.pumps.fanSpeed * unit.speed;
+    const color = unit.tripped
+      ? (Math.floor(elapsed * 2) % 2 ? CONFIG.colors.alarm.high : 0x330000)
+      : unit.running ? 0x00E676 : 0x555555;
+    m.lamp.material.color.setHex(color);
+  });
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  DAM (intake and spillway gates, reservoir level)
+// ═══════════════════════════════════════════════════════════
+// Gate leaves, the overflow sheet down the crest and a jet under each
+// spillway gate, in the dam's frame (upstream face at -x, crest at y = 7).
+// Kept apart from the dam placeholder so they stay if a glTF replaces it.
+function createDamGates() {
+  const gates = network.gates || [];
+  const node = network.nodeById[gates.find(g => g.component)?.component];
+  if (!node) return;
+  const group = new THREE.Group();
+  placeOnTerrain(group, node);
+  scene.add(group);
+
+  const leafMat = new THREE.MeshStandardMaterial({ color: 0x37474F, roughness: 0.5, metalness: 0.7 });
+  const frameMat = new THREE.MeshStandardMaterial({ color: 0xCCCCCC, roughness: 0.5 });
+  const waterMat = () => new THREE.MeshBasicMaterial({
+    color: 0xB3E5FC, transparent: true, opacity: 0, side: THREE.DoubleSide, depthWrite: false,
+  });
+  damVisuals = { gates: {}, overflow: null, jets: [] };
+
+  gates.filter(g => g.component === node.id).forEach(gate => {
+    // Spillway gates sit in pairs at the crest; an intake gate low at one end
+    const spans = gate.node ? [-3.5, 3.5] : [-12];
+    const size = gate.node ? { h: 2.5, w: 5, y: 4.5, travel: 2.5 } : { h: 3, w: 3, y: -2, travel: 3 };
+    const leaves = spans.map(z => {
+      const leaf = new THREE.Mesh(new THREE.BoxGeometry(0.5, size.h, size.w), leafMat);
+      leaf.position.set(-3.4, size.y, z);
+      leaf.castShadow = true;
+      leaf.userData.tooltip = { kind: 'gate', gateId: gate.id };
+      group.add(leaf);
+      tooltipTargets.push(leaf);
+      // Hoist posts either side of the leaf, tall enough for full travel
+      const postBottom = size.y - size.h / 2;
+      const postHeight = 8 + size.travel - postBottom;
+      [-1, 1].forEach(side => {
+        const post = new THREE.Mesh(new THREE.BoxGeometry(0.3, postHeight, 0.3), frameMat);
+        post.position.set(-3.4, postBottom + postHeight / 2, z + side * (size.w / 2 + 0.2));
+        group.add(post);
+      });
+      if (gate.node) {
+        const jet = new THREE.Mesh(new THREE.PlaneGeometry(size.w - 0.5, 10), waterMat());
+        jet.rotation.y = Math.PI / 2;
+        jet.position.set(3.2, -2, z);
+        group.add(jet);
+        damVisuals.jets.push({ gateId: gate.id, mesh: jet });
+      }
+      return leaf;
+    });
+    damVisuals.gates[gate.id] = { leaves, y: size.y, travel: size.travel };
+  });
+
+  // Sheet of water over the whole crest once the reservoir tops it
+  const overflow = new THREE.Mesh(new THREE.PlaneGeometry(24, 14), waterMat());
+  overflow.rotation.y = Math.PI / 2;
+  overflow.position.set(3.3, 0, 0);
+  group.add(overflow);
+  damVisuals.overflow = overflow;
+}
+
+function setupDam() {
+  const gates = network.gates || [];
+  const btn = document.getElementById('btn-dam');
+  if (!gates.length) {
+    btn.classList.add('hidden');
+    return;
+  }
+  btn.addEventListener('click', () => {
+    toggleSidePanel('dam-panel');
+    renderDam();
+  });
+
+  const list = document.getElementById('gate-list');
+  gates.forEach(gate => {
+    const item = document.createElement('div');
+    item.className = 'gate-item';
+    item.dataset.gate = gate.id;
+    item.innerHTML = `
+      <div class="gate-head"><b class="gate-name"></b><span class="gate-opening"></span></div>
+      <input class="gate-slider" type="range" min="0" max="100" step="1">
+      <div class="gate-flow"></div>`;
+    item.querySelector('.gate-name').textContent = gate.name || gate.id;
+    list.appendChild(item);
+  });
+  list.addEventListener('input', e => {
+    if (!e.target.classList.contains('gate-slider')) return;
+    setGate(hydraulicModel, e.target.closest('.gate-item').dataset.gate, Number(e.target.value) / 100);
+    runHydraulics();
+  });
+  renderDam();
+}
+
+// Refresh the panel from the results on screen (recorded ones in playback)
+function renderDam() {
+  const panel = document.getElementById('dam-panel');
+  if (!network.gates || panel.classList.contains('hidden') || !viewResults) return;
+  const lake = hydraulicModel.nodes.find(n => n.storage);
+  const res = lake && viewResults.nodes[lake.id];
+
+  if (res) {
+    // Gauge from the lowest gate sill to a metre over the crest
+    const crest = lake.spillway?.crest ?? res.head;
+    const bottom = Math.min(...hydraulicModel.gates.filter(g => g.sill !== undefined).map(g => g.sill), res.head - 1);
+    const top = crest + 1;
+    const pct = v => `${Math.max(0, Math.min(100, (v - bottom) / (top - bottom) * 100))}%`;
+    document.getElementById('dam-gauge-fill').style.height = pct(res.head);
+    document.getElementById('dam-gauge-crest').style.bottom = pct(crest);
+    const release = network.links.filter(l => l.from === lake.id)
+      .reduce((s, l) => s + viewResults.links[l.id].flow, 0);
+    const net = res.inflow - release - res.spill;
+    const rate = net / storageArea(lake.storage, res.head) * 86400 * 100;
+    document.getElementById('dam-values').innerHTML = [
+      ['Level', `${res.head.toFixed(2)} m`],
+      ['Crest', `${crest.toFixed(2)} m`],
+      ['Inflow', formatFlow(res.inflow)],
+      ['To Canal', formatFlow(release)],
+      ['Spill Gates', formatFlow(res.gateRelease)],
+      ['Overflow', formatFlow(res.overflow)],
+      ['Trend', `${rate >= 0 ? '+' : ''}${rate.toFixed(1)} cm/day`],
+    ].map(([label, value]) => `<div class="dam-value${label === 'Overflow' && res.overflow > 0 ? ' spilling' : ''}">`
+      + `<span>${label}</span><b>${value}</b></div>`).join('');
+  }
+
+  panel.querySelectorAll('.gate-item').forEach(item => {
+    const gate = viewResults.gates[item.dataset.gate];
+    if (!gate) return;
+    const slider = item.querySelector('.gate-slider');
+    if (document.activeElement !== slider) slider.value = Math.round(gate.opening * 100);
+    item.querySelector('.gate-opening').textContent = gate.opening > 0 ? `${Math.round(gate.opening * 100)}% open` : 'Shut';
+    item.querySelector('.gate-flow').textContent = formatFlow(gate.flow);
+  });
+}
+
+// Gate leaves lift with their opening; water shows where it is released
+function updateDamVisuals(elapsed) {
+  if (!damVisuals || !viewResults) return;
+  Object.entries(damVisuals.gates).forEach(([id, v]) => {
+    const opening = viewResults.gates[id]?.opening ?? 0;
+    v.leaves.forEach(leaf => { leaf.position.y = v.y + opening * v.travel; });
+  });
+  const flicker = 0.08 * Math.sin(elapsed * 9);
+  damVisuals.jets.forEach(jet => {
+    const flow = viewResults.gates[jet.gateId]?.flow ?? 0;
+    jet.mesh.visible = flow > 0.01;
+    jet.mesh.material.opacity = Math.min(0.8, 0.3 + flow / 60) + flicker;
+  });
+  const overflow = Object.values(viewResults.nodes).reduce((s, n) => s + (n.overflow || 0), 0);
+  damVisuals.overflow.visible = overflow > 0.01;
+  damVisuals.overflow.material.opacity = Math.min(0.75, 0.25 + overflow / 20) + flicker;
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  WATER BALANCE (daily lake level over a climate series)
+// ═══════════════════════════════════════════════════════════
+function setupWaterBalance() {
+  const config = network.waterBalance;
+  const btn = document.getElementById('btn-balance');
+  const node = config && hydraulicModel.nodes.find(n => n.id === config.reservoir);
+  if (!node?.storage) {
+    btn.classList.add('hidden');
+    return;
+  }
+  btn.addEventListener('click', () => {
+    toggleSidePanel('balance-panel');
+    renderBalance();
+  });
+
+  // Defaults: the lake's head in the network file and the network's
+  // total average demand as the draw through the intake
+  document.getElementById('balance-level').value = network.nodeById[node.id].hydraulics.head;
+  document.getElementById('balance-abstraction').value =
+    hydraulicModel.nodes.reduce((s, n) => s + n.baseDemand, 0).toFixed(2);
+
+  document.getElementById('btn-balance-run').addEventListener('click', runBalance);
+  document.getElementById('balance-file').addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text()
+      .then(text => setClimateSeries(parseClimateCsv(text), file.name))
+      .catch(err => showBalanceSource(err.message, true));
+    e.target.value = '';
+  });
+  document.getElementById('balance-slider').addEventListener('input', e => {
+    balanceView.playing = false;
+    applyBalanceDay(Number(e.target.value));
+  });
+  document.getElementById('btn-balance-play').addEventListener('click', () => {
+    if (!balanceRun) return;
+    if (balanceView.day >= balanceRun.days.length - 1) applyBalanceDay(0);
+    balanceView.playing = !balanceView.playing;
+    balanceView.clock = 0;
+    renderBalance();
+  });
+
+  if (!config.climate) {
+    showBalanceSource('Load a climate CSV (date, rainfall_mm, evaporation_mm, inflow_m3s)');
+    return;
+  }
+  loadClimateSeries(config.climate)
+    .then(rows => setClimateSeries(rows, config.climate.split('/').pop()))
+    .catch(err => {
+      console.warn('Climate series not loaded:', err.message);
+      showBalanceSource(err.message, true);
+    });
+}
+
+function showBalanceSource(text, error = false) {
+  const el = document.getElementById('balance-source');
+  el.textContent = text;
+  el.classList.toggle('error', error);
+}
+
+// New climate rows: fit the period inputs to them and run the balance
+function setClimateSeries(rows, name) {
+  const config = network.waterBalance;
+  climateSeries = rows;
+  const first = rows[0].date;
+  const last = rows[rows.length - 1].date;
+  const clamp = (date, fallback) => (date && date >= first && date <= last ? date : fallback);
+  ['balance-start', 'balance-end'].forEach(id => {
+    const input = document.getElementById(id);
+    input.min = first;
+    input.max = last;
+  });
+  document.getElementById('balance-start').value = clamp(config.start, first);
+  document.getElementById('balance-end').value = clamp(config.end, last);
+  showBalanceSource(`${name} \u00B7 ${rows.length} days, ${first} \u2013 ${last}`);
+  runBalance();
+}
+
+function runBalance() {
+  if (!climateSeries) return;
+  const config = network.waterBalance;
+  const number = id => Number(document.getElementById(id).value);
+  try {
+    balanceRun = runWaterBalance(hydraulicModel, config.reservoir, climateSeries, {
+      start: document.getElementById('balance-start').value,
+      end: document.getElementById('balance-end').value,
+      level: number('balance-level'),
+      abstraction: Math.max(0, number('balance-abstraction')),
+      catchment: config.catchment,
+    });
+  } catch (err) {
+    balanceRun = null;
+    showBalanceSource(err.message, true);
+  }
+  balanceView.day = -1;
+  balanceView.playing = false;
+  const slider = document.getElementById('balance-slider');
+  slider.max = balanceRun ? balanceRun.days.length - 1 : 0;
+  slider.value = 0;
+  renderBalance();
+}
+
+// Put the lake at a day of the run: its level, and that day's inflow plus
+// rain on and evaporation from the surface as the live inflow
+function applyBalanceDay(index) {
+  if (!balanceRun || playback.active) return;
+  const day = balanceRun.days[Math.max(0, Math.min(balanceRun.days.length - 1, index))];
+  balanceView.day = balanceRun.days.indexOf(day);
+  const node = hydraulicModel.nodes.find(n => n.id === network.waterBalance.reservoir);
+  node.head = day.level;
+  node.storage.inflow = day.inflow + (day.rainfall - day.evaporation) / 86400;
+  runHydraulics();
+  renderBalance();
+}
+
+// Step through the run while playing
+function updateBalancePlayback(delta) {
+  if (!balanceView.playing || !balanceRun || playback.active) return;
+  balanceView.clock += delta * CONFIG.waterBalance.daysPerSecond;
+  if (balanceView.clock < 1) return;
+  const days = Math.floor(balanceView.clock);
+  balanceView.clock -= days;
+  const next = Math.min(balanceRun.days.length - 1, balanceView.day + days);
+  if (next === balanceRun.days.length - 1) balanceView.playing = false;
+  applyBalanceDay(next);
+}
+
+function renderBalance() {
+  const panel = document.getElementById('balance-panel');
+  if (!network.waterBalance || panel.classList.contains('hidden')) return;
+  document.getElementById('btn-balance-play').innerHTML = balanceView.playing ? '&#x23F8;' : '&#x25B6;';
+  document.getElementById('btn-balance-play').disabled = !balanceRun;
+  document.getElementById('balance-slider').disabled = !balanceRun;
+  drawBalanceChart();
+  if (!balanceRun) {
+    document.getElementById('balance-values').innerHTML = '';
+    return;
+  }
+  const slider = document.getElementById('balance-slider');
+  if (document.activeElement !== slider) slider.value = Math.max(0, balanceView.day);
+
+  const { days, totals } = balanceRun;
+  const day = days[Math.max(0, balanceView.day)];
+  const mcm = v => `${(v / 1e6).toFixed(1)}M m\u00B3`;
+  const change = totals.inflow + totals.rainfall - totals.evaporation - totals.abstraction - totals.spill;
+  const rows = [
+    [balanceView.day < 0 ? 'First Day' : 'Day', day.date],
+    ['Level', `${day.level.toFixed(2)} m`],
+    ['Stored', formatVolume(day.volume)],
+    ['Inflow', mcm(totals.inflow)],
+    ['Rainfall', mcm(totals.rainfall)],
+    ['Evaporation', `\u2212${mcm(totals.evaporation)}`],
+    ['Abstraction', `\u2212${mcm(totals.abstraction)}`],
+    ['Spill', `\u2212${mcm(totals.spill)}`],
+    ['Net Change', `${change >= 0 ? '+' : '\u2212'}${mcm(Math.abs(change))}`],
+  ];
+  document.getElementById('balance-values').innerHTML = rows
+    .map(([label, value]) => `<div class="panel-value"><span>${label}</span><b>${value}</b></div>`).join('');
+}
+
+// Stored volume (filled) and level (line) over the run, with the spillway
+// crest and the day on the lake
+function drawBalanceChart() {
+  const canvas = document.getElementById('balance-chart');
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width;
+  const h = canvas.height;
+  ctx.clearRect(0, 0, w, h);
+  if (!balanceRun) return;
+
+  const { days } = balanceRun;
+  const pad = { left: 30, right: 34, top: 8, bottom: 20 };
+  const crest = network.nodeById[network.waterBalance.reservoir].hydraulics.spillway?.crest;
+  const volumes = days.map(d => d.volume / 1e6);
+  const levels = days.map(d => d.level);
+  const vMin = Math.min(...volumes);
+  const vMax = Math.max(...volumes);
+  const vSpan = Math.max(vMax - vMin, 1);
+  const lMin = Math.min(...levels, crest ?? Infinity) - 0.2;
+  const lMax = Math.max(...levels, crest ?? -Infinity) + 0.2;
+  const px = i => pad.left + (i / Math.max(1, days.length - 1)) * (w - pad.left - pad.right);
+  const pyV = v => h - pad.bottom - ((v - vMin + vSpan * 0.1) / (vSpan * 1.2)) * (h - pad.top - pad.bottom);
+  const pyL = l => h - pad.bottom - ((l - lMin) / (lMax - lMin)) * (h - pad.top - pad.bottom);
+
+  // Grid and axis labels: volume (Mm³) left, level (m) right, months below
+  ctx.strokeStyle = 'rgba(255,255,255,0.05)';
+  ctx.lineWidth = 0.5;
+  ctx.font = '8px Inter';
+  ctx.fillStyle = 'rgba(255,255,255,0.5)';
+  for (let k = 0; k <= 4; k++) {
+    const y = pad.top + k / 4 * (h - pad.top - pad.bottom);
+    ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(w - pad.right, y); ctx.stroke();
+    const frac = (h - pad.bottom - y) / (h - pad.top - pad.bottom);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${Math.round(vMin - vSpan * 0.1 + frac * vSpan * 1.2)}`, pad.left - 4, y + 3);
+    ctx.textAlign = 'left';
+    ctx.fillText((lMin + frac * (lMax - lMin)).toFixed(1), w - pad.right + 4, y + 3);
+  }
+  ctx.textAlign = 'center';
+  days.forEach((d, i) => {
+    if (!d.date.endsWith('-01') && i !== 0) return;
+    ctx.beginPath(); ctx.moveTo(px(i), pad.top); ctx.lineTo(px(i), h - pad.bottom); ctx.stroke();
+    const month = new Date(`${d.date}T00:00:00Z`).toLocaleString('en', { month: 'short', timeZone: 'UTC' });
+    if (px(i) < w - pad.right - 8) ctx.fillText(month, px(i) + 8, h - pad.bottom + 10);
+  });
+  ctx.textAlign = 'left';
+  ctx.fillText('Mm\u00B3', 2, h - 2);
+  ctx.textAlign = 'right';
+  ctx.fillText('m', w - 2, h - 2);
+
+  // Stored volume
+  ctx.beginPath();
+  ctx.moveTo(px(0), h - pad.bottom);
+  volumes.forEach((v, i) => ctx.lineTo(px(i), pyV(v)));
+  ctx.lineTo(px(days.length - 1), h - pad.bottom);
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(0,180,216,0.25)';
+  ctx.fill();
+
+  // Spillway crest
+  if (crest !== undefined) {
+    ctx.setLineDash([4, 3]);
+    ctx.strokeStyle = '#FF9100';
+    ctx.lineWidth = 1;
+    ctx.beginPath(); ctx.moveTo(pad.left, pyL(crest)); ctx.lineTo(w - pad.right, pyL(crest)); ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  // Level
+  ctx.beginPath();
+  levels.forEach((l, i) => (i === 0 ? ctx.moveTo(px(i), pyL(l)) : ctx.lineTo(px(i), pyL(l))));
+  ctx.strokeStyle = '#00F5D4';
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+
+  // Day on the lake
+  if (balanceView.day >= 0) {
+    const x = px(balanceView.day);
+    ctx.strokeStyle = 'rgba(255,255,255,0.7)';
+    ctx.lineWidth = 1;
+    ctx.beginPath(); ctx.moveTo(x, pad.top); ctx.lineTo(x, h - pad.bottom); ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(x, pyL(levels[balanceView.day]), 3.5, 0, Math.PI * 2);
+    ctx.fillStyle = '#00F5D4';
+    ctx.fill();
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  TREATMENT PROCESS (plant drill-down for operator training)
+// ═══════════════════════════════════════════════════════════
+// The treatment train in the plant's place: one structure per stage laid
+// out along local +x, from the incoming link's side to the outgoing one,
+// with water dots running through it. Hidden until the view is entered.
+function createProcessView() {
+  const node = network.nodes.find(n => n.process);
+  if (!node) return;
+  const group = new THREE.Group();
+  const { x, z } = node.position;
+  group.position.set(x, sampleTerrainHeight(x, z), z);
+  const from = network.nodeById[network.links.find(l => l.to === node.id)?.from];
+  const to = network.nodeById[network.links.find(l => l.from === node.id)?.to];
+  if (from && to) group.rotation.y = -Math.atan2(to.position.z - from.position.z, to.position.x - from.position.x);
+  group.visible = false;
+  scene.add(group);
+
+  const stages = node.process.stages;
+  const { spacing } = CONFIG.process;
+  const length = stages.length * spacing + 6;
+  const concreteMat = new THREE.MeshStandardMaterial({ color: 0xB0B0B0, roughness: 0.8 });
+  const pipeMat = new THREE.MeshStandardMaterial({ color: 0x607D8B, roughness: 0.4, metalness: 0.6 });
+
+  const pad = new THREE.Mesh(new THREE.BoxGeometry(length, 0.4, 20), new THREE.MeshStandardMaterial({ color: 0x8A8A80, roughness: 0.9 }));
+  pad.position.y = 0.2;
+  pad.receiveShadow = true;
+  group.add(pad);
+  // Inlet to outlet main, under the stages
+  const main = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, length, 10), pipeMat);
+  main.rotation.z = Math.PI / 2;
+  main.position.y = 0.8;
+  group.add(main);
+
+  processView = { group, active: false, stages: {}, particles: null, bypass: null };
+  stages.forEach((stage, i) => {
+    const cx = (i - (stages.length - 1) / 2) * spacing;
+    const parts = PROCESS_BUILDERS[stage.kind](cx, concreteMat, pipeMat);
+    parts.meshes.forEach(mesh => {
+      mesh.userData.tooltip = { kind: 'stage', stageId: stage.id };
+      tooltipTargets.push(mesh);
+      group.add(mesh);
+    });
+    // Status lamp on a post at the downstream corner
+    const post = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 4, 6), pipeMat);
+    post.position.set(cx + 3.8, 2.2, -4.2);
+    group.add(post);
+    const lamp = new THREE.Mesh(new THREE.SphereGeometry(0.35, 10, 8), new THREE.MeshBasicMaterial({ color: 0x00E676 }));
+    lamp.position.set(cx + 3.8, 4.3, -4.2);
+    group.add(lamp);
+
+    const div = document.createElement('div');
+    div.className = 'label-3d process-label';
+    div.innerHTML = '<b class="process-label-name"></b><span class="label-live"></span>';
+    div.querySelector('.process-label-name').textContent = stage.name;
+    const label = new CSS2DObject(div);
+    label.position.set(cx, 6.5, 0);
+    group.add(label);
+
+    processView.stages[stage.id] = { ...parts, x: cx, lamp, label };
+  });
+
+  // Filter bypass: a pipe round the filters that only carries water when
+  // the filtration stage is failed
+  const filter = Object.entries(processView.stages).find(([id]) => stages.find(s => s.id === id).kind === 'filtration')?.[1];
+  if (filter) {
+    const bypassMat = new THREE.MeshStandardMaterial({ color: 0x607D8B, roughness: 0.4, metalness: 0.6, emissive: 0x000000 });
+    const bypass = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, spacing, 10), bypassMat);
+    bypass.rotation.z = Math.PI / 2;
+    bypass.position.set(filter.x, 1.2, 6.6);
+    group.add(bypass);
+    processView.bypass = { mesh: bypass, x0: filter.x - spacing / 2, x1: filter.x + spacing / 2, z: 6.6 };
+  }
+
+  // Water dots skimming the surfaces: position along the train (0–1) and
+  // a fixed sideways spread and height
+  const count = CONFIG.process.particleCount;
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  const points = new THREE.Points(geo, new THREE.PointsMaterial({ size: 0.5, vertexColors: true, transparent: true, opacity: 0.9 }));
+  points.frustumCulled = false;
+  group.add(points);
+  processView.particles = {
+    points,
+    length,
+    u: Float32Array.from({ length: count }, () => Math.random()),
+    spread: Float32Array.from({ length: count }, () => (Math.random() - 0.5) * 4),
+    lift: Float32Array.from({ length: count }, () => 3.2 + Math.random() * 0.4),
+  };
+}
+
+// Open basin: floor and four walls, with its water surface
+function processBasin(cx, w, d, h, mat) {
+  const meshes = [];
+  const floor = new THREE.Mesh(new THREE.BoxGeometry(w, 0.3, d), mat);
+  floor.position.set(cx, 0.55, 0);
+  meshes.push(floor);
+  [[w, 0.3, 0, d / 2], [w, 0.3, 0, -d / 2], [0.3, d, w / 2, 0], [0.3, d, -w / 2, 0]].forEach(([sx, sz, ox, oz]) => {
+    const wall = new THREE.Mesh(new THREE.BoxGeometry(sx, h, sz), mat);
+    wall.position.set(cx + ox, 0.4 + h / 2, oz);
+    wall.castShadow = true;
+    meshes.push(wall);
+  });
+  const water = new THREE.Mesh(new THREE.PlaneGeometry(w - 0.3, d - 0.3), processWaterMaterial());
+  water.rotation.x = -Math.PI / 2;
+  water.position.set(cx, 0.4 + h - 0.35, 0);
+  meshes.push(water);
+  return { meshes, water: [water] };
+}
+
+function processWaterMaterial() {
+  return new THREE.MeshStandardMaterial({ color: 0x4FC3F7, transparent: true, opacity: 0.8, roughness: 0.15 });
+}
+
+// Structures per stage kind, centred on x = cx.
+// Each returns { meshes, water: [surfaces tinted by quality], spin: [{ object, speed }], dosing? }
+const PROCESS_BUILDERS = {
+  coagulation(cx, mat, pipeMat) {
+    const basin = processBasin(cx, 7, 7, 3, mat);
+    // Flash mixer: shaft and paddles that turn while water flows
+    const mixer = new THREE.Group();
+    mixer.position.set(cx, 0, 0);
+    const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 4, 8), pipeMat);
+    shaft.position.y = 3;
+    mixer.add(shaft);
+    const paddle = new THREE.Mesh(new THREE.BoxGeometry(4, 0.15, 0.5), pipeMat);
+    paddle.position.y = 2;
+    mixer.add(paddle);
+    // Coagulant day tank with its dosing line
+    const drum = new THREE.Mesh(new THREE.CylinderGeometry(0.9, 0.9, 2.2, 16), new THREE.MeshStandardMaterial({ color: 0xECEFF1, roughness: 0.5 }));
+    drum.position.set(cx - 2, 1.5, -5.6);
+    const line = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 2.2, 6), new THREE.MeshStandardMaterial({ color: 0xFFFFFF }));
+    line.rotation.x = Math.PI / 2;
+    line.position.set(cx - 2, 3.2, -4.2);
+    const drip = new THREE.Mesh(new THREE.SphereGeometry(0.14, 8, 6), new THREE.MeshBasicMaterial({ color: 0xFFFFFF }));
+    drip.position.set(cx - 2, 3.1, -3.1);
+    return { ...basin, meshes: [...basin.meshes, mixer, drum, line, drip], spin: [{ object: mixer, speed: 4 }], drip };
+  },
+
+  sedimentation(cx, mat, pipeMat) {
+    const meshes = [];
+    const wall = new THREE.Mesh(new THREE.CylinderGeometry(4.6, 4.6, 3, 32, 1, true), new THREE.MeshStandardMaterial({ color: 0xB0B0B0, roughness: 0.8, side: THREE.DoubleSide }));
+    wall.position.set(cx, 1.9, 0);
+    wall.castShadow = true;
+    meshes.push(wall);
+    const water = new THREE.Mesh(new THREE.CircleGeometry(4.5, 32), processWaterMaterial());
+    water.rotation.x = -Math.PI / 2;
+    water.position.set(cx, 3.05, 0);
+    meshes.push(water);
+    // Scraper bridge turning about the centre pier
+    const pier = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, 3.4, 10), mat);
+    pier.position.set(cx, 2.1, 0);
+    meshes.push(pier);
+    const bridge = new THREE.Group();
+    bridge.position.set(cx, 3.6, 0);
+    const deck = new THREE.Mesh(new THREE.BoxGeometry(4.6, 0.25, 0.8), pipeMat);
+    deck.position.x = 2.3;
+    bridge.add(deck);
+    meshes.push(bridge);
+    return { meshes, water: [water], spin: [{ object: bridge, speed: 0.25 }] };
+  },
+
+  filtration(cx, mat) {
+    const meshes = [];
+    const water = [];
+    // Three filter cells side by side, sand bed under the supernatant water
+    const sandMat = new THREE.MeshStandardMaterial({ color: 0xD7C49E, roughness: 1 });
+    [-3.4, 0, 3.4].forEach(oz => {
+      const cell = processBasin(cx, 7, 3.2, 3, mat);
+      cell.meshes.forEach(m => { m.position.z += oz; });
+      const sand = new THREE.Mesh(new THREE.BoxGeometry(6.6, 1, 2.9), sandMat);
+      sand.position.set(cx, 1.2, oz);
+      meshes.push(...cell.meshes, sand);
+      water.push(...cell.water);
+    });
+    return { meshes, water, spin: [] };
+  },
+
+  chlorination(cx, mat) {
+    const basin = processBasin(cx, 7, 7, 3, mat);
+    // Serpentine baffles for contact time
+    [-1.75, 0, 1.75].forEach((ox, i) => {
+      const baffle = new THREE.Mesh(new THREE.BoxGeometry(0.2, 2.6, 5), mat);
+      baffle.position.set(cx + ox, 1.8, i % 2 ? 1 : -1);
+      basin.meshes.push(baffle);
+    });
+    // Chlorine cylinders on a rack beside the tank
+    const cylMat = new THREE.MeshStandardMaterial({ color: 0xC6D82E, roughness: 0.4, metalness: 0.3 });
+    [-1, 0, 1].forEach(k => {
+      const cyl = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, 1.8, 12), cylMat);
+      cyl.position.set(cx + k * 1.1, 1.3, -5.6);
+      basin.meshes.push(cyl);
+    });
+    return { ...basin, spin: [] };
+  },
+};
+
+// Blue for clear water through to brown for muddy (log scale up to 100 NTU)
+const CLEAR_WATER = new THREE.Color(0x4FC3F7);
+const MUDDY_WATER = new THREE.Color(0x8D6E63);
+const processColor = new THREE.Color();
+function turbidityColor(turbidity, target = new THREE.Color()) {
+  const t = Math.max(0, Math.min(1, Math.log10(1 + turbidity) / 2));
+  return target.copy(CLEAR_WATER).lerp(MUDDY_WATER, t);
+}
+
+// Quality through the plant at the flow arriving there. The treated
+// water's turbidity and chlorine go on the plant node's results, so
+// alarm rules can watch them as model tags.
+function runTreatmentProcess() {
+  if (!treatmentPlant) return;
+  const flow = network.links.filter(l => l.to === treatmentPlant.nodeId && hydraulicResults.links[l.id])
+    .reduce((s, l) => s + Math.max(0, hydraulicResults.links[l.id].outflow), 0);
+  const res = runTreatment(treatmentPlant, flow);
+  hydraulicResults.treatment = res;
+  Object.assign(hydraulicResults.nodes[treatmentPlant.nodeId], { turbidity: res.out.turbidity, chlorine: res.out.chlorine });
+}
+
+function setupProcess() {
+  const btn = document.getElementById('btn-process');
+  if (!treatmentPlant) {
+    btn.classList.add('hidden');
+    return;
+  }
+  btn.addEventListener('click', () => {
+    toggleSidePanel('process-panel');
+    renderProcess();
+  });
+
+  const raw = document.getElementById('process-raw');
+  raw.value = treatmentPlant.rawTurbidity;
+  raw.addEventListener('input', () => {
+    setRawTurbidity(treatmentPlant, Number(raw.value));
+    runHydraulics();
+  });
+
+  // One card per stage, built once so sliders keep their drag
+  const list = document.getElementById('process-stages');
+  const defs = network.nodeById[treatmentPlant.nodeId].process.stages;
+  treatmentPlant.stages.forEach(stage => {
+    const item = document.createElement('div');
+    item.className = 'process-stage';
+    item.dataset.stage = stage.id;
+    item.innerHTML = `
+      <div class="process-head">
+        <span class="pump-lamp"></span><b class="process-name"></b>
+        <label class="process-fail" title="${STAGE_FAILURES[stage.kind]}"><input type="checkbox"> Fail</label>
+      </div>
+      <div class="process-values"></div>
+      <div class="process-failure">${STAGE_FAILURES[stage.kind]}</div>`;
+    item.querySelector('.process-name').textContent = stage.name;
+    if (stage.dose !== undefined) {
+      // Dose slider up to twice the design dose
+      const max = 2 * (defs.find(d => d.id === stage.id).optimalDose ?? stage.dose);
+      const dose = document.createElement('div');
+      dose.className = 'process-dose';
+      dose.innerHTML = `
+        <input class="process-dose-slider" type="range" min="0" max="${max}" step="${max / 100}">
+        <span class="process-dose-text"></span>`;
+      dose.prepend(textElement('span', '', stage.chemical || 'Dose'));
+      item.querySelector('.process-head').after(dose);
+    }
+    list.appendChild(item);
+  });
+  list.addEventListener('input', e => {
+    const id = e.target.closest('.process-stage')?.dataset.stage;
+    if (!id) return;
+    if (e.target.classList.contains('process-dose-slider')) setStageDose(treatmentPlant, id, Number(e.target.value));
+    else if (e.target.type === 'checkbox') failStage(treatmentPlant, id, e.target.checked);
+    else return;
+    runHydraulics();
+  });
+}
+
+// Show the process train in place of the plant building (or back)
+function setProcessView(active) {
+  if (!processView || processView.active === active) return;
+  processView.active = active;
+  processView.group.visible = active;
+  const building = componentMeshes[treatmentPlant.nodeId];
+  if (building) building.visible = !active;
+  if (labels3D[treatmentPlant.nodeId]) labels3D[treatmentPlant.nodeId].visible = !active;
+  if (active) {
+    const { group } = processView;
+    const target = group.position.clone().add(new THREE.Vector3(0, 2, 0));
+    const camPos = group.localToWorld(new THREE.Vector3(-8, 26, 30));
+    animateCamera(camPos, target, 1200);
+  }
+}
+
+// Refresh the panel and stage labels from the results on screen
+function renderProcess() {
+  const res = viewResults?.treatment;
+  if (!treatmentPlant || !res) return;
+  const defs = Object.fromEntries(treatmentPlant.stages.map(s => [s.id, s]));
+  const ntu = v => `${v < 10 ? v.toFixed(2) : v.toFixed(1)} NTU`;
+  const mgl = v => `${v.toFixed(2)} mg/L`;
+
+  if (processView) {
+    res.stages.forEach(stage => {
+      const view = processView.stages[stage.id];
+      const reading = stage.kind === 'chlorination' ? `Cl ${mgl(stage.out.chlorine)}` : ntu(stage.out.turbidity);
+      view.label.element.querySelector('.label-live').textContent = reading;
+      view.label.element.classList.toggle('fail', stage.status === 'fail');
+      view.water.forEach(w => turbidityColor(stage.out.turbidity, w.material.color));
+    });
+  }
+
+  const panel = document.getElementById('process-panel');
+  if (panel.classList.contains('hidden')) return;
+  const raw = document.getElementById('process-raw');
+  if (document.activeElement !== raw) raw.value = res.stages[0]?.in.turbidity ?? treatmentPlant.rawTurbidity;
+  document.getElementById('process-raw-text').textContent = ntu(res.stages[0]?.in.turbidity ?? treatmentPlant.rawTurbidity);
+
+  panel.querySelectorAll('.process-stage').forEach(item => {
+    const stage = res.stages.find(s => s.id === item.dataset.stage);
+    if (!stage) return;
+    item.classList.toggle('warn', stage.status === 'warn');
+    item.classList.toggle('failed', stage.status === 'fail');
+    item.querySelector('.process-fail input').checked = stage.failed;
+    const slider = item.querySelector('.process-dose-slider');
+    if (slider) {
+      const dose = stage.failed ? defs[stage.id].dose : stage.dose;
+      if (document.activeElement !== slider) slider.value = dose;
+      item.querySelector('.process-dose-text').textContent = `${dose.toFixed(1)} mg/L`;
+    }
+    const rows = [`Turbidity ${ntu(stage.in.turbidity)} → ${ntu(stage.out.turbidity)}`];
+    if (stage.kind === 'chlorination') rows.push(`Chlorine ${mgl(stage.in.chlorine)} → ${mgl(stage.out.chlorine)}`);
+    if (stage.kind === 'coagulation') rows.push(`Floc formation ${Math.round(stage.floc * 100)}%`);
+    if (defs[stage.id].dose !== undefined) rows.push(`Feed ${stage.feed.toFixed(1)} kg/h`);
+    if (stage.loading) rows.push(`Loading ${stage.loading.toFixed(2)} m/h`);
+    item.querySelector('.process-values').innerHTML = rows.map(r => `<div>${r}</div>`).join('');
+  });
+
+  const limits = treatmentPlant.limits;
+  document.getElementById('process-summary').innerHTML = [
+    ['Plant Flow', formatFlow(res.flow)],
+    ['Treated Turbidity', `${ntu(res.out.turbidity)} (≤ ${limits.turbidity})`],
+    ['Chlorine Residual', `${mgl(res.out.chlorine)} (${limits.chlorineMin}–${limits.chlorineMax})`],
+    ['Status', res.compliant ? 'Within WHO limits' : 'Out of specification'],
+  ].map(([label, value]) => `<div class="panel-value${label === 'Status' && !res.compliant ? ' alert' : ''}">`
+    + `<span>${label}</span><b>${value}</b></div>`).join('');
+}
+
+// Mixers, scraper bridge, dosing drip, status lamps and the water dots
+function updateProcessView(delta, elapsed) {
+  if (!processView?.active || !viewResults?.treatment) return;
+  const res = viewResults.treatment;
+  const running = Math.min(1, res.flow / hydraulicModel.designFlow);
+  res.stages.forEach(stage => {
+    const view = processView.stages[stage.id];
+    if (running > 0) view.spin.forEach(s => { s.object.rotation.y += delta * s.speed; });
+    if (view.drip) {
+      view.drip.visible = stage.dose > 0 && running > 0;
+      view.drip.position.y = 3.1 - (elapsed * 1.5 % 1) * 1.2;
+    }
+    const color = stage.status === 'fail'
+      ? (Math.floor(elapsed * 2) % 2 ? CONFIG.colors.alarm.high : 0x330000)
+      : stage.status === 'warn' ? CONFIG.colors.alarm.medium : 0x00E676;
+    view.lamp.material.color.setHex(color);
+  });
+
+  const bypassing = processView.bypass && res.stages.some(s => s.kind === 'filtration' && s.failed);
+  if (processView.bypass) processView.bypass.mesh.material.emissive.setHex(bypassing ? 0x662200 : 0x000000);
+
+  // Dots run inlet → outlet at a pace set by the plant flow, tinted by
+  // the quality at their place in the train
+  const p = processView.particles;
+  const pos = p.points.geometry.attributes.position;
+  const col = p.points.geometry.attributes.color;
+  const xs = res.stages.map(s => processView.stages[s.id].x);
+  const half = CONFIG.process.spacing / 2;
+  for (let i = 0; i < p.u.length; i++) {
+    p.u[i] = (p.u[i] + delta * CONFIG.process.speed * running / p.length) % 1;
+    const x = (p.u[i] - 0.5) * p.length;
+    let z = p.spread[i];
+    const b = processView.bypass;
+    if (bypassing && x > b.x0 && x < b.x1) z = b.z + p.spread[i] * 0.05;
+    pos.setXYZ(i, x, p.lift[i], z);
+    // Water takes on a stage's outlet quality as it crosses the stage
+    let turbidity = res.stages[0]?.in.turbidity ?? 0;
+    res.stages.forEach((s, k) => {
+      const f = Math.max(0, Math.min(1, (x - (xs[k] - half)) / (2 * half)));
+      if (f > 0) turbidity = s.in.turbidity + (s.out.turbidity - s.in.turbidity) * f;
+    });
+    const c = turbidityColor(turbidity, processColor);
+    col.setXYZ(i, c.r, c.g, c.b);
+  }
+  pos.needsUpdate = true;
+  col.needsUpdate = true;
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  WATER QUALITY (chlorine, turbidity and age along the network)
+// ═══════════════════════════════════════════════════════════
+
+// Flow colour modes per quality parameter. Colour stops are [value, hex];
+// each scale has a stop at its limit so the colour turns where the flag does.
+const QUALITY_SCALES = {
+  chlorine: {
+    label: 'Chlorine',
+    format: v => `${v.toFixed(2)} mg/L`,
+    limit: l => `min ${l.chlorineMin} mg/L (WHO)`,
+    stops: l => [[0, 0xFF1744], [l.chlorineMin, 0xFFAB00], [1, 0x00E676], [2, 0x2979FF]],
+  },
+  turbidity: {
+    label: 'Turbidity',
+    format: v => `${v.toFixed(2)} NTU`,
+    limit: l => `max ${l.turbidityMax} NTU (WHO)`,
+    stops: l => [[0, 0x40C4FF], [l.turbidityMax, 0xFFD600], [l.turbidityMax * 5, 0x8D6E63]],
+  },
+  age: {
+    label: 'Water Age',
+    format: formatAge,
+    limit: l => `max ${formatAge(l.ageMax)}`,
+    stops: l => [[0, 0x18FFFF], [l.ageMax / 2, 0x76FF03], [l.ageMax, 0xFF9100], [l.ageMax * 2, 0xD50000]],
+  },
+};
+const QUALITY_FLAG_COLOR = new THREE.Color(CONFIG.quality.flagColor);
+
+// Carry the plant's outlet quality down the network and flag treated
+// water outside the limits; nodes get chlorine, turbidity and age for tags
+function runWaterQuality() {
+  if (!network.quality) return;
+  const sources = {};
+  hydraulicModel.nodes.filter(n => n.kind === 'reservoir').forEach(n => {
+    sources[n.id] = { turbidity: treatmentPlant?.rawTurbidity ?? 0 };
+  });
+  if (hydraulicResults.treatment) {
+    sources[treatmentPlant.nodeId] = { ...hydraulicResults.treatment.out, treated: true };
+  }
+  const quality = propagateQuality(hydraulicModel, hydraulicResults, sources, network.quality);
+  quality.breaches = qualityBreaches(quality, network.quality.limits);
+  hydraulicResults.quality = quality;
+  Object.entries(quality.nodes).forEach(([id, q]) => {
+    Object.assign(hydraulicResults.nodes[id], { chlorine: q.chlorine, turbidity: q.turbidity, age: q.age });
+  });
+}
+
+function qualityStops(mode) {
+  return QUALITY_SCALES[mode].stops(network.quality.limits).map(([value, hex]) => [value, new THREE.Color(hex)]);
+}
+
+// Colour of a value on a scale, held at the end stops
+function scaleColor(stops, value, target) {
+  const i = stops.findIndex(([v]) => v >= value);
+  if (i <= 0) return target.copy(stops[i < 0 ? stops.length - 1 : 0][1]);
+  const [v0, c0] = stops[i - 1];
+  const [v1, c1] = stops[i];
+  return target.copy(c0).lerp(c1, (value - v0) / (v1 - v0));
+}
+
+// Breaches of one parameter at a fraction of a link's length
+function breachesAt(linkId, position, parameter) {
+  return (viewResults?.quality?.breaches || []).filter(b => b.linkId === linkId
+    && (!parameter || b.parameter === parameter) && position >= b.from && position <= b.to);
+}
+
+// Sample the results on screen along each run for the chosen mode;
+// the particles look their colour up as they move
+function applyQualityToFlow() {
+  const quality = viewResults?.quality;
+  if (!QUALITY_SCALES[flowColorMode] || !quality) {
+    flowParticles.forEach(fp => {
+      if (!pipeRuns[fp.linkId].qualityColors) return;
+      fp.mesh.geometry.attributes.color.array.set(fp.baseColors);
+      fp.mesh.geometry.attributes.color.needsUpdate = true;
+    });
+    Object.values(pipeRuns).forEach(run => { run.qualityColors = run.qualityFlags = null; });
+    return;
+  }
+  const stops = qualityStops(flowColorMode);
+  const samples = CONFIG.quality.samples;
+  const color = new THREE.Color();
+  Object.values(pipeRuns).forEach(run => {
+    const lq = quality.links[run.linkId];
+    run.qualityColors = new Float32Array(samples * 3);
+    run.qualityFlags = new Uint8Array(samples);
+    if (!lq) return;
+    for (let i = 0; i < samples; i++) {
+      const position = (i + 0.5) / samples;
+      scaleColor(stops, qualityAt(lq, position)[flowColorMode], color).toArray(run.qualityColors, i * 3);
+      run.qualityFlags[i] = lq.treated && breachesAt(run.linkId, position, flowColorMode).length ? 1 : 0;
+    }
+  });
+}
+
+// Particle i at a fraction u of its run takes its sample's colour; flagged ones blink
+function setQualityColor(fp, run, i, u, elapsed) {
+  const s = Math.min(CONFIG.quality.samples - 1, Math.floor(u * CONFIG.quality.samples));
+  const colors = fp.mesh.geometry.attributes.color;
+  if (run.qualityFlags[s] && Math.sin(elapsed * 6) > 0) {
+    colors.setXYZ(i, QUALITY_FLAG_COLOR.r, QUALITY_FLAG_COLOR.g, QUALITY_FLAG_COLOR.b);
+  } else {
+    colors.setXYZ(i, run.qualityColors[s * 3], run.qualityColors[s * 3 + 1], run.qualityColors[s * 3 + 2]);
+  }
+}
+
+function setFlowColorMode(mode) {
+  flowColorMode = mode;
+  applyQualityToFlow();
+  renderQuality();
+}
+
+function setupQuality() {
+  const btn = document.getElementById('btn-quality');
+  if (!network.quality) {
+    btn.classList.add('hidden');
+    return;
+  }
+  btn.addEventListener('click', () => {
+    toggleSidePanel('quality-panel');
+    renderQuality();
+  });
+  const modes = document.getElementById('quality-modes');
+  [['section', 'Section'], ...Object.entries(QUALITY_SCALES).map(([mode, s]) => [mode, s.label])].forEach(([mode, label]) => {
+    const b = document.createElement('button');
+    b.className = 'quality-mode';
+    b.dataset.mode = mode;
+    b.textContent = label;
+    b.addEventListener('click', () => setFlowColorMode(mode));
+    modes.appendChild(b);
+  });
+}
+
+// Badge, legend, flagged stretches and node readings from the results on screen
+function renderQuality() {
+  const quality = viewResults?.quality;
+  if (!network.quality || !quality) return;
+  document.getElementById('quality-count').textContent = quality.breaches.length || '';
+
+  const panel = document.getElementById('quality-panel');
+  if (panel.classList.contains('hidden')) return;
+  const limits = network.quality.limits;
+  panel.querySelectorAll('.quality-mode').forEach(b => b.classList.toggle('active', b.dataset.mode === flowColorMode));
+
+  const scale = QUALITY_SCALES[flowColorMode];
+  const legend = document.getElementById('quality-legend');
+  if (scale) {
+    const stops = qualityStops(flowColorMode);
+    const max = stops[stops.length - 1][0];
+    const gradient = stops.map(([v, c]) => `${c.getStyle()} ${(v / max * 100).toFixed(1)}%`).join(', ');
+    legend.innerHTML = `<div class="quality-bar" style="background: linear-gradient(to right, ${gradient})"></div>`
+      + `<div class="quality-scale"><span>${scale.format(0)}</span><span>${scale.limit(limits)}</span>`
+      + `<span>${scale.format(max)}+</span></div>`;
+  } else {
+    legend.innerHTML = '<div class="quality-scale"><span>Gravity main (blue) → pumped main (orange)</span></div>';
+  }
+
+  const breaches = quality.breaches.map(b => {
+    const link = network.linkById[b.linkId];
+    const km = f => (link.hydraulics.length * f / 1000).toFixed(1);
+    const s = QUALITY_SCALES[b.parameter];
+    const row = textElement('div', 'quality-breach');
+    row.append(textElement('b', '', link.name || link.id), ` km ${km(b.from)}–${km(b.to)}`,
+      textElement('span', '', `${s.label} ${s.format(b.worst)} · ${s.limit(limits)}`));
+    return row;
+  });
+  document.getElementById('quality-breaches').replaceChildren(...(breaches.length ? breaches
+    : [textElement('div', 'quality-ok', 'Treated water within limits along the network')]));
+
+  document.getElementById('quality-nodes').replaceChildren(...network.nodes
+    .filter(n => quality.nodes[n.id]?.treated)
+    .map(n => {
+      const q = quality.nodes[n.id];
+      const row = textElement('div', 'panel-value');
+      row.append(textElement('span', '', n.name || n.id),
+        textElement('b', '', `${q.chlorine.toFixed(2)} mg/L · ${q.turbidity.toFixed(2)} NTU · ${formatAge(q.age)}`));
+      return row;
+    }));
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  DEMAND (daily patterns and the rooftop tank through the day)
+// ═══════════════════════════════════════════════════════════
+const FORECAST_STEP = 300;   // Simulated seconds per step of the day-ahead run
+const FORECAST_SETTLE = 400; // ms the population has to rest before the forecast reruns (a run blocks for a few hundred)
+
+// "07:35" from seconds since midnight
+function formatTimeOfDay(time) {
+  const minutes = Math.floor(time / 60) % 1440;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// The tank whose demand the panel drives: the largest population served
+function demandNode() {
+  return hydraulicModel?.nodes.filter(n => n.kind === 'tank' && n.designPopulation)
+    .sort((a, b) => b.designPopulation - a.designPopulation)[0];
+}
+
+function setupDemand() {
+  const btn = document.getElementById('btn-demand');
+  const node = demandNode();
+  if (!node) {
+    btn.classList.add('hidden');
+    return;
+  }
+  btn.addEventListener('click', () => {
+    toggleSidePanel('demand-panel');
+    if (!demandForecast) runDemandForecast();
+    renderDemand();
+  });
+
+  const slider = document.getElementById('demand-population');
+  slider.min = Math.round(node.designPopulation * 0.25 / 500) * 500;
+  slider.max = Math.round(node.designPopulation * 2 / 500) * 500;
+  slider.value = node.population;
+  slider.addEventListener('input', () => {
+    clearTimeout(forecastTimer);
+    setPopulation(hydraulicModel, node.id, Number(slider.value));
+    runHydraulics();
+  });
+  // Once per adjustment, not per arrow key or step of a drag
+  slider.addEventListener('change', () => {
+    clearTimeout(forecastTimer);
+    forecastTimer = setTimeout(runDemandForecast, FORECAST_SETTLE);
+  });
+  document.getElementById('btn-demand-forecast').addEventListener('click', runDemandForecast);
+}
+
+// Run the next 24 hours from the live state: will the tank carry the peaks?
+function runDemandForecast() {
+  clearTimeout(forecastTimer);
+  const node = demandNode();
+  demandForecast = {
+    start: hydraulicModel.time,
+    population: node.population,
+    steps: simulateAhead(hydraulicModel, 86400, FORECAST_STEP).map(res => {
+      const r = res.nodes[node.id];
+      const inflow = network.links.filter(l => l.to === node.id && res.links[l.id])
+        .reduce((s, l) => s + res.links[l.id].outflow, 0);
+      return { time: res.time, level: r.level, demand: r.demand, supplied: r.supplied, inflow, dry: r.dry };
+    }),
+  };
+  renderDemand();
+}
+
+// Clock, live readings and the forecast from the results on screen
+function renderDemand() {
+  const panel = document.getElementById('demand-panel');
+  const node = demandNode();
+  if (!node || panel.classList.contains('hidden') || !viewResults) return;
+  const res = viewResults.nodes[node.id];
+  document.getElementById('demand-clock').textContent = formatTimeOfDay(viewResults.time ?? 0);
+  const slider = document.getElementById('demand-population');
+  if (document.activeElement !== slider) slider.value = node.population;
+  document.getElementById('demand-population-text').textContent = Math.round(node.population).toLocaleString();
+
+  document.getElementById('demand-values').innerHTML = [
+    ['Demand', formatFlow(res.demand)],
+    ['Tank Inlet', formatFlow(tankInflow(node.id))],
+    ['Tank Outlet', formatFlow(res.supplied)],
+    ['Tank Level', `${res.level.toFixed(2)} / ${network.nodeById[node.id].hydraulics.maxLevel} m`],
+    ['Service', res.dry ? 'Intermittent (tank empty)' : 'Continuous'],
+  ].map(([label, value]) => `<div class="panel-value${label === 'Service' && res.dry ? ' alert' : ''}">`
+    + `<span>${label}</span><b>${value}</b></div>`).join('');
+
+  drawDemandChart();
+  const summary = document.getElementById('demand-summary');
+  if (!demandForecast) {
+    summary.innerHTML = '';
+    return;
+  }
+  const { steps } = demandForecast;
+  const peak = steps.reduce((a, b) => (b.demand > a.demand ? b : a));
+  const lowest = steps.reduce((a, b) => (b.level < a.level ? b : a));
+  const dry = steps.filter(s => s.dry);
+  const unmet = dry.reduce((s, step) => s + (step.demand - step.supplied) * FORECAST_STEP, 0);
+  summary.innerHTML = [
+    ['Forecast From', `${formatTimeOfDay(demandForecast.start)} · ${Math.round(demandForecast.population).toLocaleString()} people`],
+    ['Peak Demand', `${formatFlow(peak.demand)} at ${formatTimeOfDay(peak.time)}`],
+    ['Lowest Level', `${lowest.level.toFixed(2)} m at ${formatTimeOfDay(lowest.time)}`],
+    ['Interrupted', dry.length ? `${(dry.length * FORECAST_STEP / 3600).toFixed(1)} h from ${formatTimeOfDay(dry[0].time)}` : 'Never'],
+    ['Unmet Demand', `${Math.round(unmet).toLocaleString()} m\u00B3`],
+    ['Verdict', dry.length ? 'Storage does not cover the peaks' : 'Storage covers the peaks'],
+  ].map(([label, value]) => `<div class="panel-value${label === 'Verdict' && dry.length ? ' alert' : ''}">`
+    + `<span>${label}</span><b>${value}</b></div>`).join('');
+}
+
+// Demand, tank inflow and supplied flow (m³/s, left) with the tank level
+// (m, right) over the forecast day; hours with dry taps shaded red
+function drawDemandChart() {
+  const canvas = document.getElementById('demand-chart');
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width;
+  const h = canvas.height;
+  ctx.clearRect(0, 0, w, h);
+  if (!demandForecast) return;
+
+  const { steps } = demandForecast;
+  const hyd = network.nodeById[demandNode().id].hydraulics;
+  const pad = { left: 30, right: 26, top: 8, bottom: 20 };
+  const qMax = Math.max(...steps.map(s => Math.max(s.demand, s.inflow)), 0.1) * 1.1;
+  const px = i => pad.left + (i / Math.max(1, steps.length - 1)) * (w - pad.left - pad.right);
+  const pyQ = q => h - pad.bottom - (q / qMax) * (h - pad.top - pad.bottom);
+  const pyL = l => h - pad.bottom - (l / hyd.maxLevel) * (h - pad.top - pad.bottom);
+
+  // Dry taps
+  ctx.fillStyle = 'rgba(255,23,68,0.2)';
+  steps.forEach((s, i) => {
+    if (s.dry) ctx.fillRect(px(i), pad.top, px(1) - px(0), h - pad.top - pad.bottom);
+  });
+
+  // Grid and axis labels: flow left, level right, clock below every 3 h
+  ctx.strokeStyle = 'rgba(255,255,255,0.05)';
+  ctx.lineWidth = 0.5;
+  ctx.font = '8px Inter';
+  ctx.fillStyle = 'rgba(255,255,255,0.5)';
+  for (let k = 0; k <= 4; k++) {
+    const y = pad.top + k / 4 * (h - pad.top - pad.bottom);
+    ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(w - pad.right, y); ctx.stroke();
+    const frac = (h - pad.bottom - y) / (h - pad.top - pad.bottom);
+    ctx.textAlign = 'right';
+    ctx.fillText((frac * qMax).toFixed(1), pad.left - 4, y + 3);
+    ctx.textAlign = 'left';
+    ctx.fillText((frac * hyd.maxLevel).toFixed(1), w - pad.right + 4, y + 3);
+  }
+  ctx.textAlign = 'center';
+  const perHour = 3600 / FORECAST_STEP;
+  for (let i = 0; i < steps.length; i += perHour * 3) {
+    ctx.beginPath(); ctx.moveTo(px(i), pad.top); ctx.lineTo(px(i), h - pad.bottom); ctx.stroke();
+    ctx.fillText(formatTimeOfDay(steps[i].time), px(i), h - pad.bottom + 10);
+  }
+  ctx.textAlign = 'left';
+  ctx.fillText('m\u00B3/s', 2, h - 2);
+  ctx.textAlign = 'right';
+  ctx.fillText('m', w - 2, h - 2);
+
+  // Tank level
+  ctx.beginPath();
+  ctx.moveTo(px(0), h - pad.bottom);
+  steps.forEach((s, i) => ctx.lineTo(px(i), pyL(s.level)));
+  ctx.lineTo(px(steps.length - 1), h - pad.bottom);
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(0,180,216,0.25)';
+  ctx.fill();
+
+  // Outlet level: below it the taps run dry
+  ctx.setLineDash([4, 3]);
+  ctx.strokeStyle = '#FF9100';
+  ctx.lineWidth = 1;
+  ctx.beginPath(); ctx.moveTo(pad.left, pyL(hyd.minLevel ?? 0)); ctx.lineTo(w - pad.right, pyL(hyd.minLevel ?? 0)); ctx.stroke();
+  ctx.setLineDash([]);
+
+  const line = (key, color, width) => {
+    ctx.beginPath();
+    steps.forEach((s, i) => (i === 0 ? ctx.moveTo(px(i), pyQ(s[key])) : ctx.lineTo(px(i), pyQ(s[key]))));
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.stroke();
+  };
+  line('demand', '#FF6B6B', 1.5);
+  line('supplied', '#FFD600', 1);
+  line('inflow', '#00B4D8', 1.5);
+
+  // Now, if the day on screen is inside the forecast
+  const since = (((viewResults?.time ?? demandForecast.start) - demandForecast.start) % 86400 + 86400) % 86400;
+  const i = since / FORECAST_STEP;
+  if (i <= steps.length - 1) {
+    ctx.strokeStyle = 'rgba(255,255,255,0.7)';
+    ctx.beginPath(); ctx.moveTo(px(i), pad.top); ctx.lineTo(px(i), h - pad.bottom); ctx.stroke();
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  NETWORK EDITOR (sketch layouts: place, move, delete, draw pipes)
+// ═══════════════════════════════════════════════════════════
+// What each tool waits for, shown under the tools
+const EDIT_TOOL_HINTS = {
+  move: 'Drag a component across the terrain',
+  place: 'Click the terrain to place the component',
+  pipe: 'Click the component the pipe starts from',
+  delete: 'Click a component or a pipe to delete it',
+};
+
+function setupEditor() {
+  editor.history = createEditHistory(network);
+  recordLayout();
+  document.getElementById('btn-edit').addEventListener('click', () => toggleSidePanel('editor-panel'));
+
+  const typeSelect = document.getElementById('editor-type');
+  Object.keys(NODE_TEMPLATES).filter(type => network.types[type]).forEach(type => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = `${network.types[type].icon} ${type[0].toUpperCase()}${type.slice(1)}`;
+    typeSelect.appendChild(option);
+  });
+  document.getElementById('editor-tools').addEventListener('click', e => {
+    const tool = e.target.closest('[data-tool]')?.dataset.tool;
+    if (tool) setEditTool(tool);
+  });
+  document.getElementById('btn-undo').addEventListener('click', () => undoEdit(false));
+  document.getElementById('btn-redo').addEventListener('click', () => undoEdit(true));
+
+  // The pipe being drawn: a line through its bends, one marker per bend
+  const line = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: CONFIG.colors.pipes, depthTest: false }));
+  const bends = new THREE.Group();
+  editor.preview = { group: new THREE.Group(), line, bends };
+  editor.preview.group.add(line, bends);
+  editor.preview.group.visible = false;
+  scene.add(editor.preview.group);
+
+  // Drag with the move tool; click for the other tools (not the end of an orbit drag)
+  const canvas = renderer.domElement;
+  canvas.addEventListener('pointerdown', e => {
+    if (!editor.active || playback.active || e.button !== 0 || editor.tool !== 'move') return;
+    const { nodeId } = editorPick(e);
+    if (!nodeId) return;
+    const reason = nodeLockReason(network, nodeId, 'move');
+    if (reason) {
+      showEditHint(reason, true);
+      return;
+    }
+    editor.drag = { nodeId, to: null };
+    controls.enabled = false;
+  });
+  canvas.addEventListener('pointermove', e => {
+    if (editor.drag) {
+      const to = terrainPoint(e);
+      if (!to) return;
+      editor.drag.to = to;
+      const node = network.nodeById[editor.drag.nodeId];
+      positionComponent(node, to);
+      showEditHint(`${node.name} → ${describeSpot(to)}`);
+    } else if (editor.pipe) {
+      updatePipePreview(terrainPoint(e));
+    }
+  });
+  canvas.addEventListener('pointerup', () => {
+    if (editor.drag) dropComponent();
+  });
+  onViewClick(e => {
+    if (!editor.active || playback.active) return;
+    const pick = editorPick(e);
+    if (editor.tool === 'place') placeAt(pick.point);
+    else if (editor.tool === 'pipe') drawPipeAt(pick);
+    else if (editor.tool === 'delete') deleteAt(pick);
+  });
+
+  window.addEventListener('keydown', e => {
+    if (!editor.active || e.target.closest?.('input, select, textarea')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'escape' && editor.pipe) {
+      cancelPipe();
+      showEditHint(EDIT_TOOL_HINTS.pipe);
+    } else if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+      e.preventDefault();
+      undoEdit(key === 'y' || e.shiftKey);
+    }
+  });
+  renderEditor();
+}
+
+// Edit mode is on while the editor panel is open
+function setEditMode(active) {
+  if (editor.active === active) return;
+  editor.active = active;
+  if (editor.drag) {
+    positionComponent(network.nodeById[editor.drag.nodeId]);
+    editor.drag = null;
+    controls.enabled = true;
+  }
+  cancelPipe();
+  document.body.classList.toggle('editing', active);
+  showEditHint(EDIT_TOOL_HINTS[editor.tool]);
+}
+
+function setEditTool(tool) {
+  editor.tool = tool;
+  cancelPipe();
+  renderEditor();
+  showEditHint(EDIT_TOOL_HINTS[tool]);
+}
+
+function renderEditor() {
+  document.querySelectorAll('#editor-tools [data-tool]').forEach(b => b.classList.toggle('active', b.dataset.tool === editor.tool));
+  document.getElementById('editor-place').classList.toggle('hidden', editor.tool !== 'place');
+  document.getElementById('btn-undo').disabled = !editor.history.canUndo;
+  document.getElementById('btn-redo').disabled = !editor.history.canRedo;
+}
+
+function showEditHint(text, error = false) {
+  const el = document.getElementById('editor-hint');
+  el.textContent = text;
+  el.classList.toggle('error', error);
+}
+
+// The terrain point under the cursor, snapped to the sampled ground height
+function terrainPoint(e) {
+  rayAt(e);
+  const hit = raycaster.intersectObject(terrain)[0];
+  return hit && new THREE.Vector3(hit.point.x, sampleTerrainHeight(hit.point.x, hit.point.z), hit.point.z);
+}
+
+// What the editor clicked: the component (node id) or pipe (link id) in
+// front, and the terrain point under the cursor
+function editorPick(e) {
+  const point = terrainPoint(e);
+  const hit = raycaster.intersectObjects(Object.values(componentMeshes).filter(Boolean), true)
+    .find(h => isShown(h.object) && !h.object.isPoints);
+  const pick = { point, nodeId: null, linkId: null };
+  // A component behind a hill is out of reach
+  if (!hit || (point && hit.distance > raycaster.ray.origin.distanceTo(point))) return pick;
+  const tip = tooltipOf(hit.object);
+  if (tip?.kind === 'pipe') pick.linkId = tip.linkId;
+  else pick.nodeId = componentKeyOf(hit.object);
+  return pick;
+}
+
+// "6.07912° S, 35.99123° E · 1187 m"
+function describeSpot(point) {
+  const elevation = `${sceneToElevation(network.terrain, point.y).toFixed(0)} m`;
+  if (!network.projection) return elevation;
+  const { lat, lon } = network.projection.toLatLon(point.x, point.z);
+  return `${formatLatLon(lat, lon)} · ${elevation}`;
+}
+
+// Run an edit (a function of the network) through the undo history and
+// rebuild the scene; describe(result) says what it did. False if refused.
+function applyEdit(edit, describe) {
+  let result;
+  try {
+    result = editor.history.apply(edit);
+  } catch (err) {
+    showEditHint(err.message, true);
+    return false;
+  }
+  rebuildNetwork();
+  showEditHint(describe(result));
+  return true;
+}
+
+function undoEdit(redo) {
+  if (playback.active || !(redo ? editor.history.redo() : editor.history.undo())) return;
+  cancelPipe();
+  rebuildNetwork();
+  showEditHint(redo ? 'Redone' : 'Undone');
+}
+
+// Finish a drag: the node moves there, its elevation shifting with the ground
+function dropComponent() {
+  const { nodeId, to } = editor.drag;
+  editor.drag = null;
+  controls.enabled = true;
+  if (!to) return;
+  const node = network.nodeById[nodeId];
+  const from = node.position;
+  const shift = sceneToElevation(network.terrain, to.y) - sceneToElevation(network.terrain, sampleTerrainHeight(from.x, from.z));
+  const moved = applyEdit(net => moveNode(net, nodeId, { x: to.x, z: to.z }, shift), () => `Moved ${node.name} to ${describeSpot(to)}`);
+  if (!moved) positionComponent(node);
+}
+
+function placeAt(point) {
+  if (!point) return;
+  const type = document.getElementById('editor-type').value;
+  applyEdit(net => placeNode(net, type, { x: point.x, z: point.z }, sceneToElevation(network.terrain, point.y)),
+    node => `Placed ${node.name} at ${describeSpot(point)}`);
+}
+
+// First click picks the start, terrain clicks add bends, a component ends it
+function drawPipeAt({ point, nodeId }) {
+  const node = network.nodeById[nodeId];
+  if (!editor.pipe) {
+    if (!node) return;
+    if (!node.hydraulics) {
+      showEditHint(`${node.name} is not part of the hydraulic network`, true);
+      return;
+    }
+    editor.pipe = { from: nodeId, points: [] };
+    showEditHint(`From ${node.name}: click the terrain for bends, then the component it runs to · Esc cancels`);
+  } else if (node && nodeId !== editor.pipe.from) {
+    const { from, points } = editor.pipe;
+    const drawn = applyEdit(net => addPipe(net, from, nodeId, points),
+      link => `Drew ${link.name} · ${(link.hydraulics.length / 1000).toFixed(1)} km`);
+    if (drawn) cancelPipe();
+    return;
+  } else if (!node && point) {
+    editor.pipe.points.push({ x: point.x, z: point.z });
+    const bend = new THREE.Mesh(new THREE.SphereGeometry(0.8, 10, 8), new THREE.MeshBasicMaterial({ color: CONFIG.colors.pipes }));
+    bend.position.copy(point).setY(point.y + 1.5);
+    editor.preview.bends.add(bend);
+  }
+  updatePipePreview(point);
+}
+
+// Line from the start through the bends to the cursor
+function updatePipePreview(cursor) {
+  const { group, line } = editor.preview;
+  if (!editor.pipe) {
+    group.visible = false;
+    return;
+  }
+  const start = network.nodeById[editor.pipe.from];
+  const { x, z } = start.position;
+  const points = [
+    new THREE.Vector3(x, sampleTerrainHeight(x, z) + (start.pipe?.yOff ?? 3), z),
+    ...editor.preview.bends.children.map(b => b.position),
+  ];
+  if (cursor) points.push(cursor.clone().setY(cursor.y + 1.5));
+  line.geometry.dispose();
+  line.geometry = new THREE.BufferGeometry().setFromPoints(points);
+  group.visible = true;
+}
+
+function cancelPipe() {
+  editor.pipe = null;
+  if (!editor.preview) return;
+  editor.preview.bends.children.forEach(b => b.geometry.dispose());
+  editor.preview.bends.clear();
+  updatePipePreview(null);
+}
+
+function deleteAt({ nodeId, linkId }) {
+  if (linkId) {
+    const link = network.linkById[linkId];
+    applyEdit(net => deleteLink(net, linkId), () => `Deleted ${link.name || link.id}`);
+  } else if (nodeId) {
+    const node = network.nodeById[nodeId];
+    if (!node) return;
+    applyEdit(net => deleteNode(net, nodeId),
+      links => `Deleted ${node.name}${links.length ? ` and ${links.length} pipe${links.length > 1 ? 's' : ''}` : ''}`);
+  }
+}
+
+// Node positions the scene now shows
+function recordLayout() {
+  editor.laidOut = Object.fromEntries(network.nodes.map(n => [n.id, { ...n.position }]));
+}
+
+// Bring the scene and the model in line with the network after an edit or
+// undo: components, labels, pipe runs with their pylons, particles and
+// valves, the hydraulic model (state carried over), leaks and the panels
+function rebuildNetwork() {
+  Object.keys(editor.laidOut).filter(id => !network.nodeById[id]).forEach(removeComponent);
+  const moved = [];
+  network.nodes.forEach(node => {
+    const was = editor.laidOut[node.id];
+    if (!was) {
+      addComponent(node);
+      createLabel(node);
+    } else if (was.x !== node.position.x || was.z !== node.position.z) {
+      positionComponent(node);
+      moved.push(node.id);
+    }
+  });
+  recordLayout();
+  if (tankVisual && moved.includes(tankVisual.nodeId)) {
+    tankVisual.group.position.copy(rooftopTankPosition(network.nodeById[tankVisual.nodeId]));
+  }
+
+  Object.keys(pipeRuns).forEach(removePipeRun);
+  createPipeline();
+  Object.values(pipeRuns).forEach(createRunParticles);
+
+  const model = createHydraulicModel(network);
+  transferState(hydraulicModel, model);
+  hydraulicModel = model;
+  demandForecast = null;
+
+  // Leaks on deleted pipes go; the rest follow their pipe
+  Object.keys(leakMarkers).forEach(id => {
+    if (!hydraulicModel.leaks.some(l => l.id === id)) {
+      removeLeakMarker(id);
+      return;
+    }
+    const marker = leakMarkers[id];
+    const origin = pipePoint(marker.loc);
+    marker.spray.userData.origin = origin;
+    marker.puddle.position.set(origin.x, sampleTerrainHeight(origin.x, origin.z) + 0.15, origin.z);
+    marker.isolatedBy = marker.isolatedBy.filter(valveId => hydraulicModel.valves.some(v => v.id === valveId));
+  });
+  Object.values(valveMarkers).forEach(wheel => {
+    scene.remove(wheel);
+    disposeObject(wheel);
+  });
+  valveMarkers = {};
+  if (leakPreview) {
+    createValveMarkers();
+    fillLeakPipes();
+    updateLeakPreview();
+  }
+
+  if (alarmManager) alarmManager.setRules(network.alarms.rules);
+  createSidebar();
+  retraceProfile();
+  runHydraulics();
+  renderIncidents();
+  renderEditor();
+}
+
+function removeComponent(id) {
+  const mesh = componentMeshes[id];
+  if (mesh) {
+    scene.remove(mesh);
+    disposeObject(mesh);
+    delete componentMeshes[id];
+  }
+  if (nightLights[id]) {
+    scene.remove(nightLights[id]);
+    disposeObject(nightLights[id]);
+    delete nightLights[id];
+  }
+  if (labels3D[id]) {
+    scene.remove(labels3D[id]);
+    delete labels3D[id];
+  }
+  if (hoveredKey === id) setHovered(null);
+  if (activeInfoKey === id) {
+    activeInfoKey = null;
+    document.getElementById('info-card').classList.add('hidden');
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  PROJECT (save and open the working state, notes on the terrain)
+// ═══════════════════════════════════════════════════════════
+const BALANCE_INPUTS = ['start', 'end', 'level', 'abstraction'];  // Water balance form fields a project keeps
+
+function setupProject() {
+  document.getElementById('btn-project').addEventListener('click', () => toggleSidePanel('project-panel'));
+  document.getElementById('btn-project-save').addEventListener('click', saveProject);
+  document.getElementById('project-file').addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text()
+      .then(text => {
+        loadProject(parseProject(text, network.name));
+        showProjectStatus(`Opened ${file.name}`);
+      })
+      .catch(err => showProjectStatus(err.message, true));
+    e.target.value = '';
+  });
+
+  // Type a note, press Pin, then click the terrain where it belongs
+  const text = document.getElementById('note-text');
+  document.getElementById('btn-pin-note').addEventListener('click', () => {
+    if (pinningNote === null && !text.value.trim()) {
+      text.focus();
+      return;
+    }
+    setPinning(pinningNote === null ? text.value.trim() : null);
+  });
+  document.getElementById('note-list').addEventListener('click', e => {
+    const id = e.target.closest('[data-note]')?.dataset.note;
+    const note = annotations.find(n => n.id === id);
+    if (!note) return;
+    if (e.target.closest('[data-action=remove]')) {
+      removeNote(id);
+      renderNotes();
+    } else {
+      const p = note.label.position;
+      animateCamera(new THREE.Vector3(p.x + 25, p.y + 35, p.z + 45), p.clone(), 1200);
+    }
+  });
+  onViewClick(e => {
+    if (pinningNote === null) return;
+    const point = terrainPoint(e);
+    if (!point) return;
+    addNote({ text: pinningNote, position: { x: point.x, z: point.z } });
+    text.value = '';
+    setPinning(null);
+  });
+  renderNotes();
+}
+
+function showProjectStatus(text, error = false) {
+  const el = document.getElementById('project-status');
+  el.textContent = text;
+  el.classList.toggle('error', error);
+}
+
+// Text of the note the next terrain click pins, or null
+function setPinning(text) {
+  pinningNote = text;
+  document.body.classList.toggle('pinning', text !== null);
+  showProjectStatus(text === null ? '' : 'Click the terrain where the note belongs');
+  renderNotes();
+}
+
+function addNote({ id, text, position }) {
+  const { x, z } = position;
+  const el = document.createElement('div');
+  el.className = 'label-3d note-label';
+  el.textContent = text;
+  const label = new CSS2DObject(el);
+  label.position.set(x, sampleTerrainHeight(x, z) + 4, z);
+  scene.add(label);
+  const note = { id: id || `N${++noteCounter}`, text, position: { x, z }, label };
+  annotations.push(note);
+  renderNotes();
+  return note;
+}
+
+function removeNote(id) {
+  const note = annotations.find(n => n.id === id);
+  scene.remove(note.label);
+  annotations = annotations.filter(n => n !== note);
+}
+
+function renderNotes() {
+  document.getElementById('btn-pin-note').textContent = pinningNote === null ? 'Pin' : 'Cancel';
+  const list = document.getElementById('note-list');
+  list.innerHTML = annotations.length ? '' : '<div class="quality-ok">No notes pinned</div>';
+  annotations.forEach(note => {
+    const item = document.createElement('div');
+    item.className = 'note-item';
+    item.dataset.note = note.id;
+    item.title = 'Fly to the note';
+    item.innerHTML = '<span></span><button class="pump-trip" data-action="remove" title="Remove the note">&#x2715;</button>';
+    item.querySelector('span').textContent = note.text;
+    list.appendChild(item);
+  });
+}
+
+// Download the layout, the running scenario, the view and the notes
+function saveProject() {
+  const project = createProject(network.name, {
+    layout: captureLayout(network),
+    scenario: captureScenario(),
+    view: captureView(),
+    annotations: annotations.map(({ id, text, position }) => ({ id, text, position })),
+  });
+  const url = URL.createObjectURL(new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = projectFileName(network.name);
+  a.click();
+  URL.revokeObjectURL(url);
+  showProjectStatus(`Saved ${a.download}`);
+}
+
+// What the operator has set up: model state, leaks with their markers,
+// treatment settings and the water balance period
+function captureScenario() {
+  return {
+    model: captureState(hydraulicModel),
+    leaks: Object.entries(leakMarkers).map(([id, m]) => ({ id, loc: m.loc, severity: m.severity, isolatedBy: m.isolatedBy, volume: m.volume })),
+    treatment: treatmentPlant && {
+      rawTurbidity: treatmentPlant.rawTurbidity,
+      stages: Object.fromEntries(treatmentPlant.stages.map(s => [s.id, { dose: s.dose, failed: s.failed }])),
+    },
+    balance: Object.fromEntries(BALANCE_INPUTS.map(key => [key, document.getElementById(`balance-${key}`).value])),
+  };
+}
+
+function captureView() {
+  const infoOpen = !document.getElementById('info-card').classList.contains('hidden');
+  return {
+    selected: infoOpen ? activeInfoKey : null,
+    camera: camera.position.toArray(),
+    target: controls.target.toArray(),
+    flow: flowActive,
+    labels: labelsVisible,
+    hgl: gradeLinesVisible,
+    night: isNight,
+    time: timeOfDay,
+    flowColors: flowColorMode,
+  };
+}
+
+// Open a parsed project: the layout goes through the edit history (so
+// Undo takes it back), then the scenario, the view and the notes follow
+function loadProject(project) {
+  if (playback.active) goLive();
+  cancelPipe();
+  // loadLayout checks ids, positions and text; the hydraulic model checks
+  // the rest. Build it from a copy first so a layout it rejects leaves the
+  // network, the scene and the history as they were.
+  const candidate = { ...network, alarms: network.alarms && { ...network.alarms } };
+  loadLayout(candidate, project.layout);
+  createHydraulicModel(candidate);
+  editor.history.apply(net => loadLayout(net, project.layout));
+  rebuildNetwork();
+  restoreScenario(project.scenario);
+  applyView(project.view);
+  annotations.map(n => n.id).forEach(removeNote);
+  noteCounter = 0;
+  project.annotations.forEach(note => {
+    if (typeof note.text !== 'string' || !Number.isFinite(note.position?.x) || !Number.isFinite(note.position?.z)) return;
+    addNote(note);
+    noteCounter = Math.max(noteCounter, Number(String(note.id).slice(1)) || 0);
+  });
+  renderNotes();
+}
+
+function restoreScenario({ model, leaks = [], treatment, balance }) {
+  Object.keys(leakMarkers).forEach(removeLeakMarker);
+  if (model) restoreState(hydraulicModel, model);
+  // A leak needs its marker and a spot on its pipe; model leaks without either go
+  const onPipe = loc => Object.hasOwn(pipeRuns, loc?.linkId) && Number.isFinite(loc.position) && loc.position >= 0 && loc.position <= 1;
+  leaks.filter(l => hydraulicModel.leaks.some(k => k.id === l.id) && onPipe(l.loc)).forEach(l => {
+    const isolatedBy = (l.isolatedBy || []).filter(valveId => hydraulicModel.valves.some(v => v.id === valveId));
+    leakMarkers[l.id] = { loc: l.loc, severity: l.severity, isolatedBy, volume: l.volume || 0, ...createLeakSpray(l.loc) };
+    leakCounter = Math.max(leakCounter, Number(l.id.slice(1)) || 0);
+  });
+  hydraulicModel.leaks = hydraulicModel.leaks.filter(l => leakMarkers[l.id]);
+
+  if (treatment && treatmentPlant) {
+    if (treatment.rawTurbidity !== undefined) setRawTurbidity(treatmentPlant, treatment.rawTurbidity);
+    treatmentPlant.stages.forEach(stage => {
+      const saved = treatment.stages?.[stage.id];
+      if (!saved) return;
+      if (stage.dose !== undefined && saved.dose !== undefined) setStageDose(treatmentPlant, stage.id, saved.dose);
+      failStage(treatmentPlant, stage.id, saved.failed);
+    });
+  }
+  if (balance) {
+    BALANCE_INPUTS.forEach(key => {
+      if (balance[key] !== undefined) document.getElementById(`balance-${key}`).value = balance[key];
+    });
+  }
+  demandForecast = null;
+  runHydraulics();
+  renderIncidents();
+}
+
+// Without a camera, a selected component is flown to
+function applyView({ selected, camera: position, target, flow, labels, hgl, night, time, flowColors }) {
+  const vector = a => (Array.isArray(a) && a.length === 3 && a.every(Number.isFinite) ? new THREE.Vector3(...a) : null);
+  const placed = vector(position) && vector(target);
+  if (placed) animateCamera(vector(position), vector(target), 1200);
+  // Own keys only: a link can say "#view=constructor"
+  if (Object.hasOwn(network.nodeById, selected)) selectComponent(selected, !placed);
+  if (typeof flow === 'boolean') setFlowActive(flow);
+  if (typeof labels === 'boolean') setLabelsVisible(labels);
+  if (typeof hgl === 'boolean') setGradeLinesVisible(hgl);
+  if (Number.isFinite(time)) setTimeOfDay(time);
+  else if (typeof night === 'boolean') setNight(night);
+  if (network.quality && (flowColors === 'section' || Object.hasOwn(QUALITY_SCALES, flowColors))) setFlowColorMode(flowColors);
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  VIEW LINKS (deep links to a view, named bookmarks)
+// ═══════════════════════════════════════════════════════════
+// Bookmarks are kept in this browser, per network
+function bookmarkKey() {
+  return `water-grid-bookmarks:${network.name}`;
+}
+
+function setupViewLinks() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(bookmarkKey()));
+    bookmarks = Array.isArray(stored) ? stored.filter(b => typeof b?.name === 'string' && typeof b.hash === 'string') : [];
+  } catch {
+    bookmarks = [];
+  }
+  document.getElementById('btn-copy-link').addEventListener('click', copyViewLink);
+  document.getElementById('btn-bookmark').addEventListener('click', addBookmark);
+  document.getElementById('bookmark-name').addEventListener('keydown', e => {
+    if (e.key === 'Enter') addBookmark();
+  });
+  document.getElementById('bookmark-list').addEventListener('click', e => {
+    const index = Number(e.target.closest('[data-bookmark]')?.dataset.bookmark);
+    const bookmark = bookmarks[index];
+    if (!bookmark) return;
+    if (e.target.closest('[data-action=remove]')) {
+      bookmarks.splice(index, 1);
+      storeBookmarks();
+    } else {
+      history.replaceState(null, '', bookmark.hash);
+      openViewHash(bookmark.hash);
+    }
+  });
+  // Links opened or pasted into the address bar
+  window.addEventListener('hashchange', () => openViewHash(window.location.hash));
+  if (window.location.hash) openViewHash(window.location.hash);
+  renderBookmarks();
+}
+
+function openViewHash(hash) {
+  const view = parseViewHash(hash);
+  if (!view) return;
+  if (view.selected && !Object.hasOwn(network.nodeById, view.selected)) {
+    showBookmarkStatus(`No component "${view.selected}" in this network`, true);
+  }
+  applyView(view);
+}
+
+// Put the current view in the address bar and on the clipboard
+function copyViewLink() {
+  history.replaceState(null, '', formatViewHash(captureView()));
+  const url = window.location.href;
+  if (!navigator.clipboard) {
+    showBookmarkStatus(url);
+    return;
+  }
+  navigator.clipboard.writeText(url)
+    .then(() => showBookmarkStatus('Link to this view copied'))
+    .catch(() => showBookmarkStatus(url));
+}
+
+function addBookmark() {
+  const input = document.getElementById('bookmark-name');
+  const view = captureView();
+  const name = input.value.trim() || network.nodeById[view.selected]?.shortName || `View ${bookmarks.length + 1}`;
+  bookmarks.push({ name, hash: formatViewHash(view) });
+  input.value = '';
+  storeBookmarks();
+  showBookmarkStatus(`Saved "${name}"`);
+}
+
+function storeBookmarks() {
+  try {
+    localStorage.setItem(bookmarkKey(), JSON.stringify(bookmarks));
+  } catch (err) {
+    showBookmarkStatus(`Bookmarks not kept: ${err.message}`, true);
+  }
+  renderBookmarks();
+}
+
+function showBookmarkStatus(text, error = false) {
+  const el = document.getElementById('bookmark-status');
+  el.textContent = text;
+  el.classList.toggle('error', error);
+}
+
+function renderBookmarks() {
+  const list = document.getElementById('bookmark-list');
+  list.innerHTML = '';
+  bookmarks.forEach((bookmark, i) => {
+    const item = document.createElement('div');
+    item.className = 'note-item bookmark-item';
+    item.dataset.bookmark = i;
+    item.title = 'Go to this view';
+    item.innerHTML = '<span></span><button class="pump-trip" data-action="remove" title="Remove the bookmark">&#x2715;</button>';
+    item.querySelector('span').textContent = bookmark.name;
+    list.appendChild(item);
+  });
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  PLAYBACK (recorded history and timeline)
+// ═══════════════════════════════════════════════════════════
+function setupPlayback() {
+  recorder = createRecorder({ capacity: CONFIG.playback.capacity });
+  recordFrame();
+
+  const speed = document.getElementById('playback-speed');
+  CONFIG.playback.speeds.forEach(s => {
+    const opt = document.createElement('option');
+    opt.value = s;
+    opt.textContent = `${s}×`;
+    speed.appendChild(opt);
+  });
+  speed.value = playback.speed;
+  speed.addEventListener('change', () => { playback.speed = Number(speed.value); });
+
+  document.getElementById('btn-play').addEventListener('click', () => {
+    if (!playback.active) enterPlayback(recorder.start);
+    playback.playing = !playback.playing;
+    updateTimeline();
+  });
+  document.getElementById('btn-live').addEventListener('click', goLive);
+
+  const slider = document.getElementById('timeline-slider');
+  slider.addEventListener('pointerdown', () => { playback.scrubbing = true; });
+  slider.addEventListener('pointerup', () => { playback.scrubbing = false; });
+  slider.addEventListener('input', () => {
+    const time = recorder.start + (recorder.end - recorder.start) * Number(slider.value) / 1000;
+    if (!playback.active) enterPlayback(time);
+    seekPlayback(time);
+  });
+  updateTimeline();
+}
+
+function recordFrame() {
+  const telemetry = {};
+  if (telemetryFeed) Object.entries(telemetryFeed.values).forEach(([tag, r]) => { telemetry[tag] = r.value; });
+  recorder.record({
+    time: Date.now(),
+    results: hydraulicResults,
+    telemetry,
+    alarms: alarmManager ? alarmManager.visible().map(a => ({ ...a })) : [],
+  });
+}
+
+function enterPlayback(time) {
+  playback.active = true;
+  playback.playing = false;
+  document.body.classList.add('playback');
+  seekPlayback(time);
+}
+
+function seekPlayback(time) {
+  playback.time = Math.max(recorder.start, Math.min(recorder.end, time));
+  const frame = recorder.at(playback.time);
+  if (frame !== playbackFrame) {
+    playbackFrame = frame;
+    showState(frame.results);
+  }
+  updateTimeline();
+}
+
+function goLive() {
+  playback.active = false;
+  playback.playing = false;
+  playbackFrame = null;
+  document.body.classList.remove('playback');
+  showState(hydraulicResults);
+  updateTimeline();
+}
+
+// Re-render everything that depends on the state on screen
+function showState(results) {
+  viewResults = results;
+  applyHydraulicsToFlow();
+  applyQualityToFlow();
+  renderTooltip();
+  renderPumps();
+  renderDam();
+  renderProcess();
+  renderQuality();
+  renderTank();
+  renderDemand();
+  drawElevationProfile();
+  updateGradeLines();
+  Object.keys(labels3D).forEach(updateLiveLabel);
+  if (alarmManager) renderAlarms();
+  infoCardDirty = true;
+}
+
+// Record on a fixed cadence and advance playback by the chosen speed
+function updatePlayback(delta) {
+  recordClock += delta;
+  if (recordClock >= CONFIG.playback.interval) {
+    recordClock = 0;
+    recordFrame();
+    if (!playback.active) updateTimeline();
+  }
+  if (playback.active && playback.playing && !playback.scrubbing) {
+    const time = playback.time + delta * 1000 * playback.speed;
+    if (time >= recorder.end) goLive();
+    else seekPlayback(time);
+  }
+}
+
+function formatClock(ms) {
+  const s = Math.round(ms / 1000);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = n => String(n).padStart(2, '0');
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+function updateTimeline() {
+  const span = recorder.end - recorder.start;
+  const slider = document.getElementById('timeline-slider');
+  if (!playback.scrubbing) {
+    slider.value = playback.active && span > 0 ? Math.round((playback.time - recorder.start) / span * 1000) : 1000;
+  }
+  document.getElementById('btn-play').innerHTML = playback.playing ? '&#x275A;&#x275A;' : '&#x25B6;';
+  document.getElementById('btn-live').classList.toggle('active', !playback.active);
+  document.getElementById('timeline-time').textContent = playback.active
+    ? `${new Date(playback.time).toLocaleTimeString([], { hour12: false })} · −${formatClock(recorder.end - playback.time)}`
+    : `Live · ${formatClock(span)} recorded`;
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  GUIDED TOURS (scripted steps with captions, see tour.js)
+// ═══════════════════════════════════════════════════════════
+const TOUR_LAYER_SETTERS = { flow: on => setFlowActive(on), labels: on => setLabelsVisible(on), hgl: on => setGradeLinesVisible(on) };
+
+function setupTours() {
+  tours = (network.tours || []).flatMap(tour => {
+    try {
+      return [checkTour(tour, network)];
+    } catch (err) {
+      console.warn(`${err.message} — tour left out`);
+      return [];
+    }
+  });
+  if (!tours.length) tours = [checkTour(componentTour(network), network)];
+  const select = document.getElementById('tour-select');
+  select.replaceChildren(...tours.map(t => new Option(`${t.title}${t.audience ? ` · ${t.audience}` : ''}`, t.id)));
+  select.classList.toggle('hidden', tours.length < 2);
+
+  document.getElementById('btn-tour').addEventListener('click', () => startTour(select.value));
+  document.getElementById('tour-prev').addEventListener('click', () => tourPlayer?.previous());
+  document.getElementById('tour-play').addEventListener('click', () => tourPlayer?.toggle());
+  document.getElementById('tour-next').addEventListener('click', () => tourPlayer?.next());
+  document.getElementById('tour-exit').addEventListener('click', () => tourPlayer?.exit());
+  window.addEventListener('keydown', e => {
+    if (!tourPlayer || e.target.closest?.('input, select, textarea')) return;
+    const command = { ' ': 'toggle', ArrowRight: 'next', ArrowLeft: 'previous', Escape: 'exit' }[e.key];
+    if (!command) return;
+    e.preventDefault();
+    tourPlayer[command]();
+  });
+}
+
+function startTour(id) {
+  if (tourPlayer) return;
+  stopFollow();
+  const tour = tours.find(t => t.id === id) || tours[0];
+  tourStart = { scenario: captureScenario(), view: captureView() };
+  tourPlayer = createTourPlayer(tour, {
+    onStep: (step, index, from) => showTourStep(tour, index, from),
+    onChange: renderTourPlayer,
+    onEnd: endTour,
+  });
+  document.getElementById('btn-tour').disabled = true;
+  document.getElementById('tour-title').textContent = tour.title;
+  document.getElementById('tour-player').classList.remove('hidden');
+  tourPlayer.play();
+}
 
-  // Update controls
-  controls.update();
+// Going back (or restarting a step) replays the actions from the start,
+// so each step shows the scenario its script leads up to
+function showTourStep(tour, index, from) {
+  const step = tour.steps[index];
+  const acted = s => s.actions.length > 0;
+  const replay = index <= from && tour.steps.slice(0, from + 1).some(acted);
+  if (replay) {
+    restoreScenario(tourStart.scenario);
+    applyView(tourLayers(tourStart.view));
+    tour.steps.slice(0, index).forEach(s => s.actions.forEach(applyTourAction));
+  }
+  step.actions.forEach(applyTourAction);
+  if (replay || acted(step)) runHydraulics();
+
+  if (step.camera) animateCamera(new THREE.Vector3(...step.camera), new THREE.Vector3(...step.target), 1500);
+  if (step.focus) {
+    selectComponent(step.focus, !step.camera);
+  } else {
+    document.getElementById('info-card').classList.add('hidden');
+    document.querySelectorAll('.component-btn').forEach(b => b.classList.remove('active'));
+  }
+  setTourHighlight(step.highlight);
+}
+
+function tourLayers({ flow, labels, hgl, night, time }) {
+  return { flow, labels, hgl, night, time };
+}
+
+function applyTourAction(action) {
+  try {
+    if ('pump' in action) {
+      if (action.command === 'trip') tripPump(hydraulicModel, pumpLinkId, action.pump, 'Fault (simulated)');
+      else if (action.command === 'reset') resetPump(hydraulicModel, pumpLinkId, action.pump);
+      else setPumpUnit(hydraulicModel, pumpLinkId, action.pump, { on: action.command === 'start' });
+    } else if ('valve' in action) {
+      setValve(hydraulicModel, action.valve, action.closed !== false);
+    } else if ('gate' in action) {
+      setGate(hydraulicModel, action.gate, action.opening);
+    } else if ('layer' in action) {
+      TOUR_LAYER_SETTERS[action.layer](action.on !== false);
+    } else if ('night' in action) {
+      setNight(!!action.night);
+    } else if ('time' in action) {
+      setTimeOfDay(action.time);
+    }
+  } catch (err) {
+    console.warn(`Tour action ${JSON.stringify(action)}: ${err.message}`);
+  }
+}
+
+// Components the step points out glow until the next step
+function setTourHighlight(keys) {
+  const previous = tourHighlight;
+  tourHighlight = new Set(keys);
+  new Set([...previous, ...tourHighlight]).forEach(restoreGlow);
+}
+
+// The scenario and layers go back to how they were before the tour
+function endTour() {
+  const { tour } = tourPlayer;
+  setTourHighlight([]);
+  if (tour.steps.some(s => s.actions.length)) {
+    restoreScenario(tourStart.scenario);
+    applyView(tourLayers(tourStart.view));
+  }
+  tourPlayer = null;
+  tourStart = null;
+  animateCamera(new THREE.Vector3(0, 120, 200), new THREE.Vector3(0, 5, 15), 1500);
+  document.getElementById('info-card').classList.add('hidden');
+  document.querySelectorAll('.component-btn').forEach(b => b.classList.remove('active'));
+  document.getElementById('tour-player').classList.add('hidden');
+  document.getElementById('btn-tour').disabled = false;
+}
+
+function renderTourPlayer() {
+  if (!tourPlayer) return;
+  const { index, count, playing } = tourPlayer.state();
+  const step = tourPlayer.tour.steps[index];
+  document.getElementById('tour-caption').textContent = step?.caption || '';
+  document.getElementById('tour-text').textContent = step?.text || '';
+  document.getElementById('tour-step').textContent = `${index + 1} / ${count}`;
+  document.getElementById('tour-play').innerHTML = playing ? '&#x275A;&#x275A;' : '&#x25B6;';
+  updateTourProgress();
+}
+
+function updateTourProgress() {
+  document.getElementById('tour-progress-bar').style.width = `${tourPlayer.state().progress * 100}%`;
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  FOLLOW THE WATER (camera flight along the profile route)
+// ═══════════════════════════════════════════════════════════
+const SECTION_NAMES = { intake: 'Intake', canal: 'Open canal', gravity: 'Gravity main', pumped: 'Pumped main' };
+
+function setupFollow() {
+  document.getElementById('btn-follow').addEventListener('click', () => (follow ? stopFollow() : startFollow()));
+  window.addEventListener('keydown', e => {
+    if (follow && e.key === 'Escape') stopFollow();
+  });
+}
+
+// Fly from the first node to the end of the elevation profile
+function startFollow() {
+  tourPlayer?.exit();
+  const route = traceProfile();
+  if (route.samples.length < 2) return;
+  const start = routeAt(route, 0).point;
+  follow = {
+    route,
+    chainage: 0,
+    home: { camera: camera.position.clone(), target: controls.target.clone() },
+    eye: start.clone().add(new THREE.Vector3(0, CONFIG.follow.height * 4, 0)),
+    look: start.clone(),
+  };
+  controls.enabled = false;
+  setFollowButton(true);
+  document.getElementById('follow-hud').classList.remove('hidden');
+}
+
+// Back to where the camera was before the flight
+function stopFollow() {
+  if (!follow) return;
+  const { home } = follow;
+  follow = null;
+  controls.enabled = true;
+  animateCamera(home.camera, home.target, 1500);
+  setFollowButton(false);
+  document.getElementById('follow-hud').classList.add('hidden');
+}
+
+function setFollowButton(on) {
+  const btn = document.getElementById('btn-follow');
+  btn.classList.toggle('active', on);
+  btn.innerHTML = on ? '<span>&#x23F9;</span> Stop Following' : '<span>&#x1F4A7;</span> Follow the Water';
+}
+
+// The route between the samples either side of a chainage: { point,
+// elevation, link, position }
+function routeAt(route, chainage) {
+  const { samples } = route;
+  let i = samples.findIndex(s => s.chainage >= chainage);
+  if (i <= 0) i = i < 0 ? samples.length - 1 : 1;
+  const a = samples[i - 1];
+  const b = samples[i];
+  const f = b.chainage > a.chainage ? Math.max(0, Math.min(1, (chainage - a.chainage) / (b.chainage - a.chainage))) : 0;
+  const level = s => s.invert ?? s.ground;
+  return {
+    point: a.point.clone().lerp(b.point, f),
+    elevation: level(a) + (level(b) - level(a)) * f,
+    link: a.link,
+    position: a.link === b.link ? a.position + (b.position - a.position) * f : a.position,
+  };
+}
+
+// Advance at the (sped up) velocity of the water where the camera is,
+// slowing through the components, and trail it looking down the route
+function updateFollow(delta) {
+  if (!follow) return;
+  const { speedup, minVelocity, easeDistance, easeSpeed, height, behind, lookAhead } = CONFIG.follow;
+  const { route } = follow;
+  const here = routeAt(route, follow.chainage);
+  const res = viewResults?.links[here.link.id];
+  const sec = res && sectionAt(res, here.position);
+  const velocity = sec && sec.status !== 'closed' ? Math.abs(sec.velocity) : 0;
+  const near = Math.min(...route.stops.map(s => Math.abs(s.chainage - follow.chainage)));
+  const t = Math.min(1, near / easeDistance);
+  const ease = easeSpeed + (1 - easeSpeed) * t * t * (3 - 2 * t);
+  follow.chainage += Math.max(minVelocity, velocity) * speedup * ease * delta;
+  if (follow.chainage >= route.length) {
+    stopFollow();
+    return;
+  }
+
+  const eye = routeAt(route, follow.chainage - behind).point;
+  eye.y = Math.max(eye.y, sampleTerrainHeight(eye.x, eye.z)) + height;
+  const look = routeAt(route, follow.chainage + lookAhead).point;
+  const smooth = 1 - Math.exp(-delta * 3);
+  follow.eye.lerp(eye, smooth);
+  follow.look.lerp(look, smooth);
+  camera.position.copy(follow.eye);
+  controls.target.copy(follow.look);
+  camera.lookAt(follow.look);
+
+  const next = route.stops.find(s => s.chainage > follow.chainage);
+  document.getElementById('follow-chainage').textContent = `${(follow.chainage / 1000).toFixed(2)} km`;
+  document.getElementById('follow-elevation').textContent = `${here.elevation.toFixed(0)} m`;
+  document.getElementById('follow-section').textContent = SECTION_NAMES[here.link.kind] || here.link.kind || '—';
+  document.getElementById('follow-velocity').textContent = `${velocity.toFixed(2)} m/s`;
+  document.getElementById('follow-next').textContent = next
+    ? `${next.node.shortName || next.node.name} in ${((next.chainage - follow.chainage) / 1000).toFixed(1)} km`
+    : '—';
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  ANIMATION LOOP
+// ═══════════════════════════════════════════════════════════
+function animate() {
+  requestAnimationFrame(animate);
+
+  const delta = clock.getDelta();
+  const elapsed = clock.getElapsedTime();
+
+  // Update controls (the water flight steers the camera itself)
+  if (!follow) controls.update();
+  updateHover();
+  updateCursorReadout();
+  if (alarmManager) {
+    alarmManager.tick();
+    updateAlarmGlow(elapsed);
+  }
+  if (infoCardDirty) {
+    infoCardDirty = false;
+    if (activeInfoKey && !document.getElementById('info-card').classList.contains('hidden')) {
+      showInfoCard(activeInfoKey);
+    }
+  }
 
   // Animate water flow particles
-  if (flowActive && pipelinePath) {
+  if (flowActive) {
     flowParticles.forEach(fp => {
+      const run = pipeRuns[fp.linkId];
       const positions = fp.mesh.geometry.attributes.position;
+      const sizes = fp.mesh.geometry.attributes.size;
       const count = positions.count;
       for (let i = 0; i < count; i++) {
-        fp.offsets[i] += fp.speed * delta;
+        // Speed and density follow the hydraulic results of the section the particle is in
+        const sec = runSectionAt(run, fp.offsets[i]);
+        fp.offsets[i] += (sec ? sec.speed : fp.speed) * delta;
         if (fp.offsets[i] > 1) fp.offsets[i] -= 1;
+        if (fp.offsets[i] < 0) fp.offsets[i] += 1;
+        if (sec) sizes.setX(i, i / count < sec.density ? fp.baseSizes[i] : 0);
 
-        const t = fp.offsets[i];
-        const p = pipelinePath.getPoint(t);
+        const u = fp.offsets[i];
+        if (run.qualityColors) setQualityColor(fp, run, i, u, elapsed);
+        const p = run.curve.getPointAt(u);
         // Add slight wavering
         const wave = Math.sin(elapsed * 3 + i * 0.1) * 0.3;
         positions.setXYZ(i, p.x + wave, p.y + wave * 0.5, p.z + wave);
       }
       positions.needsUpdate = true;
+      sizes.needsUpdate = true;
+      if (run.qualityColors) fp.mesh.geometry.attributes.color.needsUpdate = true;
       fp.mesh.material.uniforms.uTime.value = elapsed;
     });
   }
 
+  // Step tank levels on a simulated clock and re-solve
+  hydraulicClock += delta;
+  if (hydraulicModel && hydraulicClock >= CONFIG.hydraulics.interval) {
+    hydraulicClock = 0;
+    stepTanks(hydraulicModel, hydraulicResults, CONFIG.hydraulics.timeStep);
+    accumulateLeakage(CONFIG.hydraulics.timeStep);
+    runHydraulics();
+  }
+  updateLeakSprays(delta);
+  updatePumpMotors(delta, elapsed);
+  updateDamVisuals(elapsed);
+  updateProcessView(delta, elapsed);
+  updateTankVisual(delta);
+  updateBalancePlayback(delta);
+  updatePlayback(delta);
+  if (tourPlayer) {
+    tourPlayer.tick(delta);
+    if (tourPlayer) updateTourProgress();
+  }
+  updateFollow(delta);
+
   // Animate lake water
   if (lakeWater) {
-    lakeWater.position.y = 1.5 + Math.sin(elapsed * 0.5) * 0.15;
+    lakeWater.position.y = 1.5 + lakeLevelOffset() + Math.sin(elapsed * 0.5) * 0.15;
     lakeWater.material.opacity = 0.75 + Math.sin(elapsed * 0.8) * 0.05;
+    updateShoreline();
   }
 
   // Sway trees in the wind
@@ -1689,6 +6121,7 @@ function onResize() {
   camera.updateProjectionMatrix();
   renderer.setSize(w, h);
   labelRenderer.setSize(w, h);
+  if (!document.getElementById('profile-panel').classList.contains('hidden')) setProfilePanel(true);
 }
 
 
@@ -1698,6 +6131,7 @@ function onResize() {
 function addVegetation() {
   const trunkMat = new THREE.MeshStandardMaterial({ color: 0x5C4033, roughness: 0.9 });
   const leafColors = [0x228B22, 0x2E8B57, 0x3CB371, 0x006400, 0x32CD32];
+  const lake = findNodeByType(network, 'lake');
 
   for (let i = 0; i < 150; i++) {
     const x = (Math.random() - 0.5) * CONFIG.terrain.width * 0.9;
@@ -1705,13 +6139,13 @@ function addVegetation() {
     const y = sampleTerrainHeight(x, z);
 
     // Skip if in lake (bigger radius now), canal, or too low
-    const distLake = Math.sqrt((x - CONFIG.positions.lake.x) ** 2 + (z - CONFIG.positions.lake.z) ** 2);
-    if (distLake < 68) continue;  // larger exclusion for bigger lake + beach
+    const distLake = lake ? Math.sqrt((x - lake.position.x) ** 2 + (z - lake.position.z) ** 2) : Infinity;
+    if (lake && distLake < lake.radius + 13) continue;  // larger exclusion for bigger lake + beach
     if (y < 1) continue;
 
     // Skip if too close to infrastructure
     let tooClose = false;
-    Object.values(CONFIG.positions).forEach(p => {
+    network.nodes.forEach(({ position: p }) => {
       if (Math.sqrt((x - p.x) ** 2 + (z - p.z) ** 2) < 18) tooClose = true;
     });
     if (tooClose) continue;
@@ -1757,14 +6191,15 @@ function addVegetation() {
 function addDecorations() {
   // Rocks scattered around
   const rockMat = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.9, flatShading: true });
+  const lake = findNodeByType(network, 'lake');
   for (let i = 0; i < 60; i++) {
     const x = (Math.random() - 0.5) * CONFIG.terrain.width * 0.85;
     const z = (Math.random() - 0.5) * CONFIG.terrain.depth * 0.85;
     const y = sampleTerrainHeight(x, z);
     if (y < 1) continue;
 
-    const distLake = Math.sqrt((x - CONFIG.positions.lake.x) ** 2 + (z - CONFIG.positions.lake.z) ** 2);
-    if (distLake < 65) continue;  // bigger lake
+    const distLake = lake ? Math.sqrt((x - lake.position.x) ** 2 + (z - lake.position.z) ** 2) : Infinity;
+    if (lake && distLake < lake.radius + 10) continue;  // bigger lake
 
     const rockGeo = new THREE.DodecahedronGeometry(0.5 + Math.random() * 1.5, 0);
     const rock = new THREE.Mesh(rockGeo, rockMat);
@@ -1773,32 +6208,33 @@ function addDecorations() {
     rock.castShadow = true;
     scene.add(rock);
   }
-
-  // Direction arrow markers along pipeline — blue for gravity, orange for pumped
-  if (pipelinePath) {
-    const gravityArrowMat = new THREE.MeshStandardMaterial({ color: 0x00B4D8, emissive: 0x00B4D8, emissiveIntensity: 0.5 });
-    const pumpedArrowMat  = new THREE.MeshStandardMaterial({ color: 0xFF8C00, emissive: 0xFF8C00, emissiveIntensity: 0.5 });
-    for (let t = 0.05; t <= 0.95; t += 0.1) {
-      const pos = pipelinePath.getPoint(t);
-      const tangent = pipelinePath.getTangent(t);
-      const arrowGeo = new THREE.ConeGeometry(0.6, 1.5, 6);
-      // Use orange arrows for pumped (uphill) section, blue for gravity-fed
-      const mat = t >= 0.5 ? pumpedArrowMat : gravityArrowMat;
-      const arrow = new THREE.Mesh(arrowGeo, mat);
-      arrow.position.copy(pos);
-      arrow.position.y += 3;
-      const lookTarget = pos.clone().add(tangent);
-      arrow.lookAt(lookTarget);
-      arrow.rotateX(Math.PI / 2);
-      scene.add(arrow);
-    }
-  }
 }
 
 
 // ═══════════════════════════════════════════════════════════
 //  BOOTSTRAP
 // ═══════════════════════════════════════════════════════════
-init();
-addVegetation();
-addDecorations();
+loadNetwork(NETWORK_URL)
+  .then(async net => {
+    network = net;
+    if (network.terrain?.dem) {
+      updateLoadStatus('Loading elevation model');
+      try {
+        dem = await loadDem(network.terrain.dem, network.terrain);
+      } catch (err) {
+        console.warn(`${err.message} — falling back to the built-in terrain`);
+      }
+    }
+    try {
+      init();
+      addVegetation();
+      addDecorations();
+    } catch (err) {
+      console.error(err);
+      updateLoadStatus(`Could not set up the scene: ${err.message}`);
+    }
+  }, err => {
+    // Fetching, parsing or validating the network definition
+    console.error(err);
+    updateLoadStatus(`Could not load network: ${err.message}`);
+  });
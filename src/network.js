@@ -0,0 +1,148 @@
+// ═══════════════════════════════════════════════════════════
+//  NETWORK DEFINITION
+//  Loads the scheme description (types, nodes, links) that drives
+//  placeholders, labels, sidebar, tour stops and elevation markers.
+//  Accepts plain JSON or a GeoJSON FeatureCollection (Point features
+//  are nodes, LineString features are links).
+// ═══════════════════════════════════════════════════════════
+
+import { createProjection } from './geo.js';
+
+export const DEFAULT_NETWORK_URL = '/data/network.json';
+
+// Fetch and index a network description file
+export async function loadNetwork(url = DEFAULT_NETWORK_URL) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Could not load network "${url}" (HTTP ${res.status})`);
+  }
+  return buildNetwork(await res.json());
+}
+
+// Validate a raw definition and add lookup tables.
+// Node order in the file is the flow order (lake → homes) and is used
+// for the sidebar, the guided tour and the elevation markers.
+export function buildNetwork(def) {
+  if (def?.type === 'FeatureCollection') def = fromGeoJson(def);
+  if (!def || !Array.isArray(def.nodes) || def.nodes.length === 0) {
+    throw new Error('Network definition has no nodes');
+  }
+  const types = def.types || {};
+  const links = def.links || [];
+  const projection = def.projection ? createProjection(def.projection) : null;
+
+  const nodeById = {};
+  def.nodes.forEach(node => {
+    if (!node.id) throw new Error('Network node is missing an "id"');
+    if (nodeById[node.id]) throw new Error(`Duplicate network node "${node.id}"`);
+    if (node.coords) {
+      if (!projection) throw new Error(`Network node "${node.id}" has coords but the network has no projection`);
+      node.position = projection.toScene(node.coords.lat, node.coords.lon);
+    }
+    if (!node.position || !Number.isFinite(node.position.x) || !Number.isFinite(node.position.z)) {
+      throw new Error(`Network node "${node.id}" needs a numeric position {x, z}`);
+    }
+    if (!types[node.type]) throw new Error(`Network node "${node.id}" has unknown type "${node.type}"`);
+    nodeById[node.id] = node;
+  });
+
+  const linkById = {};
+  links.forEach(link => {
+    if (!nodeById[link.from] || !nodeById[link.to]) {
+      throw new Error(`Network link "${link.id}" connects unknown nodes ${link.from} → ${link.to}`);
+    }
+    if (link.component && !nodeById[link.component]) {
+      throw new Error(`Network link "${link.id}" refers to unknown component "${link.component}"`);
+    }
+    if (link.path) {
+      if (!projection) throw new Error(`Network link "${link.id}" has a path but the network has no projection`);
+      link.route = link.path.map(([lon, lat, elevation]) => {
+        const { x, z } = projection.toScene(lat, lon);
+        // Without an elevation the point is dropped onto the terrain later
+        return [x, elevation === undefined ? null : elevationToScene(def.terrain, elevation), z];
+      });
+    }
+    linkById[link.id] = link;
+  });
+
+  (def.gates || []).forEach(gate => {
+    if (gate.component && !nodeById[gate.component]) {
+      throw new Error(`Gate "${gate.id}" refers to unknown component "${gate.component}"`);
+    }
+  });
+
+  (def.alarms?.rules || []).forEach(rule => {
+    if (!nodeById[rule.component]) {
+      throw new Error(`Alarm rule "${rule.id}" refers to unknown component "${rule.component}"`);
+    }
+  });
+
+  return {
+    ...def,
+    name: def.name || 'Water Network',
+    types,
+    nodes: def.nodes,
+    links,
+    nodeById,
+    linkById,
+    projection,
+  };
+}
+
+// Metres above datum → scene height, using the terrain's vertical mapping
+export function elevationToScene(terrain, elevation) {
+  const { baseElevation = 0, verticalScale = 1 } = terrain || {};
+  return (elevation - baseElevation) * verticalScale;
+}
+
+// Scene height → metres above datum
+export function sceneToElevation(terrain, y) {
+  const { baseElevation = 0, verticalScale = 1 } = terrain || {};
+  return baseElevation + y / verticalScale;
+}
+
+// GeoJSON FeatureCollection → plain network definition. Network-wide
+// settings (types, projection, terrain, hydraulics) are foreign members
+// of the collection; feature properties hold the node/link attributes.
+function fromGeoJson(fc) {
+  const { features = [], ...rest } = fc;
+  delete rest.type;
+  const nodes = [];
+  const links = [];
+  features.forEach(feature => {
+    const props = { ...feature.properties, id: feature.id ?? feature.properties?.id };
+    const geom = feature.geometry;
+    if (geom?.type === 'Point') {
+      const [lon, lat] = geom.coordinates;
+      nodes.push({ ...props, coords: { lat, lon } });
+    } else if (geom?.type === 'LineString') {
+      links.push({ ...props, path: geom.coordinates.length >= 2 ? geom.coordinates : undefined });
+    }
+  });
+  return { ...rest, nodes, links };
+}
+
+// First node of a given type (e.g. the lake), or undefined
+export function findNodeByType(network, type) {
+  return network.nodes.find(n => n.type === type);
+}
+
+// Links from one node to another with the fewest hops, either way along
+// them: [{ link, reversed }] in order, or null when they are not connected
+export function findRoute(network, fromId, toId) {
+  const via = { [fromId]: null };   // Node id → the step that reached it
+  const queue = [fromId];
+  while (queue.length && !(toId in via)) {
+    const id = queue.shift();
+    network.links.forEach(link => {
+      const next = link.from === id ? link.to : link.to === id ? link.from : null;
+      if (next === null || next in via) return;
+      via[next] = { link, reversed: link.to === id };
+      queue.push(next);
+    });
+  }
+  if (!(toId in via)) return null;
+  const route = [];
+  for (let id = toId; via[id]; id = via[id].reversed ? via[id].link.to : via[id].link.from) route.unshift(via[id]);
+  return route;
+}
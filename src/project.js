@@ -0,0 +1,55 @@
+// ═══════════════════════════════════════════════════════════
+//  PROJECT FILES
+//  The whole working state in one JSON file: the network layout as
+//  edited (see editor.js), the running scenario, the view and the notes
+//  pinned to the terrain. A project belongs to the network it was saved
+//  from; the terrain, projection and scenery still come from that file.
+// ═══════════════════════════════════════════════════════════
+
+export const PROJECT_FORMAT = 'water-grid-project';
+export const PROJECT_VERSION = 1;
+
+// Wrap the sections of a project for saving. Each is plain data:
+//   layout       captureLayout(network)
+//   scenario     { model: captureState(model), leaks, treatment, balance }
+//   view         { camera, target, flow, labels, hgl, night, time, flowColors }
+//   annotations  [{ id, text, position: { x, z } }]
+export function createProject(networkName, { layout, scenario = {}, view = {}, annotations = [] }) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    network: networkName,
+    saved: new Date().toISOString(),
+    layout,
+    scenario,
+    view,
+    annotations,
+  };
+}
+
+// Project file text → project, checked against the format and the
+// network it is opened on. Missing sections come back empty.
+export function parseProject(text, networkName) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch {
+    throw new Error('Project file is not valid JSON');
+  }
+  if (project?.format !== PROJECT_FORMAT) throw new Error('Not a project file');
+  if (!(project.version <= PROJECT_VERSION)) {
+    throw new Error(`Project file version ${project.version} is newer than this viewer reads`);
+  }
+  if (networkName && project.network !== networkName) {
+    throw new Error(`Project was saved from "${project.network}", not "${networkName}"`);
+  }
+  if (!project.layout) throw new Error('Project file has no network layout');
+  if (project.annotations && !Array.isArray(project.annotations)) throw new Error('Project annotations must be a list');
+  return { scenario: {}, view: {}, annotations: [], ...project };
+}
+
+// "<network-name>-YYYY-MM-DD.json"
+export function projectFileName(networkName, date = new Date()) {
+  const slug = networkName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+  return `${slug}-${date.toISOString().slice(0, 10)}.json`;
+}
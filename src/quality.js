@@ -0,0 +1,169 @@
+// ═══════════════════════════════════════════════════════════
+//  WATER QUALITY
+//  Steady-state transport of free chlorine, turbidity and water age
+//  along the solved network, from the sources downstream:
+//    pipes   chlorine decays first order, k = bulk + 4·wall / D,
+//            over the travel time length / velocity
+//    nodes   inflows mix in proportion to their flow
+//    tanks   a fully mixed volume; the water stays V / Q on average
+//  Turbidity is carried unchanged. Ages are in hours, decay rates per day.
+// ═══════════════════════════════════════════════════════════
+
+import { linkArea } from './hydraulics.js';
+
+const STEPS = 8;          // Points per link section for the profile along it
+const STILL = 1e-6;       // m³/s below which a link counts as stagnant
+
+// Quality of the water at every node and along every link.
+//   sources  { nodeId: { chlorine, turbidity, treated } } where water enters
+//            (reservoirs without an entry supply clean, unchlorinated water)
+//   options  { bulkDecay (1/day), wallDecay (m/day), maxAge (h) }
+// Stagnant water is taken as maxAge old. Returns { nodes: { id: { chlorine,
+// turbidity, age, treated } }, links: { id: { points: [{ position,
+// chlorine, turbidity, age }], treated } } } with link points ordered by
+// position (0 = from end, 1 = to end).
+export function propagateQuality(model, results, sources = {}, { bulkDecay = 0.5, wallDecay = 0, maxAge = 720 } = {}) {
+  const nodes = {};
+  const links = {};
+  const inflows = {};     // node id → [{ flow, quality }] arriving at it
+  const pending = {};     // node id → upstream links not yet traversed
+  model.nodes.forEach(n => { inflows[n.id] = []; pending[n.id] = 0; });
+
+  // Each link carries water from its upstream end, which the flow decides
+  const direction = {};
+  model.links.forEach(link => {
+    const res = results.links[link.id];
+    const q = Math.abs(res.flow) > STILL ? res.flow : res.outflow;
+    direction[link.id] = q < 0 ? -1 : 1;
+    pending[downstream(link, direction[link.id])]++;
+  });
+
+  // Visit nodes once all their upstream links are in (Kahn's order); a
+  // loop of links left over is broken by taking its nodes as they are
+  const queue = model.nodes.filter(n => !pending[n.id]).map(n => n.id);
+  const done = new Set();
+  while (done.size < model.nodes.length) {
+    const id = queue.shift() ?? model.nodes.find(n => !done.has(n.id)).id;
+    if (done.has(id)) continue;
+    done.add(id);
+    nodes[id] = nodeQuality(model.nodes[model.nodeIndex[id]], results.nodes[id], inflows[id], sources[id], bulkDecay, maxAge);
+
+    model.links.filter(l => upstream(l, direction[l.id]) === id).forEach(link => {
+      const res = results.links[link.id];
+      const points = transport(link, res, direction[link.id], nodes[id], bulkDecay, wallDecay, maxAge);
+      links[link.id] = { points, treated: nodes[id].treated };
+      const end = points[direction[link.id] > 0 ? points.length - 1 : 0];
+      const to = downstream(link, direction[link.id]);
+      inflows[to].push({ flow: Math.abs(res.outflow), quality: { ...end, treated: nodes[id].treated } });
+      if (--pending[to] === 0) queue.push(to);
+    });
+  }
+  return { nodes, links };
+}
+
+function upstream(link, dir) {
+  return dir > 0 ? link.from : link.to;
+}
+
+function downstream(link, dir) {
+  return dir > 0 ? link.to : link.from;
+}
+
+// Mix what arrives at a node, or take the source's water
+function nodeQuality(node, res, arriving, source, bulkDecay, maxAge) {
+  if (source) return { chlorine: 0, turbidity: 0, treated: false, ...source, age: 0 };
+  if (node.kind === 'reservoir') return { chlorine: 0, turbidity: 0, age: 0, treated: false };
+  const total = arriving.reduce((s, a) => s + a.flow, 0);
+  if (!arriving.length) return { chlorine: 0, turbidity: 0, age: maxAge, treated: false };
+  // Without any flow the stagnant inflows share equally
+  const weight = a => (total > STILL ? a.flow / total : 1 / arriving.length);
+  const mixed = ['chlorine', 'turbidity', 'age'].reduce((q, key) => {
+    q[key] = arriving.reduce((s, a) => s + a.quality[key] * weight(a), 0);
+    return q;
+  }, { treated: arriving.some(a => a.quality.treated) });
+
+  if (node.kind === 'tank') {
+    // Residence time of the stored volume at the rate it is refilled
+    const volume = node.area * (res.level ?? 0);
+    const hours = total > STILL ? Math.min(maxAge, volume / total / 3600) : maxAge;
+    mixed.chlorine /= 1 + bulkDecay * hours / 24;
+    mixed.age = Math.min(maxAge, mixed.age + hours);
+  }
+  return mixed;
+}
+
+// Profile of a link from its upstream end, section by section
+function transport(link, res, dir, inlet, bulkDecay, wallDecay, maxAge) {
+  const diameter = link.diameter || Math.sqrt(4 * linkArea(link) / Math.PI);
+  const k = (bulkDecay + 4 * wallDecay / diameter) / 24;   // Per hour
+  const sections = dir > 0 ? res.sections : [...res.sections].reverse();
+  let q = { chlorine: inlet.chlorine, turbidity: inlet.turbidity, age: inlet.age };
+  const points = [{ position: dir > 0 ? 0 : 1, ...q }];
+  sections.forEach(sec => {
+    const length = link.length * (sec.to - sec.from);
+    const hours = sec.velocity > 0 ? length / sec.velocity / 3600 : maxAge;
+    for (let i = 1; i <= STEPS; i++) {
+      const age = Math.min(maxAge, q.age + hours / STEPS);
+      q = { chlorine: q.chlorine * Math.exp(-k * (age - q.age)), turbidity: q.turbidity, age };
+      const f = i / STEPS;
+      points.push({ position: dir > 0 ? sec.from + (sec.to - sec.from) * f : sec.to - (sec.to - sec.from) * f, ...q });
+    }
+  });
+  return dir > 0 ? points : points.reverse();
+}
+
+// Quality at a fraction of a link's length, interpolated along its profile
+export function qualityAt(linkQuality, position) {
+  const { points } = linkQuality;
+  const i = points.findIndex(p => p.position >= position);
+  if (i <= 0) return points[i < 0 ? points.length - 1 : 0];
+  const a = points[i - 1];
+  const b = points[i];
+  const f = b.position > a.position ? (position - a.position) / (b.position - a.position) : 0;
+  return {
+    position,
+    chlorine: a.chlorine + (b.chlorine - a.chlorine) * f,
+    turbidity: a.turbidity + (b.turbidity - a.turbidity) * f,
+    age: a.age + (b.age - a.age) * f,
+  };
+}
+
+// Stretches of treated-water links outside the limits
+//   limits { chlorineMin (mg/L), turbidityMax (NTU), ageMax (h) }
+// → [{ linkId, parameter, from, to, worst }] with from/to as fractions of
+// the link and worst the value furthest past the limit.
+export function qualityBreaches(quality, limits) {
+  const checks = [
+    { parameter: 'chlorine', limit: limits.chlorineMin, low: true },
+    { parameter: 'turbidity', limit: limits.turbidityMax },
+    { parameter: 'age', limit: limits.ageMax },
+  ].filter(c => c.limit !== undefined);
+  const breaches = [];
+  Object.entries(quality.links).forEach(([linkId, lq]) => {
+    if (!lq.treated) return;
+    checks.forEach(({ parameter, limit, low }) => {
+      const excess = p => (low ? limit - p[parameter] : p[parameter] - limit);
+      let open = null;
+      lq.points.forEach((p, i) => {
+        const e = excess(p);
+        if (e > 0 && !open) {
+          // Start where the profile crosses the limit
+          const prev = lq.points[i - 1];
+          const from = prev ? prev.position + (p.position - prev.position) * (-excess(prev)) / (e - excess(prev)) : p.position;
+          open = { linkId, parameter, from, to: p.position, worst: p[parameter] };
+        }
+        if (open && e > 0) {
+          open.to = p.position;
+          if (excess(p) > (low ? limit - open.worst : open.worst - limit)) open.worst = p[parameter];
+        } else if (open) {
+          const prev = lq.points[i - 1];
+          open.to = prev.position + (p.position - prev.position) * excess(prev) / (excess(prev) - e);
+          breaches.push(open);
+          open = null;
+        }
+      });
+      if (open) breaches.push(open);
+    });
+  });
+  return breaches;
+}
@@ -0,0 +1,42 @@
+// ═══════════════════════════════════════════════════════════
+//  RECORDER
+//  Ring buffer of timestamped system snapshots for after-the-fact
+//  review. Frames are kept in time order; at(time) returns the frame
+//  in effect at that moment (the latest one not after it).
+// ═══════════════════════════════════════════════════════════
+
+export function createRecorder({ capacity = 7200 } = {}) {
+  const frames = [];
+
+  return {
+    frames,
+
+    get start() { return frames.length ? frames[0].time : null; },
+    get end() { return frames.length ? frames[frames.length - 1].time : null; },
+
+    // frame: { time, ... } with time in epoch milliseconds
+    record(frame) {
+      if (frames.length && frame.time < frames[frames.length - 1].time) {
+        throw new Error('Recorder frames must be added in time order');
+      }
+      frames.push(frame);
+      if (frames.length > capacity) frames.splice(0, frames.length - capacity);
+    },
+
+    at(time) {
+      if (!frames.length || time < frames[0].time) return frames[0] || null;
+      let lo = 0;
+      let hi = frames.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (frames[mid].time <= time) lo = mid;
+        else hi = mid - 1;
+      }
+      return frames[lo];
+    },
+
+    clear() {
+      frames.length = 0;
+    },
+  };
+}
@@ -0,0 +1,53 @@
+// ═══════════════════════════════════════════════════════════
+//  SUN POSITION
+//  Where the sun stands for a place and time, from NOAA's general solar
+//  position equations (fractional year, equation of time, declination),
+//  good to about a degree. Azimuth is in degrees clockwise from north,
+//  elevation in degrees above the horizon (no refraction).
+// ═══════════════════════════════════════════════════════════
+
+const DEG = Math.PI / 180;
+
+// Instant of a local clock time on a calendar day ("YYYY-MM-DD"), for a
+// place utcOffset hours ahead of UTC
+export function clockToDate(day, hours, utcOffset = 0) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + (hours - utcOffset) * 3600000);
+}
+
+// { azimuth, elevation } of the sun at an instant, seen from lat/lon (degrees)
+export function sunPosition(date, lat, lon) {
+  const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+  const dayOfYear = Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+  const g = 2 * Math.PI / 365 * (dayOfYear - 1 + (utcHours - 12) / 24);
+
+  // Minutes the sundial runs ahead of the mean sun, and declination (rad)
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+    - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const decl = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+    - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+    - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+
+  const solarMinutes = utcHours * 60 + eqTime + 4 * lon;
+  const hourAngle = (solarMinutes / 4 - 180) * DEG;
+  const phi = lat * DEG;
+  const sinElevation = Math.sin(phi) * Math.sin(decl) + Math.cos(phi) * Math.cos(decl) * Math.cos(hourAngle);
+  const elevation = Math.asin(Math.max(-1, Math.min(1, sinElevation))) / DEG;
+  // Measured from south towards west, then turned to north-based
+  const azimuth = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(phi) - Math.tan(decl) * Math.cos(phi)) / DEG + 180;
+  return { azimuth: azimuth % 360, elevation };
+}
+
+// Hours → "HH:MM" (up to 24:00)
+export function formatHours(hours) {
+  const minutes = Math.min(1440, Math.round(hours * 60));
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// "HH:MM" (00:00–24:00) → hours, or null
+export function parseHours(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+  if (!match) return null;
+  const hours = Number(match[1]) + Number(match[2]) / 60;
+  return Number(match[2]) < 60 && hours <= 24 ? hours : null;
+}
@@ -0,0 +1,156 @@
+// ═══════════════════════════════════════════════════════════
+//  TELEMETRY FEED
+//  Adapter over WebSocket, Server-Sent Events or a built-in mock
+//  generator. Every transport delivers the same messages:
+//    { tag, value, timestamp }            one reading
+//    [{ tag, value, timestamp }, ...]     a batch
+//    { timestamp, values: { tag: value } } a snapshot
+//  Timestamps are epoch milliseconds (or ISO strings).
+// ═══════════════════════════════════════════════════════════
+
+// Normalise one incoming message to a list of readings
+export function parseTelemetryMessage(msg) {
+  if (typeof msg === 'string') msg = JSON.parse(msg);
+  const toTime = t => (t === undefined ? Date.now() : typeof t === 'string' ? Date.parse(t) : t);
+  if (Array.isArray(msg)) return msg.flatMap(parseTelemetryMessage);
+  if (msg && msg.values) {
+    const timestamp = toTime(msg.timestamp);
+    return Object.entries(msg.values).map(([tag, value]) => ({ tag, value: Number(value), timestamp }));
+  }
+  if (msg && msg.tag !== undefined) {
+    return [{ tag: msg.tag, value: Number(msg.value), timestamp: toTime(msg.timestamp) }];
+  }
+  return [];
+}
+
+// Random-walk generator for the tags that carry a "mock" entry:
+//   { base, noise, min, max, spikeChance, spike }
+// Shared by the in-browser mock transport and mock_telemetry_server.js.
+export function createMockGenerator(tags) {
+  const state = {};
+  Object.entries(tags).forEach(([tag, def]) => {
+    if (def.mock) state[tag] = def.mock.base;
+  });
+
+  return function next(timestamp = Date.now()) {
+    const values = {};
+    Object.entries(state).forEach(([tag, current]) => {
+      const m = tags[tag].mock;
+      // Drift back toward the base value, plus noise
+      let v = current + (m.base - current) * 0.1 + (Math.random() - 0.5) * 2 * (m.noise || 0);
+      if (m.spikeChance && Math.random() < m.spikeChance) v += m.spike || 0;
+      if (m.min !== undefined) v = Math.max(m.min, v);
+      if (m.max !== undefined) v = Math.min(m.max, v);
+      state[tag] = v;
+      values[tag] = +v.toFixed(4);
+    });
+    return { timestamp, values };
+  };
+}
+
+// Create a feed from a network "telemetry" entry:
+//   { transport: 'websocket' | 'sse' | 'mock', url, staleAfter, interval, tags }
+// Listeners: onReading({ tag, value, timestamp }) and onStatus(status),
+// where status is 'connecting' | 'live' | 'stale' | 'offline'.
+export function createTelemetryFeed(config, { onReading, onStatus } = {}) {
+  const staleAfter = (config.staleAfter ?? 10) * 1000;
+  const values = {};
+  let status = 'offline';
+  let lastMessage = 0;
+  let source = null;
+  let mockTimer = null;
+  let staleTimer = null;
+  let retryTimer = null;
+  let retryDelay = 1000;
+  let stopped = true;
+
+  function setStatus(next) {
+    if (next === status) return;
+    status = next;
+    if (onStatus) onStatus(status);
+  }
+
+  function handle(data) {
+    let readings;
+    try {
+      readings = parseTelemetryMessage(data);
+    } catch (err) {
+      console.warn('Ignoring malformed telemetry message:', err.message);
+      return;
+    }
+    if (!readings.length) return;
+    lastMessage = Date.now();
+    retryDelay = 1000;
+    readings.forEach(r => {
+      if (!Number.isFinite(r.value)) return;
+      values[r.tag] = r;
+      if (onReading) onReading(r);
+    });
+    setStatus('live');
+  }
+
+  function scheduleReconnect() {
+    if (stopped || retryTimer) return;
+    setStatus('offline');
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, 30000);
+  }
+
+  function connect() {
+    setStatus('connecting');
+    if (config.transport === 'mock') {
+      const next = createMockGenerator(config.tags);
+      mockTimer = setInterval(() => handle(next()), (config.interval ?? 1) * 1000);
+      handle(next());
+    } else if (config.transport === 'sse') {
+      // EventSource reconnects on its own; only report the gap
+      source = new EventSource(config.url);
+      source.onmessage = e => handle(e.data);
+      source.onerror = () => { if (source.readyState === EventSource.CLOSED) { source = null; scheduleReconnect(); } };
+    } else if (config.transport === 'websocket') {
+      source = new WebSocket(config.url);
+      source.onmessage = e => handle(e.data);
+      source.onclose = () => { source = null; scheduleReconnect(); };
+    } else {
+      throw new Error(`Unknown telemetry transport "${config.transport}"`);
+    }
+  }
+
+  return {
+    values,
+    get status() { return status; },
+
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      connect();
+      // Quiet feed → stale
+      staleTimer = setInterval(() => {
+        if (status === 'live' && Date.now() - lastMessage > staleAfter) setStatus('stale');
+      }, 1000);
+    },
+
+    stop() {
+      stopped = true;
+      clearInterval(mockTimer);
+      clearInterval(staleTimer);
+      clearTimeout(retryTimer);
+      mockTimer = staleTimer = retryTimer = null;
+      if (source) {
+        source.onclose = source.onerror = null;
+        source.close();
+        source = null;
+      }
+      setStatus('offline');
+    },
+  };
+}
+
+// Pick the transport from a URL given on the command line / query string
+export function transportForUrl(url) {
+  if (url === 'mock') return 'mock';
+  return /^wss?:/i.test(url) ? 'websocket' : 'sse';
+}
@@ -0,0 +1,147 @@
+// ═══════════════════════════════════════════════════════════
+//  GUIDED TOURS
+//  A tour is data: steps shown one after another, each for a while,
+//    { id, title, audience, steps: [{ caption, text, duration (s),
+//      focus, camera: [x, y, z], target: [x, y, z], highlight: [ids],
+//      actions: [...] }] }
+//  focus flies to a component (and opens its card) unless the step
+//  gives its own camera and target. Actions change the scenario when
+//  the step starts:
+//    { pump: 'P3', command: 'start' | 'stop' | 'trip' | 'reset' }
+//    { valve: 'V-RM2', closed: true }
+//    { gate: 'G-INTAKE', opening: 0.5 }
+//    { layer: 'flow' | 'labels' | 'hgl', on: true }
+//    { night: true }
+//    { time: 18.5 }                  (local clock hours, see setTimeOfDay)
+//  The player only keeps time; the caller moves the camera and applies
+//  the actions when it is told a step has started.
+// ═══════════════════════════════════════════════════════════
+
+import { pumpUnitIds } from './hydraulics.js';
+
+export const TOUR_LAYERS = ['flow', 'labels', 'hgl'];
+export const PUMP_COMMANDS = ['start', 'stop', 'trip', 'reset'];
+
+const DEFAULT_DURATION = 6;   // Seconds per step when a step does not say
+
+// Tour as written → tour with every step filled in, or an error naming
+// what does not fit the network
+export function checkTour(tour, network) {
+  const where = `Tour "${tour.id}"`;
+  if (!tour.id) throw new Error('A tour needs an id');
+  if (!Array.isArray(tour.steps) || !tour.steps.length) throw new Error(`${where} has no steps`);
+  const vector = a => Array.isArray(a) && a.length === 3 && a.every(Number.isFinite);
+  const steps = tour.steps.map((step, i) => {
+    const at = `${where} step ${i + 1}`;
+    if (step.focus && !network.nodeById[step.focus]) throw new Error(`${at} focuses on unknown component "${step.focus}"`);
+    if ((step.camera || step.target) && !(vector(step.camera) && vector(step.target))) {
+      throw new Error(`${at} needs both a camera and a target as [x, y, z]`);
+    }
+    const highlight = step.highlight || [];
+    highlight.forEach(id => {
+      if (!network.nodeById[id]) throw new Error(`${at} highlights unknown component "${id}"`);
+    });
+    const actions = step.actions || [];
+    actions.forEach(action => checkAction(action, network, at));
+    const duration = step.duration ?? DEFAULT_DURATION;
+    if (!(duration > 0)) throw new Error(`${at} has no time to show`);
+    return { caption: '', text: '', ...step, duration, highlight, actions };
+  });
+  return { title: tour.id, audience: '', ...tour, steps };
+}
+
+function checkAction(action, network, at) {
+  if ('pump' in action) {
+    const station = network.links.find(l => l.hydraulics?.pump)?.hydraulics.pump;
+    if (!station) throw new Error(`${at}: the network has no pumping station`);
+    const units = pumpUnitIds(station);
+    if (!units.includes(action.pump)) throw new Error(`${at}: unknown pump "${action.pump}" (the station has ${units.join(', ')})`);
+    if (!PUMP_COMMANDS.includes(action.command)) throw new Error(`${at}: pump command "${action.command}" is not one of ${PUMP_COMMANDS.join(', ')}`);
+  } else if ('valve' in action) {
+    if (!(network.valves || []).some(v => v.id === action.valve)) throw new Error(`${at}: unknown valve "${action.valve}"`);
+  } else if ('gate' in action) {
+    if (!(network.gates || []).some(g => g.id === action.gate)) throw new Error(`${at}: unknown gate "${action.gate}"`);
+    if (!(action.opening >= 0 && action.opening <= 1)) throw new Error(`${at}: gate opening must be 0–1`);
+  } else if ('layer' in action) {
+    if (!TOUR_LAYERS.includes(action.layer)) throw new Error(`${at}: unknown layer "${action.layer}"`);
+  } else if ('time' in action) {
+    if (!(action.time >= 0 && action.time <= 24)) throw new Error(`${at}: time of day must be 0–24 hours`);
+  } else if (!('night' in action)) {
+    throw new Error(`${at}: unknown action ${JSON.stringify(action)}`);
+  }
+}
+
+// A tour of every component in network order, for networks without tours
+export function componentTour(network) {
+  return {
+    id: 'components',
+    title: 'All components',
+    audience: '',
+    steps: network.nodes.map(node => ({ caption: node.name, text: node.desc || '', duration: 3.5, focus: node.id, highlight: [], actions: [] })),
+  };
+}
+
+// Step through a checked tour. Listeners: onStep(step, index, from) when a
+// step starts (from is the step before, or -1), onChange() when the play
+// state or position changes, onEnd() after the last step or exit().
+// Time moves only through tick(seconds), so pausing is not ticking.
+export function createTourPlayer(tour, { onStep, onChange, onEnd } = {}) {
+  let index = -1;
+  let elapsed = 0;
+  let playing = false;
+  let ended = false;
+
+  function go(to) {
+    if (ended) return;
+    if (to >= tour.steps.length) {
+      exit();
+      return;
+    }
+    const from = index;
+    index = Math.max(0, to);
+    elapsed = 0;
+    if (onStep) onStep(tour.steps[index], index, from);
+    if (onChange) onChange();
+  }
+
+  function exit() {
+    if (ended) return;
+    ended = true;
+    playing = false;
+    if (onChange) onChange();
+    if (onEnd) onEnd();
+  }
+
+  return {
+    tour,
+    play() {
+      playing = true;
+      if (index < 0) go(0);
+      else if (onChange) onChange();
+    },
+    pause() {
+      playing = false;
+      if (onChange) onChange();
+    },
+    toggle() {
+      if (playing) this.pause();
+      else this.play();
+    },
+    next: () => go(index + 1),
+    // Back to the start of this step when it has been showing a while
+    previous: () => go(elapsed > 2 || index === 0 ? index : index - 1),
+    exit,
+    tick(seconds) {
+      if (!playing || ended) return;
+      elapsed += seconds;
+      if (elapsed >= tour.steps[index].duration) go(index + 1);
+    },
+    // { index, count, elapsed, playing, ended, progress (0–1 of the whole tour) }
+    state() {
+      const total = tour.steps.reduce((s, step) => s + step.duration, 0);
+      const done = tour.steps.slice(0, Math.max(0, index)).reduce((s, step) => s + step.duration, 0);
+      const current = index >= 0 ? Math.min(elapsed, tour.steps[index].duration) : 0;
+      return { index, count: tour.steps.length, elapsed, playing, ended, progress: ended ? 1 : (done + current) / total };
+    },
+  };
+}
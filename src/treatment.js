@@ -0,0 +1,133 @@
+// ═══════════════════════════════════════════════════════════
+//  TREATMENT PROCESS
+//  A conventional treatment train, stage by stage: coagulation and
+//  flocculation, sedimentation, rapid sand filtration, chlorination.
+//  Each stage takes the quality of the water coming in (turbidity in
+//  NTU, free chlorine in mg/L) and passes on what leaves it. Removal
+//  falls off when a stage is under-dosed, overloaded or failed.
+// ═══════════════════════════════════════════════════════════
+
+// What failing each kind of stage simulates
+export const STAGE_FAILURES = {
+  coagulation: 'Coagulant dosing failure',
+  sedimentation: 'Sludge carry-over',
+  filtration: 'Filter bypass',
+  chlorination: 'Chlorinator failure',
+};
+
+const PLAIN_SETTLING = 0.3;     // Sedimentation removal of unflocculated water
+const PLAIN_FILTRATION = 0.5;   // Filter removal of unflocculated colloids
+const CARRY_OVER = 0.25;        // Share of its removal a clarifier keeps while carrying sludge over
+const CHLORINE_DEMAND = 0.4;    // mg/L taken up by clean water in the contact tank...
+const DEMAND_PER_NTU = 0.1;     // ...plus this much per NTU reaching the dosing point
+
+// Build a plant from a network node with a "process" entry:
+//   { rawTurbidity, limits: { turbidity, chlorineMin, chlorineMax },
+//     stages: [{ id, name, kind, chemical, dose, optimalDose, removal, area, designRate }] }
+// Doses are mg/L, areas m² and design surface loading rates m/h.
+export function createTreatmentPlant(node) {
+  const def = node.process;
+  const stages = (def.stages || []).map(stage => {
+    if (!STAGE_FAILURES[stage.kind]) {
+      throw new Error(`Treatment stage "${stage.id}" has unknown kind "${stage.kind}"`);
+    }
+    return { ...stage, failed: false };
+  });
+  return {
+    nodeId: node.id,
+    rawTurbidity: def.rawTurbidity ?? 10,
+    limits: { turbidity: 1, chlorineMin: 0.2, chlorineMax: 5, ...def.limits },
+    stages,
+  };
+}
+
+function findStage(plant, id) {
+  const stage = plant.stages.find(s => s.id === id);
+  if (!stage) throw new Error(`Unknown treatment stage "${id}"`);
+  return stage;
+}
+
+// Chemical dose (mg/L) of a coagulation or chlorination stage
+export function setStageDose(plant, id, dose) {
+  findStage(plant, id).dose = Math.max(0, dose);
+}
+
+// Fail a stage the way STAGE_FAILURES describes, or restore it
+export function failStage(plant, id, failed) {
+  findStage(plant, id).failed = !!failed;
+}
+
+export function setRawTurbidity(plant, turbidity) {
+  plant.rawTurbidity = Math.max(0, turbidity);
+}
+
+// Surface loading rate (m/h) of a basin or filter at a flow (m³/s)
+function loadingRate(stage, flow) {
+  return stage.area ? flow * 3600 / stage.area : 0;
+}
+
+// Removal scale-down once the loading runs past the design rate
+function overload(stage, flow) {
+  const rate = loadingRate(stage, flow);
+  return stage.designRate && rate > stage.designRate ? Math.sqrt(stage.designRate / rate) : 1;
+}
+
+// Water quality through the train at a plant flow (m³/s). Returns
+// { flow, out: { turbidity, chlorine }, compliant, stages: [{ id, kind,
+// in, out, dose, feed, loading, floc, failed, status }] } with the chemical
+// feed in kg/h and status 'ok' | 'warn' | 'fail'.
+export function runTreatment(plant, flow) {
+  const { limits } = plant;
+  let quality = { turbidity: plant.rawTurbidity, chlorine: 0 };
+  let floc = 0;   // How well coagulation conditioned the water (0–1)
+
+  const stages = plant.stages.map(stage => {
+    const inflow = quality;
+    const out = { ...inflow };
+    let dose = 0;
+    let warn = false;
+    if (stage.kind === 'coagulation') {
+      dose = stage.failed ? 0 : stage.dose;
+      // Under-dosing leaves particles unconditioned; overdosing restabilises some
+      const optimal = stage.optimalDose || stage.dose || 1;
+      floc = dose <= optimal ? dose / optimal : Math.max(0.5, 1 - 0.5 * (dose - optimal) / optimal);
+      warn = floc < 0.8;
+    } else if (stage.kind === 'sedimentation') {
+      let removal = (PLAIN_SETTLING + (stage.removal - PLAIN_SETTLING) * floc) * overload(stage, flow);
+      if (stage.failed) removal *= CARRY_OVER;
+      out.turbidity = inflow.turbidity * (1 - removal);
+      warn = out.turbidity > limits.turbidity * 10;
+    } else if (stage.kind === 'filtration') {
+      const removal = stage.failed ? 0
+        : (PLAIN_FILTRATION + (stage.removal - PLAIN_FILTRATION) * floc) * overload(stage, flow);
+      out.turbidity = inflow.turbidity * (1 - removal);
+      warn = out.turbidity > limits.turbidity;
+    } else {
+      dose = stage.failed ? 0 : stage.dose;
+      const demand = CHLORINE_DEMAND + DEMAND_PER_NTU * inflow.turbidity;
+      out.chlorine = Math.max(0, inflow.chlorine + dose - demand);
+      warn = out.chlorine < limits.chlorineMin || out.chlorine > limits.chlorineMax;
+    }
+    quality = out;
+    return {
+      id: stage.id,
+      kind: stage.kind,
+      in: inflow,
+      out,
+      dose,
+      feed: dose * flow * 3.6,
+      loading: loadingRate(stage, flow),
+      floc: stage.kind === 'coagulation' ? floc : undefined,
+      failed: stage.failed,
+      status: stage.failed ? 'fail' : warn ? 'warn' : 'ok',
+    };
+  });
+
+  return {
+    flow,
+    out: quality,
+    compliant: quality.turbidity <= limits.turbidity
+      && quality.chlorine >= limits.chlorineMin && quality.chlorine <= limits.chlorineMax,
+    stages,
+  };
+}
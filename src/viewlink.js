@@ -0,0 +1,51 @@
+// ═══════════════════════════════════════════════════════════
+//  VIEW LINKS
+//  A view of the scene as a URL fragment, so a shared link opens it
+//  the way it was seen:
+//    #view=pump&cam=62.4,48.1,71.9,32.4,8.1,31.9&layers=flow,labels&tod=18:30
+//  view    selected component (its info card opens)
+//  cam     camera position, then the point it looks at (scene units)
+//  layers  overlays that are on; the others are off
+//  colors  what the flow is coloured by, when not by section
+//  tod     time of day, local clock HH:MM (or just day or night)
+// ═══════════════════════════════════════════════════════════
+
+import { formatHours, parseHours } from './sun.js';
+
+export const VIEW_LAYERS = ['flow', 'labels', 'hgl'];
+
+// View (as projects keep it: { selected, camera, target, flow, labels,
+// hgl, night, time, flowColors }) → "#view=…&cam=…"
+export function formatViewHash(view) {
+  const params = [];
+  const add = (key, value) => params.push(`${key}=${encodeURIComponent(value).replace(/%2C/g, ',').replace(/%3A/g, ':')}`);
+  if (view.selected) add('view', view.selected);
+  if (view.camera && view.target) add('cam', [...view.camera, ...view.target].map(v => Math.round(v * 10) / 10).join(','));
+  add('layers', VIEW_LAYERS.filter(layer => view[layer]).join(','));
+  if (view.flowColors && view.flowColors !== 'section') add('colors', view.flowColors);
+  add('tod', Number.isFinite(view.time) ? formatHours(view.time) : view.night ? 'night' : 'day');
+  return `#${params.join('&')}`;
+}
+
+// URL fragment → the parts of a view it sets, or null when it is not a
+// view link (an ordinary anchor). Values that do not parse are left out.
+export function parseViewHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (!['view', 'cam', 'layers', 'colors', 'tod'].some(key => params.has(key))) return null;
+  const view = {};
+  if (params.get('view')) view.selected = params.get('view');
+  const cam = (params.get('cam') || '').split(',').map(Number);
+  if (cam.length === 6 && cam.every(Number.isFinite)) {
+    view.camera = cam.slice(0, 3);
+    view.target = cam.slice(3);
+  }
+  if (params.has('layers')) {
+    const on = params.get('layers').split(',');
+    VIEW_LAYERS.forEach(layer => { view[layer] = on.includes(layer); });
+  }
+  if (params.get('colors')) view.flowColors = params.get('colors');
+  const tod = params.get('tod');
+  if (tod === 'night' || tod === 'day') view.night = tod === 'night';
+  else if (parseHours(tod) !== null) view.time = parseHours(tod);
+  return view;
+}
@@ -0,0 +1,121 @@
+// ═══════════════════════════════════════════════════════════
+//  LAKE WATER BALANCE
+//  Daily storage accounting for a storage reservoir over a climate
+//  series:
+//    ΔV = (catchment inflow − abstraction − spill)·86400
+//         + (rainfall − evaporation)·surface area
+//  The level follows from the reservoir's level–area curve, so the
+//  surface (and with it rain and evaporation) grows as the lake fills.
+// ═══════════════════════════════════════════════════════════
+
+import { storageArea, storageVolume, storageLevel, spillFlows } from './hydraulics.js';
+
+const DAY = 86400;
+
+// Header names accepted for each climate column (case-insensitive)
+const COLUMNS = {
+  date: ['date', 'day'],
+  rainfall: ['rainfall_mm', 'rainfall', 'rain_mm', 'rain', 'precipitation_mm'],
+  evaporation: ['evaporation_mm', 'evaporation', 'evap_mm', 'evap'],
+  inflow: ['inflow_m3s', 'inflow', 'catchment_inflow_m3s'],
+};
+
+// Fetch a climate series CSV
+export async function loadClimateSeries(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load climate series "${url}" (HTTP ${res.status})`);
+  return parseClimateCsv(await res.text());
+}
+
+// CSV with a header row → [{ date: 'YYYY-MM-DD', rainfall, evaporation, inflow }]
+// sorted by date. Rainfall and evaporation are mm/day, inflow m³/s; the
+// inflow column is optional (the catchment runoff fills it in later).
+// Blank lines and lines starting with # are skipped.
+export function parseClimateCsv(text) {
+  const lines = text.split(/\r?\n/).map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'));
+  if (!lines.length) throw new Error('Climate series is empty');
+
+  const header = lines[0].line.split(',').map(h => h.trim().toLowerCase());
+  const index = {};
+  Object.entries(COLUMNS).forEach(([key, names]) => {
+    index[key] = header.findIndex(h => names.includes(h));
+  });
+  ['date', 'rainfall', 'evaporation'].forEach(key => {
+    if (index[key] < 0) throw new Error(`Climate series has no ${key} column`);
+  });
+
+  const rows = lines.slice(1).map(({ line, number }) => {
+    const cells = line.split(',').map(c => c.trim());
+    const value = key => {
+      const v = Number(cells[index[key]]);
+      if (cells[index[key]] === '' || !Number.isFinite(v)) {
+        throw new Error(`Climate series line ${number}: bad ${key} "${cells[index[key]] ?? ''}"`);
+      }
+      return v;
+    };
+    const date = cells[index.date];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`Climate series line ${number}: bad date "${date}"`);
+    return {
+      date,
+      rainfall: value('rainfall'),
+      evaporation: value('evaporation'),
+      inflow: index.inflow >= 0 ? value('inflow') : null,
+    };
+  });
+  if (!rows.length) throw new Error('Climate series has no data rows');
+  return rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// Step a storage reservoir day by day through the series rows in
+// [start, end] (inclusive ISO dates; either may be omitted).
+// options: { level, abstraction, catchment: { area, runoff } }
+//   level        starting level (m), defaults to the reservoir's head
+//   abstraction  intake draw (m³/s), constant over the period
+//   catchment    turns rainfall into inflow for rows without one
+// Spill uses the spillway and its gates at their current openings.
+// Returns { days: [{ date, level, volume, area, inflow, rainfall,
+// evaporation, abstraction, overflow, gateRelease }], totals } with day
+// values at the end of the day, flows in m³/s and rain/evaporation in m³.
+export function runWaterBalance(model, nodeId, series, { start, end, level, abstraction = 0, catchment } = {}) {
+  const node = model.nodes.find(n => n.id === nodeId);
+  if (!node?.storage) throw new Error(`"${nodeId}" is not a storage reservoir`);
+  const rows = series.filter(r => (!start || r.date >= start) && (!end || r.date <= end));
+  if (!rows.length) throw new Error('No climate data in the selected period');
+
+  let head = level ?? node.head;
+  let volume = storageVolume(node.storage, head);
+  const totals = { inflow: 0, rainfall: 0, evaporation: 0, abstraction: 0, spill: 0 };
+  const days = rows.map(row => {
+    const area = storageArea(node.storage, head);
+    const inflow = row.inflow ?? (catchment ? row.rainfall / 1000 * catchment.area * (catchment.runoff ?? 1) / DAY : 0);
+    const spill = spillFlows(model, { ...node, head });
+    const gateRelease = Object.values(spill.gates).reduce((s, q) => s + q, 0);
+    const rainfall = row.rainfall / 1000 * area;
+    const evaporation = row.evaporation / 1000 * area;
+    // An empty lake cannot be drawn or evaporated below nothing
+    const draw = Math.min(abstraction * DAY, Math.max(0, volume + inflow * DAY + rainfall - evaporation));
+
+    volume = Math.max(0, volume + inflow * DAY + rainfall - evaporation - draw - (spill.overflow + gateRelease) * DAY);
+    head = storageLevel(node.storage, volume);
+
+    totals.inflow += inflow * DAY;
+    totals.rainfall += rainfall;
+    totals.evaporation += evaporation;
+    totals.abstraction += draw;
+    totals.spill += (spill.overflow + gateRelease) * DAY;
+    return {
+      date: row.date,
+      level: head,
+      volume,
+      area,
+      inflow,
+      rainfall,
+      evaporation,
+      abstraction: draw / DAY,
+      overflow: spill.overflow,
+      gateRelease,
+    };
+  });
+  return { days, totals };
+}